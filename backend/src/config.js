@@ -38,6 +38,77 @@ else {
   mariadbPortValue = 3306;
 }
 
+let migrationBatchSizeValue;
+if ( process.env.MIGRATION_BATCH_SIZE ) {
+  // Rows per SQL read batch / Mongo bulkWrite during migration (memory stays bounded by this).
+  migrationBatchSizeValue = process.env.MIGRATION_BATCH_SIZE;
+} 
+else {
+  migrationBatchSizeValue = 1000;
+}
+
+let migrationBackupRetentionValue;
+if ( process.env.MIGRATION_BACKUP_RETENTION ) {
+  // How many pre-migration backups of the Mongo read model we keep (oldest are dropped first).
+  migrationBackupRetentionValue = process.env.MIGRATION_BACKUP_RETENTION;
+} 
+else {
+  migrationBackupRetentionValue = 5;
+}
+
+let migrationTransactionMaxDocumentsValue;
+if ( process.env.MIGRATION_TRANSACTION_MAX_DOCUMENTS ) {
+  // Above this many documents `MIGRATION_STRATEGY=auto` loads via staging collections instead of one transaction.
+  migrationTransactionMaxDocumentsValue = process.env.MIGRATION_TRANSACTION_MAX_DOCUMENTS;
+} 
+else {
+  migrationTransactionMaxDocumentsValue = 50000;
+}
+
+let snapshotBundleDirValue;
+if ( process.env.SNAPSHOT_BUNDLE_DIR ) {
+  // Where exported JSONL snapshot bundles are written and imported from (one sub-directory per bundle).
+  snapshotBundleDirValue = process.env.SNAPSHOT_BUNDLE_DIR;
+} 
+else {
+  snapshotBundleDirValue = "snapshots";
+}
+
+let outboxPollMsValue;
+if ( process.env.OUTBOX_POLL_MS ) {
+  // How often the outbox relay looks for new SQL change events (see services/outboxRelay.js).
+  outboxPollMsValue = process.env.OUTBOX_POLL_MS;
+} 
+else {
+  outboxPollMsValue = 1000;
+}
+
+let outboxBatchSizeValue;
+if ( process.env.OUTBOX_BATCH_SIZE ) {
+  outboxBatchSizeValue = process.env.OUTBOX_BATCH_SIZE;
+} 
+else {
+  outboxBatchSizeValue = 100;
+}
+
+let demoSeedValue;
+if ( process.env.SEED ) {
+  // Seed of the Import & Reset generator; the same seed (and anchor date) gives the same data.
+  demoSeedValue = process.env.SEED;
+} 
+else {
+  demoSeedValue = 12345;
+}
+
+let demoAnchorDateValue;
+if ( process.env.DEMO_ANCHOR_DATE ) {
+  // Generated orders are dated back from this moment instead of "now" (e.g. 2026-01-18T12:00:00Z).
+  demoAnchorDateValue = process.env.DEMO_ANCHOR_DATE;
+} 
+else {
+  demoAnchorDateValue = null;
+}
+
 const config = {
   port: Number(portValue),
 
@@ -51,7 +122,33 @@ const config = {
 
   mongodb: {
     uri: mustGetEnv("MONGODB_URI", "mongodb://127.0.0.1:27017"),
-    db: mustGetEnv("MONGODB_DB", "ms2")
+    db: mustGetEnv("MONGODB_DB", "ms2"),
+    // `$jsonSchema` validation: strict (every write), moderate (not for documents that are already invalid) or off.
+    validationLevel: mustGetEnv("MONGO_VALIDATION_LEVEL", "moderate")
+  },
+
+  migration: {
+    batchSize: Number(migrationBatchSizeValue),
+    backupRetention: Number(migrationBackupRetentionValue),
+    bundleDir: snapshotBundleDirValue,
+    // How a full migration replaces the read model: auto (a transaction on a replica set, staging collections
+    // otherwise), transaction or staging.
+    strategy: mustGetEnv("MIGRATION_STRATEGY", "auto"),
+    // MongoDB aborts a transaction after 60 seconds (`transactionLifetimeLimitSeconds`), which a large snapshot
+    // cannot meet. With `auto`, a full migration of more documents than this uses staging collections right away.
+    transactionMaxDocuments: Number(migrationTransactionMaxDocumentsValue)
+  },
+
+  demo: {
+    seed: demoSeedValue,
+    anchorDate: demoAnchorDateValue
+  },
+
+  outbox: {
+    // OUTBOX_RELAY=off keeps the events in SQL without projecting them (e.g. while debugging a migration).
+    relayEnabled: process.env.OUTBOX_RELAY !== "off",
+    pollMs: Number(outboxPollMsValue),
+    batchSize: Number(outboxBatchSizeValue)
   },
 
   schemaSqlPath: mustGetEnv("SCHEMA_SQL_PATH", "db/mariadb/schema.sql")
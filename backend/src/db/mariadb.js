@@ -2,9 +2,11 @@
 // - I create one MariaDB pool for the whole backend.
 // - I expose `withConn` for safe connection handling.
 // - I expose `withTx` for transactions with commit/rollback.
+// - I expose `ensureSqlSchema` so startup can add tables that are newer than the database (e.g. `outbox`).
 
 const mariadb = require("mariadb");
 const { config } = require("../config");
+const { readSchemaSql } = require("../utils/schema");
 
 // I keep one pool for the whole app.
 const pool = mariadb.createPool({
@@ -48,5 +50,13 @@ async function withTx(fn) {
   });
 }
 
-module.exports = { pool, withConn, withTx };
+async function ensureSqlSchema() {
+  // schema.sql only has `CREATE TABLE IF NOT EXISTS`, so running it again leaves existing tables and rows alone
+  // and only creates what an older database is missing.
+  await withConn(function(conn) {
+    return conn.query(readSchemaSql(config.schemaSqlPath));
+  });
+}
+
+module.exports = { pool, withConn, withTx, ensureSqlSchema };
 
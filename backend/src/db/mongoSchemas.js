@@ -0,0 +1,219 @@
+/*
+  What this file does:
+  We describe the documented document shapes (see NOSQL_DESIGN.md) as `$jsonSchema` validators, one per
+  read model collection. `mongodb.js` installs them on the live collections and on every staging
+  collection, so a document that does not match is rejected by MongoDB itself, whoever writes it.
+
+  The schemas describe the latest schema version. Older documents (see services/schemaVersions.js) may
+  lack fields that are required here; the default validation level `moderate` lets them be updated
+  (and upgraded) anyway, while every insert and every already valid document is checked.
+*/
+
+const NUMBER = { bsonType: "number" };
+const NUMBER_OR_NULL = { bsonType: ["number", "null"] };
+const STRING = { bsonType: "string" };
+const STRING_OR_NULL = { bsonType: ["string", "null"] };
+const NAME = { bsonType: "string", minLength: 1 };
+const DATE_OR_NULL = { bsonType: ["date", "null"] };
+const SCHEMA_VERSION = { bsonType: "number", minimum: 1 };
+
+// A money amount: never negative.
+const AMOUNT = { bsonType: "number", minimum: 0 };
+
+// Orders placed in Mongo mode carry `origin: "mongo"`; documents that came from SQL have no `origin`.
+// Migrations and the outbox relay never overwrite such an order (SQL does not know it).
+const MONGO_ORIGIN = "mongo";
+
+// Orders placed in Mongo mode take ids from here on, SQL's AUTO_INCREMENT ids stay below (`order_id` is an INT).
+// The reverse migration gives such orders SQL ids below the base, so SQL's counter never reaches this range.
+const MONGO_ORDER_ID_BASE = 1000000000;
+
+const RESTAURANT_SCHEMA = {
+  bsonType: "object",
+  required: ["schemaVersion", "restaurantId", "name", "address", "menu"],
+  properties: {
+    schemaVersion: SCHEMA_VERSION,
+    restaurantId: NUMBER,
+    name: NAME,
+    address: STRING,
+    menu: {
+      bsonType: "array",
+      items: {
+        bsonType: "object",
+        required: ["menuItemId", "name", "price", "categories"],
+        properties: {
+          menuItemId: NUMBER,
+          name: NAME,
+          description: STRING_OR_NULL,
+          price: AMOUNT,
+          categories: { bsonType: "array", items: STRING }
+        }
+      }
+    }
+  }
+};
+
+const PERSON_SCHEMA = {
+  bsonType: "object",
+  required: ["schemaVersion", "personId", "type", "name", "email"],
+  properties: {
+    schemaVersion: SCHEMA_VERSION,
+    personId: NUMBER,
+    type: { enum: ["customer", "rider", "person"] },
+    name: NAME,
+    email: NAME,
+    phone: STRING_OR_NULL,
+    customer: {
+      bsonType: ["object", "null"],
+      properties: {
+        defaultAddress: STRING_OR_NULL,
+        preferredPaymentMethod: STRING_OR_NULL
+      }
+    },
+    rider: {
+      bsonType: ["object", "null"],
+      required: ["vehicleType", "worksFor"],
+      properties: {
+        vehicleType: STRING,
+        rating: NUMBER_OR_NULL,
+        worksFor: {
+          bsonType: "array",
+          items: {
+            bsonType: "object",
+            required: ["restaurantId", "name"],
+            properties: { restaurantId: NUMBER, name: STRING }
+          }
+        }
+      }
+    }
+  }
+};
+
+const ORDER_SCHEMA = {
+  bsonType: "object",
+  required: ["schemaVersion", "orderId", "createdAt", "status", "totalAmount", "orderItems", "payment", "delivery"],
+  properties: {
+    schemaVersion: SCHEMA_VERSION,
+    orderId: NUMBER,
+    createdAt: { bsonType: "date" },
+    status: NAME,
+    totalAmount: AMOUNT,
+    origin: { bsonType: "string", enum: [MONGO_ORIGIN] },
+    restaurant: {
+      bsonType: ["object", "null"],
+      required: ["restaurantId", "name"],
+      properties: { restaurantId: NUMBER, name: NAME, address: STRING }
+    },
+    customer: {
+      bsonType: ["object", "null"],
+      required: ["personId", "email"],
+      properties: { personId: NUMBER, name: STRING, email: NAME }
+    },
+    orderItems: {
+      // An order without items cannot be placed, neither in SQL nor in Mongo mode.
+      bsonType: "array",
+      minItems: 1,
+      items: {
+        bsonType: "object",
+        required: ["quantity", "unitPrice"],
+        properties: {
+          menuItemId: NUMBER_OR_NULL,
+          name: { bsonType: ["string", "null"], minLength: 1 },
+          quantity: { bsonType: "number", minimum: 1 },
+          unitPrice: AMOUNT
+        }
+      }
+    },
+    payment: {
+      bsonType: ["object", "null"],
+      required: ["amount", "method"],
+      properties: {
+        paymentId: NUMBER_OR_NULL,
+        amount: AMOUNT,
+        method: NAME,
+        paidAt: DATE_OR_NULL
+      }
+    },
+    delivery: {
+      bsonType: ["object", "null"],
+      required: ["deliveryId", "deliveryStatus"],
+      properties: {
+        deliveryId: NUMBER,
+        deliveryStatus: NAME,
+        assignedAt: DATE_OR_NULL,
+        rider: {
+          bsonType: ["object", "null"],
+          required: ["personId", "email"],
+          properties: {
+            personId: NUMBER,
+            name: STRING,
+            email: NAME,
+            vehicleType: STRING_OR_NULL,
+            rating: NUMBER_OR_NULL
+          }
+        }
+      }
+    }
+  }
+};
+
+const MONGO_SCHEMAS = {
+  restaurants: RESTAURANT_SCHEMA,
+  people: PERSON_SCHEMA,
+  orders: ORDER_SCHEMA
+};
+
+function joinPath(path, name) {
+  if ( path ) {
+    return `${path}.${name}`;
+  }
+  return String(name);
+}
+
+function collectRuleFailures(rules, path, out) {
+  /*
+    MongoDB explains a rejected document as nested rules (properties -> items -> bsonType, ...).
+    We flatten them into "field.path: reason" lines that fit into an API error or a migration report.
+  */
+  for ( const rule of rules || [] ) {
+    if ( rule.propertiesNotSatisfied ) {
+      for ( const prop of rule.propertiesNotSatisfied ) {
+        collectRuleFailures(prop.details, joinPath(path, prop.propertyName), out);
+      }
+    } 
+    else if ( rule.missingProperties ) {
+      for ( const name of rule.missingProperties ) {
+        out.push(`${joinPath(path, name)}: required`);
+      }
+    } 
+    else if ( rule.itemIndex !== undefined && rule.details ) {
+      collectRuleFailures(rule.details, joinPath(path, rule.itemIndex), out);
+    } 
+    else {
+      let reason;
+
+      if ( rule.reason ) {
+        reason = rule.reason;
+      } 
+      else {
+        reason = `${rule.operatorName} not satisfied`;
+      }
+
+      out.push(`${path || "document"}: ${reason}`);
+    }
+  }
+
+  return out;
+}
+
+function summarizeValidationError(errInfo) {
+  const failures = collectRuleFailures(errInfo?.details?.schemaRulesNotSatisfied, "", []);
+
+  if ( !failures.length ) {
+    return ["document failed validation"];
+  }
+
+  return failures;
+}
+
+module.exports = { MONGO_SCHEMAS, MONGO_ORIGIN, MONGO_ORDER_ID_BASE, summarizeValidationError };
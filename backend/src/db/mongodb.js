@@ -3,10 +3,18 @@
   We keep MongoDB access in one place. We open a single MongoClient lazily (first call wins)
   and then reuse it for the lifetime of the Node process. We also create the indexes our
   API depends on so common lookups and reports stay fast, and so a few fields are truly unique.
+  Next to the indexes we install the `$jsonSchema` validators from `mongoSchemas.js`.
+  We also tell whether the deployment supports multi-document transactions (the migration uses them if so).
 */
 
 const { MongoClient } = require("mongodb");
 const { config } = require("../config");
+const { MONGO_SCHEMAS } = require("./mongoSchemas");
+
+// MongoDB reports a rejected document with this code (also per document inside a bulk write error).
+const DOCUMENT_VALIDATION_FAILURE = 121;
+
+const VALIDATION_LEVELS = ["strict", "moderate", "off"];
 
 let client;
 
@@ -24,77 +32,233 @@ async function getMongo() {
   return { client, db };
 }
 
-async function ensureMongoIndexes() {
-  const { db } = await getMongo();
-
+/*
+  Index definitions:
+  We keep every index as data (collection + keys + options) so the same definitions can be applied
+  to the live collections at startup and to staging collections during a migration.
+*/
+const MONGO_INDEXES = [
   /*
     Uniqueness guarantees:
     We enforce uniqueness in Mongo itself (not just in application code) so we can't end up
     with duplicate IDs/emails even under concurrency.
   */
-  await db.collection("orders").createIndex({ orderId: 1 }, { name: "idx_orders_orderId_unique", unique: true });
+  { collection: "orders", keys: { orderId: 1 }, options: { name: "idx_orders_orderId_unique", unique: true } },
 
   /*
     Quick login/lookup by email:
     We store both customers and riders in `people`, so email needs to be fast and unique there.
   */
-  await db.collection("people").createIndex({ email: 1 }, { name: "idx_people_email_unique", unique: true });
+  { collection: "people", keys: { email: 1 }, options: { name: "idx_people_email_unique", unique: true } },
 
   /*
     Student 1 (orders + report):
     We index by restaurant name and creation time because the UI/report filters by restaurant
     and tends to show newest orders first.
   */
-  await db.collection("orders").createIndex(
-    { "restaurant.name": 1, createdAt: -1 },
-    { name: "idx_orders_student1_report" }
-  );
+  {
+    collection: "orders",
+    keys: { "restaurant.name": 1, createdAt: -1 },
+    options: { name: "idx_orders_student1_report" }
+  },
 
   /*
     Payment lookup:
     `orderId` is already unique, but We keep a named index we can rely on (and evolve) that matches
     how the payment flow queries orders.
-    Note: createIndex is idempotent - if the index already exists with the same spec, it does nothing.
   */
-  await db.collection("orders").createIndex(
-    { orderId: 1, "payment.paidAt": 1 },
-    { name: "idx_orders_payment_lookup" }
-  );
+  {
+    collection: "orders",
+    keys: { orderId: 1, "payment.paidAt": 1 },
+    options: { name: "idx_orders_payment_lookup" }
+  },
 
   /*
     Student 2 (delivery + report):
     We index by rider email + timestamps + delivery status because assignment/reporting filters on those.
-    Note: createIndex is idempotent - if the index already exists with the same spec, it does nothing.
   */
-  await db.collection("orders").createIndex(
-    { "delivery.rider.email": 1, createdAt: -1, "delivery.deliveryStatus": 1, "delivery.assignedAt": -1 },
-    { name: "idx_orders_student2_report" }
-  );
+  {
+    collection: "orders",
+    keys: { "delivery.rider.email": 1, createdAt: -1, "delivery.deliveryStatus": 1, "delivery.assignedAt": -1 },
+    options: { name: "idx_orders_student2_report" }
+  },
 
   /*
     Restaurant lookup:
     We keep restaurant names unique and fast to query because ordering/menu endpoints look them up by name.
   */
-  await db.collection("restaurants").createIndex(
-    { name: 1 },
-    { name: "idx_restaurants_name_unique", unique: true }
-  );
+  {
+    collection: "restaurants",
+    keys: { name: 1 },
+    options: { name: "idx_restaurants_name_unique", unique: true }
+  },
+
+  /*
+    Rider employers:
+    `rider.worksFor` is an array, so this is a multikey index. It answers "which riders work for
+    restaurant X" (e.g. `db.people.find({ "rider.worksFor.restaurantId": 3 })`) without a collection scan.
+  */
+  {
+    collection: "people",
+    keys: { "rider.worksFor.restaurantId": 1 },
+    options: { name: "idx_people_rider_works_for" }
+  },
+
+  /*
+    Migration history:
+    The admin history lists the newest runs first; runId is how a run is updated when it ends.
+  */
+  {
+    collection: "migration_runs",
+    keys: { runId: 1 },
+    options: { name: "idx_migration_runs_runId_unique", unique: true }
+  },
+  {
+    collection: "migration_runs",
+    keys: { startedAt: -1 },
+    options: { name: "idx_migration_runs_startedAt" }
+  },
+
+  /*
+    Migration backups:
+    One catalog entry per backup; rollback looks a backup up by id, retention walks them oldest first.
+  */
+  {
+    collection: "migration_backups",
+    keys: { backupId: 1 },
+    options: { name: "idx_migration_backups_backupId_unique", unique: true }
+  },
+  {
+    collection: "migration_backups",
+    keys: { createdAt: -1 },
+    options: { name: "idx_migration_backups_createdAt" }
+  },
 
   /*
     Extra reporting support:
     These are more "general" indexes that help date-range reporting patterns.
   */
-  await db.collection("orders").createIndex(
-    { "restaurant.name": 1, createdAt: 1 },
-    { name: "idx_orders_restaurant_date" }
-  );
+  {
+    collection: "orders",
+    keys: { "restaurant.name": 1, createdAt: 1 },
+    options: { name: "idx_orders_restaurant_date" }
+  },
 
   // Rider assignment/report queries are built around rider + status + assignedAt.
-  // Note: createIndex is idempotent - if the index already exists with the same spec, it does nothing.
-  await db.collection("orders").createIndex(
-    { "delivery.rider.email": 1, "delivery.deliveryStatus": 1, "delivery.assignedAt": -1 },
-    { name: "idx_orders_rider_assignment" }
-  );
+  {
+    collection: "orders",
+    keys: { "delivery.rider.email": 1, "delivery.deliveryStatus": 1, "delivery.assignedAt": -1 },
+    options: { name: "idx_orders_rider_assignment" }
+  }
+];
+
+async function supportsTransactions() {
+  /*
+    Multi-document transactions need a replica set (a single node is enough) or a sharded cluster.
+    We ask the server every time, so switching the deployment does not need a backend restart.
+  */
+  const { db } = await getMongo();
+  const hello = await db.admin().command({ hello: 1 });
+
+  return Boolean(hello.setName) || hello.msg === "isdbgrid";
+}
+
+async function ensureIndexesFor(db, collection, targetName) {
+  /*
+    We create the indexes defined for `collection` on `targetName` (defaults to the same name).
+    The migration uses this to build the exact same indexes on a staging collection before the swap.
+    Note: createIndex is idempotent - if the index already exists with the same spec, it does nothing.
+  */
+  let name;
+
+  if ( targetName ) {
+    name = targetName;
+  } 
+  else {
+    name = collection;
+  }
+
+  for ( const def of MONGO_INDEXES ) {
+    if ( def.collection === collection ) {
+      await db.collection(name).createIndex(def.keys, def.options);
+    }
+  }
+}
+
+async function ensureMongoIndexes() {
+  const { db } = await getMongo();
+
+  const collections = new Set(MONGO_INDEXES.map(function(def) {
+    return def.collection;
+  }));
+
+  for ( const collection of collections ) {
+    await ensureIndexesFor(db, collection);
+  }
+}
+
+function validatorOptionsFor(collection) {
+  /*
+    The collection options that carry the validator for `collection`. Without a schema, or with
+    `MONGO_VALIDATION_LEVEL=off`, we install an empty validator, which also removes an earlier one.
+  */
+  const schema = MONGO_SCHEMAS[collection];
+
+  if ( !VALIDATION_LEVELS.includes(config.mongodb.validationLevel) ) {
+    throw new Error(`MONGO_VALIDATION_LEVEL must be one of: ${VALIDATION_LEVELS.join(", ")}`);
+  }
+
+  if ( !schema || config.mongodb.validationLevel === "off" ) {
+    return { validator: {}, validationLevel: "off" };
+  }
+
+  return {
+    validator: { $jsonSchema: schema },
+    validationLevel: config.mongodb.validationLevel,
+    validationAction: "error"
+  };
+}
+
+async function ensureValidatorFor(db, collection, targetName) {
+  /*
+    Like `ensureIndexesFor`: we apply the validator of `collection` to `targetName` (defaults to the same name).
+    A missing collection is created with it; an existing one is changed with `collMod`, which does not
+    re-check the documents already stored.
+  */
+  let name;
+
+  if ( targetName ) {
+    name = targetName;
+  } 
+  else {
+    name = collection;
+  }
+
+  const existing = await db.listCollections({ name }, { nameOnly: true }).toArray();
+
+  if ( existing.length ) {
+    await db.command({ collMod: name, ...validatorOptionsFor(collection) });
+  } 
+  else {
+    await db.createCollection(name, validatorOptionsFor(collection));
+  }
+}
+
+async function ensureMongoValidators() {
+  const { db } = await getMongo();
+
+  for ( const collection of Object.keys(MONGO_SCHEMAS) ) {
+    await ensureValidatorFor(db, collection);
+  }
 }
 
-module.exports = { getMongo, ensureMongoIndexes };
+module.exports = {
+  getMongo,
+  supportsTransactions,
+  ensureMongoIndexes,
+  ensureIndexesFor,
+  ensureMongoValidators,
+  ensureValidatorFor,
+  MONGO_INDEXES,
+  DOCUMENT_VALIDATION_FAILURE
+};
@@ -1,26 +1,68 @@
 // File flow:
-// - We expose endpoints to reset/import demo data into MariaDB.
+// - We expose endpoints to reset/import demo data into MariaDB (the body can size the dataset), or to append a
+//   generated batch of customers and orders to the existing data; named scenarios preset both for a demo situation.
+// - We load restaurants, menus and people from uploaded CSV files instead of the generated catalogue.
 // - We return simple lookup lists (riders, customers, restaurants, menu items).
 // - We list orders with optional filters and a safe limit.
+// - Restaurants and menus also have Mongo-backed twins (`/mongo/...`) that read the embedded menu after migration.
 
 const express = require("express");
 
-const { importResetMariaDb } = require("../services/importReset");
+const { importResetMariaDb, parseDatasetOptions, SCENARIOS } = require("../services/importReset");
+const { importCsvMariaDb } = require("../services/csvImport");
 const { withConn } = require("../db/mariadb");
+const { getMongo } = require("../db/mongodb");
+const { upgradeDocument } = require("../services/schemaVersions");
 
 const importRouter = express.Router();
 
-importRouter.post("/import_reset", async function(_req, res, next) {
+importRouter.post("/import_reset", async function(req, res, next) {
   try {
-    // We reset the SQL database back to a known demo state.
-    const result = await importResetMariaDb();
-    res.json({ ok: true, inserted: result });
+    // Invalid sizes are answered with 400 before anything is deleted.
+    const dataset = parseDatasetOptions(req.body);
+
+    // We reset the SQL database back to a known demo state (or, with `mode: "append"`, add to it).
+    const result = await importResetMariaDb(dataset);
+    res.json({ ok: true, dataset, inserted: result.inserted, throughput: result.throughput });
   } 
   catch (e) {
     next(e);
   }
 });
 
+importRouter.get("/import_scenarios", function(_req, res) {
+  // The Admin modal lists these presets and shows what each one should make the reports say.
+  const scenarios = Object.keys(SCENARIOS).map(function(name) {
+    const scenario = SCENARIOS[name];
+
+    return {
+      name,
+      label: scenario.label,
+      description: scenario.description,
+      expected: scenario.expected,
+      dataset: scenario.dataset
+    };
+  });
+
+  res.json({ ok: true, scenarios });
+});
+
+importRouter.post("/import_csv", async function(req, res, next) {
+  try {
+    // The body carries the file contents as text: { restaurants, menuItems, people }.
+    const result = await importCsvMariaDb(req.body);
+    res.json({ ok: true, inserted: result.inserted });
+  } 
+  catch (e) {
+    if ( e.csvErrors ) {
+      // Validation failed: answer every line-numbered problem at once (nothing was written).
+      res.status(400).json({ ok: false, error: e.message, errorCount: e.csvErrorCount, errors: e.csvErrors });
+      return;
+    }
+    next(e);
+  }
+});
+
 importRouter.get("/riders", async function(_req, res, next) {
   try {
     // We read riders joined with person so We can return name + email.
@@ -135,6 +177,71 @@ importRouter.get("/menu_items", async function(req, res, next) {
 
 
 
+importRouter.get("/mongo/restaurants", async function(_req, res, next) {
+  try {
+    // Same list as `/restaurants`, read from the migrated restaurants collection.
+    const { db } = await getMongo();
+    const restaurants = await db
+      .collection("restaurants")
+      .find({}, { projection: { _id: 0, restaurantId: 1, name: 1, address: 1 } })
+      .sort({ name: 1 })
+      .toArray();
+    res.json({ ok: true, restaurants });
+  } 
+  catch (e) {
+    next(e);
+  }
+});
+
+
+
+importRouter.get("/mongo/menu_items", async function(req, res, next) {
+  try {
+    const restaurantName = req.query.restaurantName;
+
+    if ( !restaurantName ) {
+      // No restaurant selected, so We return an empty list.
+      return res.json({ ok: true, menuItems: [] });
+    }
+
+    // The menu is embedded in the restaurant document, so this is one indexed lookup by name.
+    const { db } = await getMongo();
+    const restaurant = upgradeDocument("restaurants", await db
+      .collection("restaurants")
+      .findOne({ name: String(restaurantName) }, { projection: { _id: 0, schemaVersion: 1, name: 1, menu: 1 } }));
+
+    let menu = [];
+
+    // Restaurants migrated before menus were embedded come back with an empty menu after the upgrade.
+    if ( restaurant ) {
+      menu = restaurant.menu;
+    }
+
+    // We return the same shape as `/menu_items` (plus category names), sorted by name like the SQL query.
+    const menuItems = menu
+      .map(function(m) {
+        return {
+          menuItemId: m.menuItemId,
+          name: m.name,
+          description: m.description,
+          price: m.price,
+          categories: m.categories,
+          restaurantName: restaurant.name
+        };
+      })
+      .sort(function(a, b) {
+        return a.name.localeCompare(b.name);
+      });
+
+    res.json({ ok: true, menuItems });
+  } 
+  catch (e) {
+    next(e);
+  }
+});
+
+
+
 importRouter.get("/orders", async function(req, res, next) {
   try {
     // We parse optional filters from the query string.
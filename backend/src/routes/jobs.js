@@ -0,0 +1,71 @@
+// File flow:
+// - We expose the status of background jobs (e.g. migrations started with `background: true`).
+// - `GET /jobs/:id` returns one snapshot for polling.
+// - `GET /jobs/:id/events` streams every update as Server-Sent Events until the job finishes.
+
+const express = require("express");
+
+const { getJob, subscribe } = require("../services/jobs");
+
+const jobsRouter = express.Router();
+
+function notFound(message) {
+  const e = new Error(message);
+  e.status = 404;
+  return e;
+}
+
+
+
+jobsRouter.get("/jobs/:id", function(req, res, next) {
+  try {
+    const job = getJob(String(req.params.id));
+    if ( !job ) {
+      throw notFound("job not found");
+    }
+    res.json({ ok: true, job });
+  } 
+  catch (e) {
+    next(e);
+  }
+});
+
+
+
+jobsRouter.get("/jobs/:id/events", function(req, res, next) {
+  try {
+    const id = String(req.params.id);
+    const job = getJob(id);
+    if ( !job ) {
+      throw notFound("job not found");
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive"
+    });
+    res.flushHeaders();
+
+    function send(snapshot) {
+      res.write(`data: ${JSON.stringify(snapshot)}\n\n`);
+
+      // We close the stream once the job is over so the browser's EventSource does not hang around.
+      if ( snapshot.status !== "running" ) {
+        unsubscribe();
+        res.end();
+      }
+    }
+
+    // We subscribe before sending the first snapshot so no update can slip in between.
+    const unsubscribe = subscribe(id, send);
+    req.on("close", unsubscribe);
+
+    send(job);
+  } 
+  catch (e) {
+    next(e);
+  }
+});
+
+module.exports = { jobsRouter };
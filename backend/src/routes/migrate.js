@@ -1,17 +1,165 @@
 // File flow:
 // - We expose one endpoint to trigger SQL -> Mongo migration.
-// - We call the migration service and return the counts inserted.
+// - We validate the requested mode (full replace or incremental upsert).
+// - With `dryRun: true` we only return a per-document diff and write nothing.
+// - With a `scope` (restaurant names, from/to, order ids) only that slice is read and replaced in Mongo.
+// - Otherwise we call the migration service and return the counts it reports.
+// - With `background: true` we start a job instead and return its id right away (see `/api/jobs/:id`).
+// - We expose a verify endpoint that compares SQL and Mongo per document checksum.
+// - We expose the SQL integrity check (orphans, payment/total mismatches, odd deliveries); `integrity` picks
+//   what a migration does with affected orders: abort, skip or warn.
+// - We expose the reverse direction too: rebuild the SQL order/people tables from the Mongo documents.
+// - Only one migration, rollback, bundle import or document upgrade runs at a time, in the foreground or as a job
+//   (see `migrationLock.js`); the others are answered with 409.
+// - Every run can carry an operator `note`; `/migration/history` lists the recorded runs.
+// - Every migration backs up the read model first; `/migration/backups` lists them and `/migration/rollback` restores one.
+// - We report the outbox relay (SQL change events projected into Mongo): pending, failing and processed events.
+// - We report how many Mongo documents sit at each schema version and can bulk-upgrade them to the latest.
+// - We export the migration snapshot as a JSONL bundle on disk and load such a bundle into Mongo like a migration.
 
 const express = require("express");
 
-const { migrateSqlToMongo } = require("../services/migrateSqlToMongo");
+const { migrateSqlToMongo, previewMigration, MIGRATION_MODES } = require("../services/migrateSqlToMongo");
+const { verifyMigration } = require("../services/verifyMigration");
+const { migrateMongoToSql } = require("../services/migrateMongoToSql");
+const { MAX_BATCH_SIZE } = require("../services/sqlSnapshot");
+const { startJob } = require("../services/jobs");
+const { acquireMigrationLock, withMigrationLock } = require("../services/migrationLock");
+const { listMigrationRuns, MAX_NOTE_LENGTH, MAX_HISTORY_LIMIT } = require("../services/migrationRuns");
+const { describeSchemaVersions, countSchemaVersions, upgradeAllDocuments } = require("../services/schemaVersions");
+const { outboxStatus } = require("../services/outboxRelay");
+const { listBackups, restoreBackup } = require("../services/migrationBackups");
+const { parseScope } = require("../services/migrationScope");
+const { checkSqlIntegrity, INTEGRITY_POLICIES } = require("../services/sqlIntegrity");
+const {
+  exportSnapshotBundle,
+  listBundles,
+  readManifest,
+  importSnapshotBundle,
+  previewSnapshotBundle
+} = require("../services/snapshotBundle");
 
 const migrateRouter = express.Router();
 
-migrateRouter.post("/migrate_to_mongo", async function(_req, res, next) {
+function badRequest(message) {
+  const e = new Error(message);
+  e.status = 400;
+  return e;
+}
+
+function startLockedJob(release, run) {
+  // The job holds the migration lock until it settles, however it ends.
   try {
+    return startJob("migration", async function(report) {
+      try {
+        return await run(report);
+      } 
+      finally {
+        release();
+      }
+    });
+  } 
+  catch (e) {
+    release();
+    throw e;
+  }
+}
+
+function parseBatchSize(body) {
+  if ( body?.batchSize == null ) {
+    // The services fall back to MIGRATION_BATCH_SIZE from config.
+    return null;
+  }
+
+  const batchSize = Number(body.batchSize);
+
+  if ( !Number.isInteger(batchSize) || batchSize <= 0 || batchSize > MAX_BATCH_SIZE ) {
+    throw badRequest(`batchSize must be an integer between 1 and ${MAX_BATCH_SIZE}`);
+  }
+
+  return batchSize;
+}
+
+function parseMode(body) {
+  let mode;
+
+  if ( body?.mode ) {
+    mode = String(body.mode);
+  } 
+  else {
+    mode = "full";
+  }
+
+  if ( !MIGRATION_MODES.includes(mode) ) {
+    throw badRequest(`mode must be one of: ${MIGRATION_MODES.join(", ")}`);
+  }
+
+  return mode;
+}
+
+function parseIntegrity(body) {
+  if ( body?.integrity == null ) {
+    // The service defaults to "warn": migrate everything and report what looks broken.
+    return null;
+  }
+
+  const integrity = String(body.integrity);
+
+  if ( !INTEGRITY_POLICIES.includes(integrity) ) {
+    throw badRequest(`integrity must be one of: ${INTEGRITY_POLICIES.join(", ")}`);
+  }
+
+  return integrity;
+}
+
+function parseNote(body) {
+  if ( body?.note == null || String(body.note).trim() === "" ) {
+    return null;
+  }
+
+  const note = String(body.note).trim();
+
+  if ( note.length > MAX_NOTE_LENGTH ) {
+    throw badRequest(`note must be at most ${MAX_NOTE_LENGTH} characters`);
+  }
+
+  return note;
+}
+
+
+
+migrateRouter.post("/migrate_to_mongo", async function(req, res, next) {
+  try {
+    const mode = parseMode(req.body);
+    const batchSize = parseBatchSize(req.body);
+    const note = parseNote(req.body);
+    const scope = parseScope(req.body?.scope);
+    const integrity = parseIntegrity(req.body);
+
+    if ( scope && mode !== "full" ) {
+      throw badRequest("scope can only be used with mode full");
+    }
+
+    if ( req.body?.dryRun === true ) {
+      // We preview what the migration would change so the operator can check before writing.
+      const diff = await previewMigration({ mode, batchSize, scope, integrity });
+      return res.json({ ok: true, dryRun: true, diff });
+    }
+
+    if ( req.body?.background === true ) {
+      // We return immediately; the UI follows progress via `/api/jobs/:id` or its SSE stream.
+      // Two migrations at once would fight over the same staging collections, so the job holds the lock.
+      const release = await acquireMigrationLock("migrate_to_mongo");
+      const job = startLockedJob(release, function(report) {
+        return migrateSqlToMongo({ mode, batchSize, note, scope, integrity, onProgress: report });
+      });
+      return res.status(202).json({ ok: true, job });
+    }
+
     // We move the current SQL snapshot into Mongo so the student endpoints can run on Mongo.
-    const result = await migrateSqlToMongo();
+    const result = await withMigrationLock("migrate_to_mongo", function() {
+      return migrateSqlToMongo({ mode, batchSize, note, scope, integrity });
+    });
     res.json({ ok: true, migrated: result });
   } 
   catch (e) {
@@ -19,5 +167,212 @@ migrateRouter.post("/migrate_to_mongo", async function(_req, res, next) {
   }
 });
 
-module.exports = { migrateRouter };
+migrateRouter.get("/migration/verify", async function(_req, res, next) {
+  try {
+    // We walk both stores and report exactly which documents drifted (read-only).
+    const report = await verifyMigration();
+    res.json({ ok: true, ...report });
+  } 
+  catch (e) {
+    next(e);
+  }
+});
+
+migrateRouter.get("/migration/integrity", async function(_req, res, next) {
+  try {
+    // The same check a migration runs first, on its own and read-only.
+    const { report } = await checkSqlIntegrity();
+    res.json({ ok: true, ...report });
+  } 
+  catch (e) {
+    next(e);
+  }
+});
+
+migrateRouter.get("/migration/history", async function(req, res, next) {
+  try {
+    let limit = 20;
+
+    if ( req.query.limit != null ) {
+      limit = Number(req.query.limit);
+
+      if ( !Number.isInteger(limit) || limit <= 0 || limit > MAX_HISTORY_LIMIT ) {
+        throw badRequest(`limit must be an integer between 1 and ${MAX_HISTORY_LIMIT}`);
+      }
+    }
+
+    // Newest first; each entry is one recorded run in either direction.
+    const runs = await listMigrationRuns({ limit });
+    res.json({ ok: true, runs });
+  } 
+  catch (e) {
+    next(e);
+  }
+});
+
+migrateRouter.post("/migrate_to_sql", async function(req, res, next) {
+  try {
+    const batchSize = parseBatchSize(req.body);
+    const note = parseNote(req.body);
+
+    // We flatten the Mongo documents back into rows so we can show the round trip loses nothing.
+    // A migration in flight would read SQL while we rewrite it, hence the lock.
+    const result = await withMigrationLock("migrate_to_sql", function() {
+      return migrateMongoToSql({ batchSize, note });
+    });
+    res.json({ ok: true, migrated: result });
+  } 
+  catch (e) {
+    next(e);
+  }
+});
 
+migrateRouter.get("/migration/backups", async function(_req, res, next) {
+  try {
+    // Newest first; each entry names its backup collections and their document counts.
+    const backups = await listBackups();
+    res.json({ ok: true, backups });
+  } 
+  catch (e) {
+    next(e);
+  }
+});
+
+migrateRouter.post("/migration/rollback", async function(req, res, next) {
+  try {
+    let backupId;
+
+    if ( req.body?.backupId ) {
+      backupId = String(req.body.backupId);
+    } 
+    else {
+      backupId = "";
+    }
+
+    if ( !backupId ) {
+      throw badRequest("backupId is required");
+    }
+
+    const note = parseNote(req.body);
+
+    // We restore the collections and the migration marker exactly as they were when the backup was taken.
+    // A migration in flight would swap its own collections in over the restored ones, hence the lock.
+    const result = await withMigrationLock("rollback", function() {
+      return restoreBackup(backupId, { note });
+    });
+    res.json({ ok: true, ...result });
+  } 
+  catch (e) {
+    next(e);
+  }
+});
+
+migrateRouter.get("/migration/schema_versions", async function(_req, res, next) {
+  try {
+    // We show the registered upgrades next to what is actually stored, per collection.
+    const counts = await countSchemaVersions();
+    res.json({ ok: true, schemas: describeSchemaVersions(), counts });
+  } 
+  catch (e) {
+    next(e);
+  }
+});
+
+migrateRouter.post("/migration/upgrade_documents", async function(req, res, next) {
+  try {
+    const batchSize = parseBatchSize(req.body);
+
+    // Readers already upgrade on the fly; this makes the stored documents current as well.
+    // A full migration swaps whole collections, so upgrading in parallel would write into the old ones.
+    const upgraded = await withMigrationLock("upgrade_documents", function() {
+      return upgradeAllDocuments({ batchSize });
+    });
+    res.json({ ok: true, upgraded, counts: await countSchemaVersions() });
+  } 
+  catch (e) {
+    next(e);
+  }
+});
+
+migrateRouter.get("/migration/outbox", async function(_req, res, next) {
+  try {
+    // Lets the operator see whether the read model is keeping up with SQL writes.
+    const status = await outboxStatus();
+    res.json({ ok: true, ...status });
+  } 
+  catch (e) {
+    next(e);
+  }
+});
+
+migrateRouter.post("/migration/export", async function(req, res, next) {
+  try {
+    const batchSize = parseBatchSize(req.body);
+
+    // We only read SQL here; the bundle lands in SNAPSHOT_BUNDLE_DIR and can be copied to a teammate.
+    const bundle = await exportSnapshotBundle({ batchSize });
+    res.json({ ok: true, bundle });
+  } 
+  catch (e) {
+    next(e);
+  }
+});
+
+migrateRouter.get("/migration/bundles", async function(_req, res, next) {
+  try {
+    // Newest first; each entry is the bundle's manifest (counts and checksums per collection).
+    const bundles = await listBundles();
+    res.json({ ok: true, bundles });
+  } 
+  catch (e) {
+    next(e);
+  }
+});
+
+migrateRouter.post("/migration/import_bundle", async function(req, res, next) {
+  try {
+    let bundleId;
+
+    if ( req.body?.bundleId ) {
+      bundleId = String(req.body.bundleId);
+    } 
+    else {
+      bundleId = "";
+    }
+
+    if ( !bundleId ) {
+      throw badRequest("bundleId is required");
+    }
+
+    const mode = parseMode(req.body);
+    const batchSize = parseBatchSize(req.body);
+    const note = parseNote(req.body);
+
+    if ( req.body?.dryRun === true ) {
+      // Same diff as a dry-run migration, with the bundle instead of SQL on the left-hand side.
+      const diff = await previewSnapshotBundle(bundleId, { mode, batchSize });
+      return res.json({ ok: true, dryRun: true, diff });
+    }
+
+    // Loading a bundle swaps the same collections a migration does, so it takes the migration lock too.
+    if ( req.body?.background === true ) {
+      // An unknown or malformed bundle is answered right away instead of as a failed job.
+      await readManifest(bundleId);
+      const release = await acquireMigrationLock("import_bundle");
+      const job = startLockedJob(release, function(report) {
+        return importSnapshotBundle(bundleId, { mode, batchSize, note, onProgress: report });
+      });
+      return res.status(202).json({ ok: true, job });
+    }
+
+    const result = await withMigrationLock("import_bundle", function() {
+      return importSnapshotBundle(bundleId, { mode, batchSize, note });
+    });
+    res.json({ ok: true, bundleId, migrated: result });
+  } 
+  catch (e) {
+    next(e);
+  }
+});
+
+module.exports = { migrateRouter };
@@ -2,12 +2,18 @@
 // - We expose Student 1 endpoints for placing orders, paying, and generating reports.
 // - We support both MariaDB and Mongo with the same response shape.
 // - We validate inputs, write atomically, and return consistent JSON for the UI.
+// - SQL writes also append an outbox event in their transaction, so the relay can keep Mongo fresh.
+// - Mongo documents we insert carry the latest `schemaVersion`; documents we read are upgraded to it first.
+// - Mongo inserts also pass the orders `$jsonSchema` validator; an order it rejects is answered with 400.
 
 const express = require("express");
 
 const { withTx, withConn } = require("../db/mariadb");
-const { getMongo } = require("../db/mongodb");
+const { getMongo, DOCUMENT_VALIDATION_FAILURE } = require("../db/mongodb");
+const { summarizeValidationError, MONGO_ORIGIN, MONGO_ORDER_ID_BASE } = require("../db/mongoSchemas");
 const { toJsonSafeNumber, toMoneyString } = require("../utils/json");
+const { latestSchemaVersion, upgradeDocument, upgradeDocuments } = require("../services/schemaVersions");
+const { appendOrderEvent } = require("../services/outbox");
 
 const student1Router = express.Router();
 
@@ -30,6 +36,20 @@ function conflict(message) {
 }
 
 
+async function nextMongoOrderId(db) {
+  // The next free id in the Mongo-mode range (see MONGO_ORDER_ID_BASE), so an order placed in SQL later and relayed
+  // into Mongo never gets the id of a Mongo-mode order. The unique orderId index catches two requests racing for it.
+  const last = await db.collection("orders").findOne(
+    { orderId: { $gte: MONGO_ORDER_ID_BASE } },
+    { sort: { orderId: -1 }, projection: { _id: 0, orderId: 1 } }
+  );
+
+  if ( last?.orderId ) {
+    return Number(last.orderId) + 1;
+  }
+
+  return MONGO_ORDER_ID_BASE;
+}
 
 function parseIsoDateOrNull(v, fieldName) {
   // We accept empty values as null, otherwise We enforce a real ISO date.
@@ -271,6 +291,9 @@ student1Router.post("/student1/sql/place_order", async function(req, res, next)
       // We update the order total after inserting items so it matches the final computed sum.
       await conn.query("UPDATE `order` SET total_amount = ? WHERE order_id = ?", [totalAmount, orderId]);
 
+      // We record the change for the Mongo read model in the same transaction (see services/outbox.js).
+      await appendOrderEvent(conn, "order_placed", orderId);
+
       return {
         orderId,
         createdAt: now,
@@ -520,6 +543,8 @@ student1Router.post("/student1/sql/place_and_pay", async function(req, res, next
         [orderId]
       );
 
+      await appendOrderEvent(conn, "order_placed", orderId);
+
       const order = {
         orderId,
         createdAt: now,
@@ -637,6 +662,9 @@ student1Router.post("/student1/sql/pay", async function(req, res, next) {
         `,
         [orderId]
       );
+
+      await appendOrderEvent(conn, "order_paid", orderId);
+
       return out[0];
     });
 
@@ -833,6 +861,72 @@ student1Router.get("/student1/sql/report", async function(req, res, next) {
 // Use case: Place order + pay
 // -------------------------
 
+function resolveMenuItems(restaurant, items) {
+  // Like the SQL endpoints we look every item up in the restaurant's (embedded) menu by menuItemId, or by name,
+  // and take name and price from there; whatever name or price the client sent is ignored.
+  let menu;
+
+  if ( Array.isArray(restaurant.menu) ) {
+    menu = restaurant.menu;
+  } 
+  else {
+    menu = [];
+  }
+
+  let totalCents = 0;
+  const normalizedItems = items.map(function(it, idx) {
+    const quantity = toPositiveInt(it?.quantity, `items[${idx}].quantity`);
+    let menuItem;
+
+    if ( it?.menuItemId != null && String(it.menuItemId).trim() !== "" ) {
+      const menuItemId = Number(it.menuItemId);
+      if ( !Number.isFinite(menuItemId) ) {
+        throw badRequest(`items[${idx}].menuItemId must be a number`);
+      }
+      menuItem = menu.find(function(m) {
+        return Number(m.menuItemId) === menuItemId;
+      });
+    } 
+    else {
+      let name;
+
+      if ( it?.menuItemName != null && String(it.menuItemName).trim() !== "" ) {
+        name = String(it.menuItemName);
+      } 
+      else if ( it?.name != null && String(it.name).trim() !== "" ) {
+        name = String(it.name);
+      } 
+      else {
+        throw badRequest(`items[${idx}] must include menuItemId or menuItemName`);
+      }
+
+      const matches = menu.filter(function(m) {
+        return m.name === name;
+      });
+      if ( matches.length > 1 ) {
+        throw badRequest(`menu item name is not unique for items[${idx}] (use menuItemId instead)`);
+      }
+      menuItem = matches[0];
+    }
+
+    if ( !menuItem ) {
+      throw badRequest(`items[${idx}] is not on the menu of ${restaurant.name}`);
+    }
+
+    const unitPriceCents = priceToCents(menuItem.price, `items[${idx}].unitPrice`);
+    totalCents += unitPriceCents * quantity;
+
+    return {
+      menuItemId: Number(menuItem.menuItemId),
+      name: menuItem.name,
+      quantity,
+      unitPrice: centsToAmount(unitPriceCents)
+    };
+  });
+
+  return { normalizedItems, totalCents };
+}
+
 student1Router.post("/student1/mongo/place_order", async function(req, res, next) {
   try {
     // We validate inputs, normalize items, then insert one order document into Mongo.
@@ -875,52 +969,17 @@ student1Router.post("/student1/mongo/place_order", async function(req, res, next
 
     const { db } = await getMongo();
 
-    const customer = await db.collection("people").findOne({ type: "customer", email: customerEmail });
+    const customer = upgradeDocument("people", await db.collection("people").findOne({ type: "customer", email: customerEmail }));
     if ( !customer ) {
       throw notFound("customer not found");
     }
 
-    const restaurant = await db.collection("restaurants").findOne({ name: restaurantName });
+    const restaurant = upgradeDocument("restaurants", await db.collection("restaurants").findOne({ name: restaurantName }));
     if ( !restaurant ) {
       throw notFound("restaurant not found");
     }
 
-    let totalCents = 0;
-    const normalizedItems = items.map(function(it, idx) {
-      // We normalize each item and compute the running total in cents.
-      let name;
-      
-      if ( it?.name != null && String(it.name).trim() !== "" ) {
-        name = String(it.name);
-      } 
-      else {
-        name = null;
-      }
-      const quantity = toPositiveInt(it?.quantity, `items[${idx}].quantity`);
-      const unitPriceCents = priceToCents(it?.unitPrice, `items[${idx}].unitPrice`);
-      const unitPrice = centsToAmount(unitPriceCents);
-      if ( !name ) {
-        throw badRequest(`items[${idx}].name is required`);
-      }
-      totalCents += unitPriceCents * quantity;
-      const out = {
-        menuItemId: function() {
-          if ( it?.menuItemId == null ) {
-            return null;
-          } 
-          else {
-            return Number(it.menuItemId);
-          }
-        }(),
-        name,
-        quantity,
-        unitPrice
-      };
-      if ( out.menuItemId != null && !Number.isFinite(out.menuItemId) ) {
-        throw badRequest(`items[${idx}].menuItemId must be a number`);
-      }
-      return out;
-    });
+    const { normalizedItems, totalCents } = resolveMenuItems(restaurant, items);
 
     const totalAmount = centsToAmount(totalCents);
     const createdAt = new Date();
@@ -929,27 +988,19 @@ student1Router.post("/student1/mongo/place_order", async function(req, res, next
     let insertedOrderId = null;
     
     for ( let attempt = 0; attempt < 5; attempt++ ) {
-      const last = await db.collection("orders").findOne({}, { sort: { orderId: -1 }, projection: { _id: 0, orderId: 1 } });
-      let baseId;
-      
-      if ( last?.orderId ) {
-        baseId = Number(last.orderId);
-      } 
-      else {
-        baseId = 0;
-      }
-      
-      const nextId = baseId + 1;
+      const nextId = await nextMongoOrderId(db);
       if ( !Number.isFinite(nextId) || nextId <= 0 ) {
         throw new Error("failed to generate orderId");
       }
 
       try {
         await db.collection("orders").insertOne({
+          schemaVersion: latestSchemaVersion("orders"),
           orderId: nextId,
           createdAt,
           status: "created",
           totalAmount,
+          origin: MONGO_ORIGIN,
           restaurant: {
             restaurantId: Number(restaurant.restaurantId),
             name: restaurant.name,
@@ -977,6 +1028,10 @@ student1Router.post("/student1/mongo/place_order", async function(req, res, next
         if ( e && (e.code === 11000 || errorMessage.includes("E11000")) ) {
           continue;
         }
+        if ( e.code === DOCUMENT_VALIDATION_FAILURE ) {
+          // The orders validator (db/mongoSchemas.js) is the last check on what the client sent.
+          throw badRequest(`order does not match the orders schema: ${summarizeValidationError(e.errInfo).join("; ")}`);
+        }
         throw e;
       }
     }
@@ -1063,51 +1118,17 @@ student1Router.post("/student1/mongo/place_and_pay", async function(req, res, ne
 
     const { db } = await getMongo();
 
-    const customer = await db.collection("people").findOne({ type: "customer", email: customerEmail });
+    const customer = upgradeDocument("people", await db.collection("people").findOne({ type: "customer", email: customerEmail }));
     if ( !customer ) {
       throw notFound("customer not found");
     }
 
-    const restaurant = await db.collection("restaurants").findOne({ name: restaurantName });
+    const restaurant = upgradeDocument("restaurants", await db.collection("restaurants").findOne({ name: restaurantName }));
     if ( !restaurant ) {
       throw notFound("restaurant not found");
     }
 
-    let totalCents = 0;
-    const normalizedItems = items.map(function(it, idx) {
-      let name;
-      
-      if ( it?.name != null && String(it.name).trim() !== "" ) {
-        name = String(it.name);
-      } 
-      else {
-        name = null;
-      }
-      const quantity = toPositiveInt(it?.quantity, `items[${idx}].quantity`);
-      const unitPriceCents = priceToCents(it?.unitPrice, `items[${idx}].unitPrice`);
-      const unitPrice = centsToAmount(unitPriceCents);
-      if ( !name ) {
-        throw badRequest(`items[${idx}].name is required`);
-      }
-      totalCents += unitPriceCents * quantity;
-      const out = {
-        menuItemId: function() {
-          if ( it?.menuItemId == null ) {
-            return null;
-          } 
-          else {
-            return Number(it.menuItemId);
-          }
-        }(),
-        name,
-        quantity,
-        unitPrice
-      };
-      if ( out.menuItemId != null && !Number.isFinite(out.menuItemId) ) {
-        throw badRequest(`items[${idx}].menuItemId must be a number`);
-      }
-      return out;
-    });
+    const { normalizedItems, totalCents } = resolveMenuItems(restaurant, items);
 
     const totalAmount = centsToAmount(totalCents);
     const createdAt = new Date();
@@ -1117,27 +1138,19 @@ student1Router.post("/student1/mongo/place_and_pay", async function(req, res, ne
     let insertedOrderId = null;
     
     for ( let attempt = 0; attempt < 5; attempt++ ) {
-      const last = await db.collection("orders").findOne({}, { sort: { orderId: -1 }, projection: { _id: 0, orderId: 1 } });
-      let baseId;
-      
-      if ( last?.orderId ) {
-        baseId = Number(last.orderId);
-      } 
-      else {
-        baseId = 0;
-      }
-      
-      const nextId = baseId + 1;
+      const nextId = await nextMongoOrderId(db);
       if ( !Number.isFinite(nextId) || nextId <= 0 ) {
         throw new Error("failed to generate orderId");
       }
 
       try {
         await db.collection("orders").insertOne({
+          schemaVersion: latestSchemaVersion("orders"),
           orderId: nextId,
           createdAt,
           status: "preparing",
           totalAmount,
+          origin: MONGO_ORIGIN,
           restaurant: {
             restaurantId: Number(restaurant.restaurantId),
             name: restaurant.name,
@@ -1169,6 +1182,10 @@ student1Router.post("/student1/mongo/place_and_pay", async function(req, res, ne
         if ( e && (e.code === 11000 || errorMessage.includes("E11000")) ) {
           continue;
         }
+        if ( e.code === DOCUMENT_VALIDATION_FAILURE ) {
+          // The orders validator (db/mongoSchemas.js) is the last check on what the client sent.
+          throw badRequest(`order does not match the orders schema: ${summarizeValidationError(e.errInfo).join("; ")}`);
+        }
         throw e;
       }
     }
@@ -1460,12 +1477,12 @@ student1Router.get("/student1/mongo/orders", async function(req, res, next) {
     let finalLimit = Math.max(limit, 1);
     finalLimit = Math.min(finalLimit, 200);
     
-    const orders = await db
+    const orders = upgradeDocuments("orders", await db
       .collection("orders")
       .find(filter)
       .sort({ createdAt: -1 })
       .limit(finalLimit)
-      .toArray();
+      .toArray());
 
     // Transform MongoDB documents to match SQL format for consistency
     const transformedOrders = orders.map(function(order) {
@@ -2,12 +2,16 @@
 // - We expose Student 2 endpoints for assigning deliveries and reporting on deliveries.
 // - We support both MariaDB and Mongo with matching output shapes.
 // - We validate inputs, write safely, and return JSON for the UI.
+// - The SQL assignment also appends an outbox event in its transaction, so the relay can keep Mongo fresh.
+// - Mongo documents are upgraded to the latest `schemaVersion` when we read them (see `schemaVersions.js`).
 
 const express = require("express");
 
 const { withTx, withConn } = require("../db/mariadb");
 const { getMongo } = require("../db/mongodb");
 const { toJsonSafeNumber, toMoneyString } = require("../utils/json");
+const { upgradeDocument, upgradeDocuments, latestSchemaVersion } = require("../services/schemaVersions");
+const { appendOrderEvent } = require("../services/outbox");
 
 const student2Router = express.Router();
 
@@ -23,6 +27,19 @@ function notFound(message) {
   return e;
 }
 
+function conflict(message) {
+  const e = new Error(message);
+  e.status = 409;
+  return e;
+}
+
+function worksForRestaurantIds(rider) {
+  // The rider is upgraded on read, so riders migrated before `worksFor` existed have an empty list here.
+  return rider.rider.worksFor.map(function(w) {
+    return Number(w.restaurantId);
+  });
+}
+
 
 
 student2Router.post("/student2/sql/assign_delivery", async function(req, res, next) {
@@ -137,6 +154,9 @@ student2Router.post("/student2/sql/assign_delivery", async function(req, res, ne
         [orderId]
       );
 
+      // We record the change for the Mongo read model in the same transaction (see services/outbox.js).
+      await appendOrderEvent(conn, "delivery_assigned", orderId);
+
       return out[0];
     });
 
@@ -356,20 +376,34 @@ student2Router.post("/student2/mongo/assign_delivery", async function(req, res,
       throw badRequest("deliveryStatus is required");
     }
 
+    // Optional: only let riders take orders from restaurants they work for (`rider.worksFor`).
+    const worksForOnly = req.body?.worksForOnly === true;
+
     const { db } = await getMongo();
 
     // We resolve the rider from the 'people' collection (migrated from SQL).
-    const rider = await db.collection("people").findOne({ type: "rider", email: riderEmail });
+    const rider = upgradeDocument("people", await db.collection("people").findOne({ type: "rider", email: riderEmail }));
     if ( !rider ) {
       throw notFound("rider not found");
     }
 
+    const orderFilter = { orderId };
+
+    if ( worksForOnly ) {
+      // We put the employer check into the update filter, so check and write are one atomic step.
+      orderFilter["restaurant.restaurantId"] = { $in: worksForRestaurantIds(rider) };
+    }
+
     // We do this as a pipeline update so assignedAt is set once and never overwritten.
     const updateResult = await db.collection("orders").updateOne(
-      { orderId },
+      orderFilter,
       [
         {
           $set: {
+            // Writing the order brings it to the latest schemaVersion: delivery is written below and an
+            // older document without `payment` gets the null that version 1 requires.
+            schemaVersion: latestSchemaVersion("orders"),
+            payment: { $ifNull: ["$payment", null] },
             // Some orders start with delivery: null, so We always write the full delivery object.
             delivery: {
               $let: {
@@ -413,6 +447,9 @@ student2Router.post("/student2/mongo/assign_delivery", async function(req, res,
     );
 
     if ( !updateResult.matchedCount ) {
+      if ( worksForOnly && await db.collection("orders").countDocuments({ orderId }, { limit: 1 }) ) {
+        throw conflict("rider does not work for this order's restaurant");
+      }
       throw notFound("order not found in mongo (did you migrate?)");
     }
 
@@ -620,6 +657,15 @@ student2Router.get("/student2/mongo/orders", async function(req, res, next) {
     
     const excludeDelivered = req.query.excludeDelivered === 'true';
     
+    let worksForRiderEmail;
+    
+    if ( req.query.worksForRiderEmail ) {
+      worksForRiderEmail = String(req.query.worksForRiderEmail);
+    } 
+    else {
+      worksForRiderEmail = null;
+    }
+    
     let limit;
     
     if ( req.query.limit ) {
@@ -634,6 +680,16 @@ student2Router.get("/student2/mongo/orders", async function(req, res, next) {
     const filter = {};
     
     
+    if ( worksForRiderEmail ) {
+      // We only show orders from restaurants this rider works for.
+      const rider = upgradeDocument("people", await db.collection("people").findOne({ type: "rider", email: worksForRiderEmail }));
+      if ( !rider ) {
+        throw notFound("rider not found");
+      }
+      filter["restaurant.restaurantId"] = { $in: worksForRestaurantIds(rider) };
+    }
+    
+    
     if ( status ) {
       filter.status = status;
     }
@@ -660,12 +716,12 @@ student2Router.get("/student2/mongo/orders", async function(req, res, next) {
     let finalLimit = Math.max(limit, 1);
     finalLimit = Math.min(finalLimit, 200);
     
-    const orders = await db
+    const orders = upgradeDocuments("orders", await db
       .collection("orders")
       .find(filter)
       .sort({ createdAt: -1 })
       .limit(finalLimit)
-      .toArray();
+      .toArray());
 
     // Transform MongoDB documents to match SQL format for consistency
     const transformedOrders = orders.map(function(order) {
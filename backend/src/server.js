@@ -8,24 +8,42 @@ const express = require("express");
 const cors = require("cors");
 
 const { config } = require("./config");
-const { withConn } = require("./db/mariadb");
-const { ensureMongoIndexes, getMongo } = require("./db/mongodb");
+const { withConn, ensureSqlSchema } = require("./db/mariadb");
+const { ensureMongoIndexes, ensureMongoValidators, getMongo, supportsTransactions } = require("./db/mongodb");
+const { markInterruptedRuns } = require("./services/migrationRuns");
+const { startOutboxRelay } = require("./services/outboxRelay");
+const { DEFAULT_MAPPING_SPEC, validateMappingSpec } = require("./services/mappingSpec");
+const { CSV_BODY_LIMIT } = require("./services/csvImport");
 
 const { importRouter } = require("./routes/import");
 const { student1Router } = require("./routes/student1");
 const { student2Router } = require("./routes/student2");
 const { migrateRouter } = require("./routes/migrate");
+const { jobsRouter } = require("./routes/jobs");
 
 async function main() {
+  // We validate the SQL -> document mapping before anything else, so a broken spec stops the boot.
+  validateMappingSpec(DEFAULT_MAPPING_SPEC);
+
   const app = express();
 
   // We keep CORS open for local dev and the UI.
   app.use(cors());
+  // A CSV upload carries whole files, so only that route gets a larger limit; the global parser skips a parsed body.
+  app.use("/api/import_csv", express.json({ limit: CSV_BODY_LIMIT }));
   // We accept JSON bodies (small limit so requests stay sane).
   app.use(express.json({ limit: "1mb" }));
 
   // We ensure MongoDB indexes are created once at startup, not on every health check.
   await ensureMongoIndexes();
+  // The `$jsonSchema` validators go on the read model collections the same way (MONGO_VALIDATION_LEVEL).
+  await ensureMongoValidators();
+  // A database created before a table was added (e.g. `outbox`) gets it now; the SQL write endpoints and the relay need it.
+  await ensureSqlSchema();
+  // Runs left "running" by a previous process can never finish, so we close them out in the history.
+  await markInterruptedRuns();
+  // We project SQL outbox events into Mongo in the background (no-op when OUTBOX_RELAY=off).
+  startOutboxRelay();
 
   app.get("/api/health", async function(_req, res) {
     // We run quick DB checks so We know the wiring is correct.
@@ -43,9 +61,12 @@ async function main() {
 
     const migration = await db.collection("meta").findOne(
       { _id: "migration" },
-      { projection: { _id: 0, source: 1, lastMigrationAt: 1, migrated: 1 } }
+      { projection: { _id: 0, source: 1, mode: 1, lastMigrationAt: 1, migrated: 1, changes: 1, strategy: 1, fallbackReason: 1 } }
     );
 
+    // Which strategy the next full migration can use; the marker above says which one the last run used.
+    const transactions = await supportsTransactions();
+
     let activeMode;
     
     // If we have a migration marker and at least some orders, We treat Mongo as the active mode.
@@ -63,6 +84,8 @@ async function main() {
       mongo: {
         ok: true,
         counts: { restaurants, people, orders },
+        transactions,
+        migrationStrategy: config.migration.strategy,
         migration: function() {
           if ( migration ) {
             return migration;
@@ -82,6 +105,7 @@ async function main() {
   app.use("/api", student1Router);
   app.use("/api", student2Router);
   app.use("/api", migrateRouter);
+  app.use("/api", jobsRouter);
 
 
 
@@ -0,0 +1,543 @@
+// File flow:
+// - We replace the hard-coded demo catalogue with CSV files: restaurants, menu items (with categories) and
+//   people (customers and riders). The files arrive as text in a JSON body, one field per file.
+// - Every row is validated before anything is written; all problems are collected with their file and line
+//   number (the header is line 1) and answered together as one 400.
+// - A valid upload replaces the SQL data like Import & Reset does (schema, `clearAll()`, then the rows) inside
+//   one `withTx` transaction, and clears Mongo afterwards. No orders are generated; they come from the app or from
+//   an append-mode import (`importReset.js`), which builds on whatever catalogue is there.
+
+const { withTx } = require("../db/mariadb");
+const { parseCsv } = require("../utils/csv");
+const { recreateSchema, clearAll, clearMongoAfterSqlReset, batchInsert } = require("./importReset");
+
+// Columns per file; `required` ones must be in the header and filled in on every row.
+// Lengths follow db/mariadb/schema.sql.
+const CSV_FILES = {
+  restaurants: {
+    columns: {
+      name: { required: true, maxLength: 120 },
+      address: { required: true, maxLength: 255 }
+    }
+  },
+  menuItems: {
+    columns: {
+      restaurant: { required: true, maxLength: 120 },
+      name: { required: true, maxLength: 120 },
+      description: { maxLength: 255 },
+      price: { required: true },
+      categories: {}
+    }
+  },
+  people: {
+    columns: {
+      type: { required: true },
+      name: { required: true, maxLength: 120 },
+      email: { required: true, maxLength: 200 },
+      phone: { maxLength: 40 },
+      default_address: { maxLength: 255 },
+      preferred_payment_method: { maxLength: 50 },
+      vehicle_type: { maxLength: 30 },
+      rating: {},
+      works_for: {}
+    }
+  }
+};
+
+// Lists inside one cell (menu item categories, the restaurants a rider works for).
+const LIST_SEPARATOR = "|";
+
+const PERSON_TYPES = ["customer", "rider"];
+const CUSTOMER_COLUMNS = ["default_address", "preferred_payment_method"];
+const RIDER_COLUMNS = ["vehicle_type", "rating", "works_for"];
+
+// DECIMAL(10,2)
+const MAX_PRICE = 99999999.99;
+const CATEGORY_MAX_LENGTH = 80;
+
+const MAX_CSV_ROWS = 20000;
+// Three files of MAX_CSV_ROWS rows at ~150 bytes each, as JSON strings. `server.js` parses `/api/import_csv`
+// bodies with this limit instead of the global 1 MB.
+const CSV_BODY_LIMIT = "10mb";
+
+// Enough to fix a file in a few rounds without answering with thousands of lines.
+const MAX_REPORTED_ERRORS = 100;
+
+function badRequest(message) {
+  const e = new Error(message);
+  e.status = 400;
+  return e;
+}
+
+function createErrorList() {
+  const list = { errors: [] };
+
+  list.add = function(file, line, message) {
+    list.errors.push({ file, line, message });
+  };
+
+  list.report = function() {
+    // File by file (in CSV_FILES order), line by line, and capped for the response.
+    const files = Object.keys(CSV_FILES);
+
+    return list.errors.slice().sort(function(a, b) {
+      return files.indexOf(a.file) - files.indexOf(b.file) || a.line - b.line;
+    }).slice(0, MAX_REPORTED_ERRORS);
+  };
+
+  return list;
+}
+
+function splitList(value) {
+  // Duplicates are dropped ignoring case: MariaDB compares names case-insensitively (`category.name` is UNIQUE).
+  const items = [];
+  const seen = new Set();
+
+  for ( const part of value.split(LIST_SEPARATOR) ) {
+    const item = part.trim();
+
+    if ( item !== "" && !seen.has(item.toLowerCase()) ) {
+      seen.add(item.toLowerCase());
+      items.push(item);
+    }
+  }
+
+  return items;
+}
+
+function readRows(file, text, errors) {
+  // Returns [{ line, values: { column: trimmed string } }], or null when the file cannot be read at all.
+  const spec = CSV_FILES[file];
+  let records;
+
+  try {
+    records = parseCsv(text);
+  } 
+  catch (e) {
+    errors.add(file, e.line, e.message);
+    return null;
+  }
+
+  if ( !records.length ) {
+    errors.add(file, 1, "the file is empty (a header row is required)");
+    return null;
+  }
+
+  const header = records[0].fields.map(function(name) {
+    return name.trim().toLowerCase();
+  });
+  let headerOk = true;
+
+  header.forEach(function(name, index) {
+    if ( !spec.columns[name] ) {
+      errors.add(file, 1, `unknown column "${name}" (expected: ${Object.keys(spec.columns).join(", ")})`);
+      headerOk = false;
+    } 
+    else if ( header.indexOf(name) !== index ) {
+      errors.add(file, 1, `column "${name}" appears twice`);
+      headerOk = false;
+    }
+  });
+
+  for ( const name of Object.keys(spec.columns) ) {
+    if ( spec.columns[name].required && !header.includes(name) ) {
+      errors.add(file, 1, `missing column "${name}"`);
+      headerOk = false;
+    }
+  }
+
+  if ( !headerOk ) {
+    return null;
+  }
+
+  if ( records.length - 1 > MAX_CSV_ROWS ) {
+    errors.add(file, records[MAX_CSV_ROWS + 1].line, `too many rows (at most ${MAX_CSV_ROWS})`);
+    return null;
+  }
+
+  const rows = [];
+
+  for ( const record of records.slice(1) ) {
+    if ( record.fields.length !== header.length ) {
+      errors.add(file, record.line, `expected ${header.length} fields, found ${record.fields.length}`);
+      continue;
+    }
+
+    const values = {};
+    let rowOk = true;
+
+    for ( const name of Object.keys(spec.columns) ) {
+      const column = spec.columns[name];
+      const index = header.indexOf(name);
+      let value = "";
+
+      if ( index >= 0 ) {
+        value = record.fields[index].trim();
+      }
+
+      if ( column.required && value === "" ) {
+        errors.add(file, record.line, `${name} is required`);
+        rowOk = false;
+      } 
+      else if ( column.maxLength && value.length > column.maxLength ) {
+        errors.add(file, record.line, `${name} is longer than ${column.maxLength} characters`);
+        rowOk = false;
+      }
+
+      values[name] = value;
+    }
+
+    if ( rowOk ) {
+      rows.push({ line: record.line, values });
+    }
+  }
+
+  return rows;
+}
+
+function parsePrice(value) {
+  // Up to two decimals, like the DECIMAL(10,2) column; returns null when it is not a price.
+  if ( !/^\d+(\.\d{1,2})?$/.test(value) ) {
+    return null;
+  }
+
+  const price = Number(value);
+
+  if ( price > MAX_PRICE ) {
+    return null;
+  }
+
+  return price;
+}
+
+function parseRating(value) {
+  // DECIMAL(2,1) between 0 and 5, e.g. "4.5"; returns null when it is not a rating.
+  if ( !/^\d(\.\d)?$/.test(value) ) {
+    return null;
+  }
+
+  const rating = Number(value);
+
+  if ( rating > 5 ) {
+    return null;
+  }
+
+  return rating.toFixed(1);
+}
+
+function validateRestaurants(rows, errors) {
+  const restaurants = [];
+  const lineByName = new Map();
+
+  for ( const row of rows ) {
+    const name = row.values.name;
+
+    if ( lineByName.has(name) ) {
+      errors.add("restaurants", row.line, `restaurant "${name}" is already defined on line ${lineByName.get(name)}`);
+      continue;
+    }
+
+    lineByName.set(name, row.line);
+    restaurants.push({ name, address: row.values.address });
+  }
+
+  return restaurants;
+}
+
+function validateMenuItems(rows, restaurantNames, errors) {
+  const menuItems = [];
+  const lineByKey = new Map();
+
+  for ( const row of rows ) {
+    const values = row.values;
+    let rowOk = true;
+
+    if ( !restaurantNames.has(values.restaurant) ) {
+      errors.add("menuItems", row.line, `restaurant "${values.restaurant}" is not in the restaurants file`);
+      rowOk = false;
+    }
+
+    const price = parsePrice(values.price);
+
+    if ( price === null ) {
+      errors.add("menuItems", row.line, `price "${values.price}" must be a non-negative amount with at most 2 decimals`);
+      rowOk = false;
+    }
+
+    const categories = splitList(values.categories);
+
+    for ( const category of categories ) {
+      if ( category.length > CATEGORY_MAX_LENGTH ) {
+        errors.add("menuItems", row.line, `category "${category}" is longer than ${CATEGORY_MAX_LENGTH} characters`);
+        rowOk = false;
+      }
+    }
+
+    // The menu is looked up by item name inside a restaurant, so a name may only appear once per menu.
+    const key = `${values.restaurant}\u0000${values.name}`;
+
+    if ( lineByKey.has(key) ) {
+      errors.add("menuItems", row.line, `"${values.name}" is already on the menu of "${values.restaurant}" (line ${lineByKey.get(key)})`);
+      rowOk = false;
+    } 
+    else {
+      lineByKey.set(key, row.line);
+    }
+
+    if ( rowOk ) {
+      menuItems.push({
+        restaurant: values.restaurant,
+        name: values.name,
+        description: values.description || null,
+        price,
+        categories
+      });
+    }
+  }
+
+  return menuItems;
+}
+
+function validatePeople(rows, restaurantNames, errors) {
+  const people = [];
+  const lineByEmail = new Map();
+
+  for ( const row of rows ) {
+    const values = row.values;
+    const type = values.type.toLowerCase();
+    let rowOk = true;
+
+    if ( !PERSON_TYPES.includes(type) ) {
+      errors.add("people", row.line, `type must be one of: ${PERSON_TYPES.join(", ")}`);
+      continue;
+    }
+
+    // Emails are unique in `person` (and in the Mongo `people` collection), regardless of case.
+    const email = values.email.toLowerCase();
+
+    if ( !/^[^@\s]+@[^@\s]+$/.test(email) ) {
+      errors.add("people", row.line, `email "${values.email}" is not an email address`);
+      rowOk = false;
+    } 
+    else if ( lineByEmail.has(email) ) {
+      errors.add("people", row.line, `email "${values.email}" is already used on line ${lineByEmail.get(email)}`);
+      rowOk = false;
+    } 
+    else {
+      lineByEmail.set(email, row.line);
+    }
+
+    let otherColumns;
+
+    if ( type === "customer" ) {
+      otherColumns = RIDER_COLUMNS;
+    } 
+    else {
+      otherColumns = CUSTOMER_COLUMNS;
+    }
+
+    for ( const name of otherColumns ) {
+      if ( values[name] !== "" ) {
+        errors.add("people", row.line, `${name} does not apply to a ${type}`);
+        rowOk = false;
+      }
+    }
+
+    const person = { type, name: values.name, email, phone: values.phone || null };
+
+    if ( type === "customer" ) {
+      person.defaultAddress = values.default_address || null;
+      person.preferredPaymentMethod = values.preferred_payment_method || null;
+    } 
+    else {
+      if ( values.vehicle_type === "" ) {
+        errors.add("people", row.line, "vehicle_type is required for a rider");
+        rowOk = false;
+      }
+
+      person.vehicleType = values.vehicle_type;
+      person.rating = null;
+
+      if ( values.rating !== "" ) {
+        person.rating = parseRating(values.rating);
+
+        if ( person.rating === null ) {
+          errors.add("people", row.line, `rating "${values.rating}" must be between 0 and 5 with at most 1 decimal`);
+          rowOk = false;
+        }
+      }
+
+      person.worksFor = splitList(values.works_for);
+
+      for ( const name of person.worksFor ) {
+        if ( !restaurantNames.has(name) ) {
+          errors.add("people", row.line, `works_for restaurant "${name}" is not in the restaurants file`);
+          rowOk = false;
+        }
+      }
+    }
+
+    if ( rowOk ) {
+      people.push(person);
+    }
+  }
+
+  return people;
+}
+
+function parseCsvImport(raw) {
+  /*
+    Validates the request body `{ restaurants, menuItems?, people? }` (CSV text per file) and returns the rows
+    ready to insert. Any problem throws a 400 whose `csvErrors` lists `{ file, line, message }`.
+  */
+  if ( raw == null || typeof raw !== "object" || Array.isArray(raw) ) {
+    throw badRequest("the CSV import expects an object with the file contents");
+  }
+
+  const files = Object.keys(CSV_FILES);
+
+  for ( const name of Object.keys(raw) ) {
+    if ( !files.includes(name) ) {
+      throw badRequest(`unknown CSV file: ${name} (expected one of: ${files.join(", ")})`);
+    }
+    if ( raw[name] != null && typeof raw[name] !== "string" ) {
+      throw badRequest(`${name} must be the CSV text of the file`);
+    }
+  }
+
+  if ( !raw.restaurants ) {
+    throw badRequest("the restaurants file is required");
+  }
+
+  const errors = createErrorList();
+  const rows = {};
+
+  for ( const file of files ) {
+    if ( raw[file] ) {
+      rows[file] = readRows(file, raw[file], errors);
+    } 
+    else {
+      rows[file] = [];
+    }
+  }
+
+  let restaurants = [];
+
+  if ( rows.restaurants ) {
+    restaurants = validateRestaurants(rows.restaurants, errors);
+  }
+
+  // References are checked against every readable restaurant row (duplicates included), so one bad row
+  // does not also fail each menu item and rider that points at it.
+  const restaurantNames = new Set((rows.restaurants || []).map(function(row) {
+    return row.values.name;
+  }));
+
+  let menuItems = [];
+  let people = [];
+
+  if ( rows.menuItems ) {
+    menuItems = validateMenuItems(rows.menuItems, restaurantNames, errors);
+  }
+  if ( rows.people ) {
+    people = validatePeople(rows.people, restaurantNames, errors);
+  }
+
+  if ( errors.errors.length > 0 ) {
+    const e = badRequest(`the CSV import has ${errors.errors.length} error(s); nothing was imported`);
+    e.csvErrors = errors.report();
+    e.csvErrorCount = errors.errors.length;
+    throw e;
+  }
+
+  return { restaurants, menuItems, people };
+}
+
+async function insertCsvData(conn, data) {
+  // Like bulk mode: the tables were just cleared, so we hand out ids ourselves and insert with `batch()`.
+  const restaurantIdByName = new Map();
+  const restaurantRows = data.restaurants.map(function(restaurant, i) {
+    restaurantIdByName.set(restaurant.name, i + 1);
+    return [i + 1, restaurant.name, restaurant.address];
+  });
+
+  const categoryIdByName = new Map();
+  const menuRows = [];
+  const menuCategoryRows = [];
+
+  for ( const item of data.menuItems ) {
+    const menuItemId = menuRows.length + 1;
+
+    menuRows.push([menuItemId, restaurantIdByName.get(item.restaurant), item.name, item.description, item.price]);
+
+    for ( const category of item.categories ) {
+      // The first spelling of a category wins ("Vegan" and "vegan" are one row).
+      const key = category.toLowerCase();
+
+      if ( !categoryIdByName.has(key) ) {
+        categoryIdByName.set(key, { categoryId: categoryIdByName.size + 1, name: category });
+      }
+      menuCategoryRows.push([menuItemId, categoryIdByName.get(key).categoryId]);
+    }
+  }
+
+  const personRows = [];
+  const customerRows = [];
+  const riderRows = [];
+  const worksForRows = [];
+
+  data.people.forEach(function(person, i) {
+    const personId = i + 1;
+
+    personRows.push([personId, person.name, person.email, person.phone]);
+
+    if ( person.type === "customer" ) {
+      customerRows.push([personId, person.defaultAddress, person.preferredPaymentMethod]);
+    } 
+    else {
+      riderRows.push([personId, person.vehicleType, person.rating]);
+
+      for ( const name of person.worksFor ) {
+        worksForRows.push([personId, restaurantIdByName.get(name)]);
+      }
+    }
+  });
+
+  const categoryRows = Array.from(categoryIdByName.values()).map(function(category) {
+    return [category.categoryId, category.name];
+  });
+
+  return {
+    restaurants: await batchInsert(conn, "INSERT INTO restaurant (restaurant_id, name, address) VALUES (?, ?, ?)", restaurantRows),
+    categories: await batchInsert(conn, "INSERT INTO category (category_id, name) VALUES (?, ?)", categoryRows),
+    menuItems: await batchInsert(conn, "INSERT INTO menu_item (menu_item_id, restaurant_id, name, description, price) VALUES (?, ?, ?, ?, ?)", menuRows),
+    menuItemCategories: await batchInsert(conn, "INSERT INTO menu_item_category (menu_item_id, category_id) VALUES (?, ?)", menuCategoryRows),
+    people: await batchInsert(conn, "INSERT INTO person (person_id, name, email, phone) VALUES (?, ?, ?, ?)", personRows),
+    customers: await batchInsert(conn, "INSERT INTO customer (customer_id, default_address, preferred_payment_method) VALUES (?, ?, ?)", customerRows),
+    riders: await batchInsert(conn, "INSERT INTO rider (rider_id, vehicle_type, rating) VALUES (?, ?, ?)", riderRows),
+    riderWorksFor: await batchInsert(conn, "INSERT INTO rider_works_for (rider_id, restaurant_id) VALUES (?, ?)", worksForRows)
+  };
+}
+
+async function importCsvMariaDb(raw) {
+  // Validation happens first, so a bad file never clears the existing data.
+  const data = parseCsvImport(raw);
+
+  const inserted = await withTx(async function(conn) {
+    await recreateSchema(conn);
+    await clearAll(conn);
+    return insertCsvData(conn, data);
+  });
+
+  try {
+    await clearMongoAfterSqlReset();
+  } 
+  catch (e) {
+    e.message = `CSV import succeeded for MariaDB but failed to clear Mongo migration state: ${e.message}`;
+    throw e;
+  }
+
+  return { inserted };
+}
+
+module.exports = { importCsvMariaDb, parseCsvImport, CSV_FILES, CSV_BODY_LIMIT };
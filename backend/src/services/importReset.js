@@ -1,12 +1,280 @@
 // File flow:
 // - We recreate the schema, wipe old rows, then insert fresh demo data into MariaDB.
-// - We keep the data deterministic when SEED is set.
-// - After the SQL reset, We also clear Mongo so the app does not use stale migrated data.
+// - The size of the dataset (restaurants, customers, riders, orders, day range, delivery/payment ratios) comes from
+//   the request; every field is optional, bounded, and defaults to the small classic demo.
+// - `mode: "bulk"` switches to the high-volume generator: multi-row `batch()` inserts with explicit ids, higher
+//   limits (100k+ orders) and skewed distributions (popular restaurants, lunch/dinner peaks, repeat customers).
+//   It commits every BULK_ORDER_CHUNK orders instead of holding one transaction open for the whole dataset.
+//   Every mode logs its throughput and returns it next to the inserted counts.
+// - The generator is seeded (`seed` in the request, else SEED, else 12345) and dates orders back from an anchor
+//   (`anchorDate` in the request, else DEMO_ANCHOR_DATE, else now). Same seed + same anchor + same sizes gives
+//   byte-identical SQL data, and therefore identical migrated documents. The response echoes both.
+// - `mode: "append"` clears nothing: it adds customers, riders and orders on top of the existing rows (using the
+//   restaurants and menus that are there) and records each order in the outbox, like an order placed in the app.
+// - A named `scenario` (see SCENARIOS) presets the sizes for a demo situation and tweaks the classic order generator
+//   (rider backlog, unpaid orders, a restaurant spike, price changes after the orders); it works with the classic and append modes.
+// - After the SQL reset, We also clear Mongo so the app does not use stale migrated data (not after an append).
 
 const { withTx } = require("../db/mariadb");
 const { config } = require("../config");
 const { readSchemaSql } = require("../utils/schema");
 const { getMongo } = require("../db/mongodb");
+const { appendOrderEvent } = require("./outbox");
+
+// The classic demo: 10 restaurants, 20 customers, 10 riders and 30 orders over the last 14 days.
+const DEFAULT_DATASET = {
+  restaurants: 10,
+  customers: 20,
+  riders: 10,
+  orders: 30,
+  days: 14,
+  deliveryRatio: 0.6,
+  paymentRatio: 1
+};
+
+// Upper bounds keep a classic reset, which writes one row per query inside a single transaction, to a reasonable size.
+const DATASET_LIMITS = {
+  restaurants: { min: 1, max: 100, integer: true },
+  customers: { min: 1, max: 5000, integer: true },
+  riders: { min: 1, max: 1000, integer: true },
+  orders: { min: 0, max: 20000, integer: true },
+  days: { min: 1, max: 365, integer: true },
+  deliveryRatio: { min: 0, max: 1, integer: false },
+  paymentRatio: { min: 0, max: 1, integer: false }
+};
+
+// The bulk generator writes thousands of rows per round trip and commits per chunk of orders, so it can go much further.
+const BULK_DATASET_LIMITS = {
+  ...DATASET_LIMITS,
+  restaurants: { min: 1, max: 500, integer: true },
+  customers: { min: 1, max: 100000, integer: true },
+  riders: { min: 1, max: 5000, integer: true },
+  orders: { min: 0, max: 500000, integer: true }
+};
+
+// Append mode keeps what is there: no restaurants of its own, and by default one day of orders and nobody new.
+const APPEND_DEFAULT_DATASET = {
+  customers: 0,
+  riders: 0,
+  orders: 30,
+  days: 1,
+  deliveryRatio: DEFAULT_DATASET.deliveryRatio,
+  paymentRatio: DEFAULT_DATASET.paymentRatio
+};
+
+const APPEND_DATASET_LIMITS = {
+  customers: { min: 0, max: 5000, integer: true },
+  riders: { min: 0, max: 1000, integer: true },
+  orders: DATASET_LIMITS.orders,
+  days: DATASET_LIMITS.days,
+  deliveryRatio: DATASET_LIMITS.deliveryRatio,
+  paymentRatio: DATASET_LIMITS.paymentRatio
+};
+
+const IMPORT_MODES = ["classic", "bulk", "append"];
+
+/*
+  Named demo situations. A scenario sets dataset defaults (explicit request fields still win) and turns on one tweak
+  in the order generator. `expected` says what the reports show afterwards; the numbers are for the default seed
+  (12345) and the classic sizes, and stay the same for any anchor date; `test/importScenarios.test.js` recounts them.
+  Without a scenario nothing changes.
+*/
+const SCENARIOS = {
+  "rider-backlog": {
+    label: "Rider backlog",
+    description: "Most orders are being prepared and wait for a rider: every order gets a delivery, three in four stay unassigned.",
+    expected:
+      "Student 2: 50 of the 60 orders are available to assign (status preparing, no rider), which exactly fills the " +
+      "list's limit of 50; 51 of the 60 deliveries have no rider and the rider reports together count the other 9.",
+    dataset: { orders: 60, deliveryRatio: 1 },
+    backlogShare: 0.75
+  },
+  "unpaid-orders": {
+    label: "Unpaid orders",
+    description: "Only one order in five is paid, so Student 1 has plenty of orders to pay.",
+    expected:
+      "Student 1: 48 of the 60 orders have no payment; the report's payment rate is between 0% and 43% per restaurant " +
+      "instead of 100%, and paying an order raises its restaurant's rate right away.",
+    dataset: { orders: 60, paymentRatio: 0.2 }
+  },
+  "restaurant-spike": {
+    label: "Restaurant spike",
+    description: "Half of the orders go to the first restaurant (Figlmueller) in a lunch rush on the day before the anchor.",
+    expected:
+      "Student 1: the Figlmueller report has 41 of the 80 orders; 37 of them fall on the day before the anchor between " +
+      "11:00 and 14:00 UTC, so its orders-by-day breakdown shows that day far above every other (at most 2 a day).",
+    dataset: { orders: 80 },
+    spikeShare: 0.5
+  },
+  "price-changes": {
+    label: "Price changes",
+    description: "After the orders are placed, the first restaurant (Figlmueller) raises every menu price by 20%.",
+    expected:
+      "Figlmueller's menu shows the new prices (Wiener Schnitzel 18.50 -> 22.20), but its 7 orders keep the old unit " +
+      "prices: the Student 1 report still shows a revenue of 391.50, and after a migration the order documents keep the " +
+      "old unitPrice while the restaurant's embedded menu has the new price. The integrity check still passes.",
+    dataset: { orders: 40 },
+    priceIncrease: 0.2
+  }
+};
+
+// Orders generated, written and committed per round of `batch()` calls in bulk mode; bounds memory and the
+// transaction size, not the result.
+const BULK_ORDER_CHUNK = 2000;
+
+// `makeRng` works on an unsigned 32-bit state.
+const MAX_SEED = 0xffffffff;
+
+function badRequest(message) {
+  const e = new Error(message);
+  e.status = 400;
+  return e;
+}
+
+function conflict(message) {
+  const e = new Error(message);
+  e.status = 409;
+  return e;
+}
+
+function parseSeed(raw, fail) {
+  const seed = Number(raw);
+
+  if ( !Number.isInteger(seed) || seed < 0 || seed > MAX_SEED ) {
+    throw fail(`seed must be an integer between 0 and ${MAX_SEED}`);
+  }
+  return seed;
+}
+
+function parseAnchorDate(raw, fail) {
+  // Accepts a date ("2026-01-18", midnight UTC) or a full ISO timestamp; returns the ISO string.
+  const date = new Date(String(raw));
+
+  if ( typeof raw !== "string" || Number.isNaN(date.getTime()) ) {
+    throw fail("anchorDate must be an ISO date, e.g. 2026-01-18 or 2026-01-18T12:00:00Z");
+  }
+  return date.toISOString();
+}
+
+function configError(message) {
+  // A bad SEED / DEMO_ANCHOR_DATE is a server setup problem, not a bad request.
+  return new Error(`invalid demo configuration: ${message}`);
+}
+
+function parseDatasetOptions(raw) {
+  // Returns a complete dataset description; missing (or null) fields fall back to the classic demo.
+  // `seed` and `anchorDate` are always filled in (from the request, the env, or 12345 / now), so echoing
+  // them back is enough to repeat a run exactly.
+  if ( raw == null ) {
+    raw = {};
+  }
+
+  if ( typeof raw !== "object" || Array.isArray(raw) ) {
+    throw badRequest("the import options must be an object");
+  }
+
+  const known = Object.keys(DATASET_LIMITS).concat(["mode", "seed", "anchorDate", "scenario"]);
+
+  for ( const name of Object.keys(raw) ) {
+    if ( !known.includes(name) ) {
+      throw badRequest(`unknown import option: ${name} (expected one of: ${known.join(", ")})`);
+    }
+  }
+
+  const dataset = {};
+
+  if ( raw.mode != null && raw.mode !== "" ) {
+    dataset.mode = String(raw.mode);
+  } 
+  else {
+    dataset.mode = "classic";
+  }
+
+  if ( !IMPORT_MODES.includes(dataset.mode) ) {
+    throw badRequest(`mode must be one of: ${IMPORT_MODES.join(", ")}`);
+  }
+
+  let limits;
+  let defaults = DEFAULT_DATASET;
+
+  if ( dataset.mode === "bulk" ) {
+    limits = BULK_DATASET_LIMITS;
+  } 
+  else if ( dataset.mode === "append" ) {
+    limits = APPEND_DATASET_LIMITS;
+    defaults = APPEND_DEFAULT_DATASET;
+
+    if ( raw.restaurants != null && raw.restaurants !== "" ) {
+      throw badRequest("restaurants cannot be set in append mode (orders go to the existing restaurants)");
+    }
+  } 
+  else {
+    limits = DATASET_LIMITS;
+  }
+
+  dataset.scenario = null;
+
+  if ( raw.scenario != null && raw.scenario !== "" ) {
+    dataset.scenario = String(raw.scenario);
+
+    if ( !SCENARIOS[dataset.scenario] ) {
+      throw badRequest(`scenario must be one of: ${Object.keys(SCENARIOS).join(", ")}`);
+    }
+    if ( dataset.mode === "bulk" ) {
+      throw badRequest("scenarios work with the classic and append modes, not with bulk");
+    }
+
+    // The scenario's sizes replace the mode defaults, not the fields given in the request.
+    defaults = { ...defaults, ...SCENARIOS[dataset.scenario].dataset };
+  }
+
+  for ( const name of Object.keys(limits) ) {
+    const limit = limits[name];
+
+    if ( raw[name] == null || raw[name] === "" ) {
+      dataset[name] = defaults[name];
+      continue;
+    }
+
+    const value = Number(raw[name]);
+    let validType;
+    let kind;
+
+    if ( limit.integer ) {
+      validType = Number.isInteger(value);
+      kind = "an integer";
+    } 
+    else {
+      validType = Number.isFinite(value);
+      kind = "a number";
+    }
+
+    if ( !validType || value < limit.min || value > limit.max ) {
+      throw badRequest(`${name} must be ${kind} between ${limit.min} and ${limit.max}`);
+    }
+
+    dataset[name] = value;
+  }
+
+  if ( raw.seed != null && raw.seed !== "" ) {
+    dataset.seed = parseSeed(raw.seed, badRequest);
+  } 
+  else {
+    dataset.seed = parseSeed(config.demo.seed, configError);
+  }
+
+  if ( raw.anchorDate != null && raw.anchorDate !== "" ) {
+    dataset.anchorDate = parseAnchorDate(raw.anchorDate, badRequest);
+  } 
+  else if ( config.demo.anchorDate ) {
+    dataset.anchorDate = parseAnchorDate(config.demo.anchorDate, configError);
+  } 
+  else {
+    dataset.anchorDate = new Date().toISOString();
+  }
+
+  return dataset;
+}
 
 function randInt(rng, min, max) {
   return Math.floor(rng() * (max - min + 1)) + min;
@@ -30,6 +298,126 @@ function makeRng(seedNumber) {
   };
 }
 
+// Vienna-based demo data (restaurants + realistic Vienna-style addresses)
+const restaurantNames = [
+  "Figlmueller",
+  "Plachutta",
+  "Cafe Central",
+  "Zum Schwarzen Kameel",
+  "Lugeck",
+  "Steirereck",
+  "NENI am Naschmarkt",
+  "Gasthaus Poeschel",
+  "Schnitzelwirt",
+  "Vapiano Wien Mitte"
+];
+
+const viennaAddressPool = [
+  { street: "Kaerntner Strasse", postcode: "1010" },
+  { street: "Rotenturmstrasse", postcode: "1010" },
+  { street: "Mariahilfer Strasse", postcode: "1060" },
+  { street: "Waehringer Strasse", postcode: "1090" },
+  { street: "Praterstrasse", postcode: "1020" },
+  { street: "Landstrasser Hauptstrasse", postcode: "1030" },
+  { street: "Favoritenstrasse", postcode: "1040" },
+  { street: "Schoenbrunner Strasse", postcode: "1050" },
+  { street: "Thaliastrasse", postcode: "1160" },
+  { street: "Donaufelder Strasse", postcode: "1210" }
+];
+
+function makeViennaAddress(rng) {
+  const a = pick(rng, viennaAddressPool);
+  const houseNo = randInt(rng, 1, 200);
+  return `${a.street} ${houseNo}, ${a.postcode} Wien`;
+}
+const vehicles = ["bike", "scooter", "car"];
+const payMethods = ["card", "cash", "paypal"];
+const categories = ["vegan", "spicy", "dessert", "drink", "starter", "main"];
+
+// Fixed menu items for each restaurant - no randomization
+const restaurantMenus = {
+  "Figlmueller": [
+    { name: "Wiener Schnitzel", price: 18.50, categories: ["main"] },
+    { name: "Tafelspitz", price: 22.00, categories: ["main"] },
+    { name: "Apfelstrudel", price: 6.50, categories: ["dessert"] },
+    { name: "Kaiserschmarrn", price: 8.00, categories: ["dessert"] },
+    { name: "Beer", price: 4.50, categories: ["drink"] },
+    { name: "Mineral Water", price: 3.00, categories: ["drink"] }
+  ],
+  "Plachutta": [
+    { name: "Tafelspitz Classic", price: 24.00, categories: ["main"] },
+    { name: "Zwiebelrostbraten", price: 26.50, categories: ["main"] },
+    { name: "Beef Broth", price: 5.50, categories: ["starter"] },
+    { name: "Sachertorte", price: 7.00, categories: ["dessert"] },
+    { name: "Wine", price: 5.50, categories: ["drink"] },
+    { name: "Coffee", price: 3.50, categories: ["drink"] }
+  ],
+  "Cafe Central": [
+    { name: "Melange", price: 4.80, categories: ["drink"] },
+    { name: "Cappuccino", price: 4.50, categories: ["drink"] },
+    { name: "Sachertorte", price: 6.50, categories: ["dessert"] },
+    { name: "Apfelstrudel", price: 6.00, categories: ["dessert"] },
+    { name: "Breakfast Platter", price: 12.50, categories: ["main"] },
+    { name: "Club Sandwich", price: 11.00, categories: ["main"] }
+  ],
+  "Zum Schwarzen Kameel": [
+    { name: "Open Sandwich", price: 9.50, categories: ["starter"] },
+    { name: "Beef Tartare", price: 14.00, categories: ["starter"] },
+    { name: "Schnitzel", price: 19.00, categories: ["main"] },
+    { name: "Fish of the Day", price: 21.00, categories: ["main"] },
+    { name: "Champagne", price: 12.00, categories: ["drink"] },
+    { name: "Espresso", price: 3.00, categories: ["drink"] }
+  ],
+  "Lugeck": [
+    { name: "Gulasch", price: 16.50, categories: ["main"] },
+    { name: "Schweinsbraten", price: 18.00, categories: ["main"] },
+    { name: "Knödel Variety", price: 13.50, categories: ["main"] },
+    { name: "Caesar Salad", price: 11.00, categories: ["starter"] },
+    { name: "Palatschinken", price: 7.50, categories: ["dessert"] },
+    { name: "Cola", price: 3.50, categories: ["drink"] }
+  ],
+  "Steirereck": [
+    { name: "Tasting Menu", price: 145.00, categories: ["main"] },
+    { name: "Venison", price: 42.00, categories: ["main"] },
+    { name: "Trout", price: 38.00, categories: ["main"] },
+    { name: "Amuse Bouche", price: 18.00, categories: ["starter"] },
+    { name: "Cheese Selection", price: 16.00, categories: ["dessert"] },
+    { name: "Wine Pairing", price: 85.00, categories: ["drink"] }
+  ],
+  "NENI am Naschmarkt": [
+    { name: "Hummus Platter", price: 11.50, categories: ["starter", "vegan"] },
+    { name: "Falafel Bowl", price: 14.00, categories: ["main", "vegan"] },
+    { name: "Shawarma", price: 15.50, categories: ["main"] },
+    { name: "Lamb Kebab", price: 18.00, categories: ["main"] },
+    { name: "Baklava", price: 6.00, categories: ["dessert"] },
+    { name: "Mint Tea", price: 3.50, categories: ["drink"] }
+  ],
+  "Gasthaus Poeschel": [
+    { name: "Backhendl", price: 16.00, categories: ["main"] },
+    { name: "Leberkäs with Egg", price: 9.50, categories: ["main"] },
+    { name: "Potato Soup", price: 5.50, categories: ["starter"] },
+    { name: "Spätzle", price: 8.00, categories: ["main"] },
+    { name: "Marillenknödel", price: 7.50, categories: ["dessert"] },
+    { name: "Beer", price: 4.00, categories: ["drink"] }
+  ],
+  "Schnitzelwirt": [
+    { name: "Classic Schnitzel", price: 14.50, categories: ["main"] },
+    { name: "Cordon Bleu", price: 16.50, categories: ["main"] },
+    { name: "Chicken Schnitzel", price: 13.50, categories: ["main"] },
+    { name: "French Fries", price: 4.50, categories: ["starter"] },
+    { name: "Mixed Salad", price: 5.50, categories: ["starter"] },
+    { name: "Lemonade", price: 3.50, categories: ["drink"] }
+  ],
+  "Vapiano Wien Mitte": [
+    { name: "Margherita Pizza", price: 9.90, categories: ["main"] },
+    { name: "Carbonara", price: 11.90, categories: ["main"] },
+    { name: "Bolognese", price: 11.50, categories: ["main"] },
+    { name: "Caprese Salad", price: 8.50, categories: ["starter"] },
+    { name: "Tiramisu", price: 5.90, categories: ["dessert"] },
+    { name: "Iced Tea", price: 3.50, categories: ["drink"] }
+  ]
+};
+
 async function recreateSchema(conn) {
   const schemaSql = readSchemaSql(config.schemaSqlPath);
   await conn.query(schemaSql);
@@ -38,6 +426,7 @@ async function recreateSchema(conn) {
 async function clearAll(conn) {
   // We delete in FK-safe order because TRUNCATE can fail when FKs are involved.
   const deleteOrder = [
+    "outbox",
     "menu_item_category",
     "rider_works_for",
     "order_item",
@@ -57,7 +446,17 @@ async function clearAll(conn) {
   }
 
   // We reset auto-increment counters so IDs start from 1 again after reset.
-  const autoIncTables = ["person", "restaurant", "menu_item", "category", "`order`", "order_item", "payment", "delivery"];
+  const autoIncTables = [
+    "person",
+    "restaurant",
+    "menu_item",
+    "category",
+    "`order`",
+    "order_item",
+    "payment",
+    "delivery",
+    "outbox"
+  ];
   for ( const t of autoIncTables ) {
     await conn.query(`ALTER TABLE ${t} AUTO_INCREMENT = 1`);
   }
@@ -75,336 +474,649 @@ async function clearMongoAfterSqlReset() {
   ]);
 }
 
-async function importResetMariaDb() {
-  const inserted = await withTx(async function(conn) {
-    // We (1) ensure schema exists, (2) clear old data, then (3) insert fresh randomized data.
-    await recreateSchema(conn);
-    await clearAll(conn);
-
-    const rng = makeRng(12345); // Fixed seed for consistent randomization of orders/addresses only
-
-    // Vienna-based demo data (restaurants + realistic Vienna-style addresses)
-    const restaurantNames = [
-      "Figlmueller",
-      "Plachutta",
-      "Cafe Central",
-      "Zum Schwarzen Kameel",
-      "Lugeck",
-      "Steirereck",
-      "NENI am Naschmarkt",
-      "Gasthaus Poeschel",
-      "Schnitzelwirt",
-      "Vapiano Wien Mitte"
-    ];
-
-    const viennaAddressPool = [
-      { street: "Kaerntner Strasse", postcode: "1010" },
-      { street: "Rotenturmstrasse", postcode: "1010" },
-      { street: "Mariahilfer Strasse", postcode: "1060" },
-      { street: "Waehringer Strasse", postcode: "1090" },
-      { street: "Praterstrasse", postcode: "1020" },
-      { street: "Landstrasser Hauptstrasse", postcode: "1030" },
-      { street: "Favoritenstrasse", postcode: "1040" },
-      { street: "Schoenbrunner Strasse", postcode: "1050" },
-      { street: "Thaliastrasse", postcode: "1160" },
-      { street: "Donaufelder Strasse", postcode: "1210" }
-    ];
-
-    function makeViennaAddress(rng) {
-      const a = pick(rng, viennaAddressPool);
-      const houseNo = randInt(rng, 1, 200);
-      return `${a.street} ${houseNo}, ${a.postcode} Wien`;
+async function insertClassicData(conn, dataset, rng, anchorMs) {
+  // One query per row, exactly as the demo has always been built (the default dataset is unchanged).
+
+  // Restaurants
+  const restaurantIds = [];
+  for ( let i = 0; i < dataset.restaurants; i++ ) {
+    let name;
+    
+    if ( restaurantNames[i] ) {
+      name = restaurantNames[i];
+    } 
+    else {
+      name = `Restaurant ${i + 1}`;
     }
-    const vehicles = ["bike", "scooter", "car"];
-    const payMethods = ["card", "cash", "paypal"];
-    const categories = ["vegan", "spicy", "dessert", "drink", "starter", "main"];
-
-    // Fixed menu items for each restaurant - no randomization
-    const restaurantMenus = {
-      "Figlmueller": [
-        { name: "Wiener Schnitzel", price: 18.50, categories: ["main"] },
-        { name: "Tafelspitz", price: 22.00, categories: ["main"] },
-        { name: "Apfelstrudel", price: 6.50, categories: ["dessert"] },
-        { name: "Kaiserschmarrn", price: 8.00, categories: ["dessert"] },
-        { name: "Beer", price: 4.50, categories: ["drink"] },
-        { name: "Mineral Water", price: 3.00, categories: ["drink"] }
-      ],
-      "Plachutta": [
-        { name: "Tafelspitz Classic", price: 24.00, categories: ["main"] },
-        { name: "Zwiebelrostbraten", price: 26.50, categories: ["main"] },
-        { name: "Beef Broth", price: 5.50, categories: ["starter"] },
-        { name: "Sachertorte", price: 7.00, categories: ["dessert"] },
-        { name: "Wine", price: 5.50, categories: ["drink"] },
-        { name: "Coffee", price: 3.50, categories: ["drink"] }
-      ],
-      "Cafe Central": [
-        { name: "Melange", price: 4.80, categories: ["drink"] },
-        { name: "Cappuccino", price: 4.50, categories: ["drink"] },
-        { name: "Sachertorte", price: 6.50, categories: ["dessert"] },
-        { name: "Apfelstrudel", price: 6.00, categories: ["dessert"] },
-        { name: "Breakfast Platter", price: 12.50, categories: ["main"] },
-        { name: "Club Sandwich", price: 11.00, categories: ["main"] }
-      ],
-      "Zum Schwarzen Kameel": [
-        { name: "Open Sandwich", price: 9.50, categories: ["starter"] },
-        { name: "Beef Tartare", price: 14.00, categories: ["starter"] },
-        { name: "Schnitzel", price: 19.00, categories: ["main"] },
-        { name: "Fish of the Day", price: 21.00, categories: ["main"] },
-        { name: "Champagne", price: 12.00, categories: ["drink"] },
-        { name: "Espresso", price: 3.00, categories: ["drink"] }
-      ],
-      "Lugeck": [
-        { name: "Gulasch", price: 16.50, categories: ["main"] },
-        { name: "Schweinsbraten", price: 18.00, categories: ["main"] },
-        { name: "Knödel Variety", price: 13.50, categories: ["main"] },
-        { name: "Caesar Salad", price: 11.00, categories: ["starter"] },
-        { name: "Palatschinken", price: 7.50, categories: ["dessert"] },
-        { name: "Cola", price: 3.50, categories: ["drink"] }
-      ],
-      "Steirereck": [
-        { name: "Tasting Menu", price: 145.00, categories: ["main"] },
-        { name: "Venison", price: 42.00, categories: ["main"] },
-        { name: "Trout", price: 38.00, categories: ["main"] },
-        { name: "Amuse Bouche", price: 18.00, categories: ["starter"] },
-        { name: "Cheese Selection", price: 16.00, categories: ["dessert"] },
-        { name: "Wine Pairing", price: 85.00, categories: ["drink"] }
-      ],
-      "NENI am Naschmarkt": [
-        { name: "Hummus Platter", price: 11.50, categories: ["starter", "vegan"] },
-        { name: "Falafel Bowl", price: 14.00, categories: ["main", "vegan"] },
-        { name: "Shawarma", price: 15.50, categories: ["main"] },
-        { name: "Lamb Kebab", price: 18.00, categories: ["main"] },
-        { name: "Baklava", price: 6.00, categories: ["dessert"] },
-        { name: "Mint Tea", price: 3.50, categories: ["drink"] }
-      ],
-      "Gasthaus Poeschel": [
-        { name: "Backhendl", price: 16.00, categories: ["main"] },
-        { name: "Leberkäs with Egg", price: 9.50, categories: ["main"] },
-        { name: "Potato Soup", price: 5.50, categories: ["starter"] },
-        { name: "Spätzle", price: 8.00, categories: ["main"] },
-        { name: "Marillenknödel", price: 7.50, categories: ["dessert"] },
-        { name: "Beer", price: 4.00, categories: ["drink"] }
-      ],
-      "Schnitzelwirt": [
-        { name: "Classic Schnitzel", price: 14.50, categories: ["main"] },
-        { name: "Cordon Bleu", price: 16.50, categories: ["main"] },
-        { name: "Chicken Schnitzel", price: 13.50, categories: ["main"] },
-        { name: "French Fries", price: 4.50, categories: ["starter"] },
-        { name: "Mixed Salad", price: 5.50, categories: ["starter"] },
-        { name: "Lemonade", price: 3.50, categories: ["drink"] }
-      ],
-      "Vapiano Wien Mitte": [
-        { name: "Margherita Pizza", price: 9.90, categories: ["main"] },
-        { name: "Carbonara", price: 11.90, categories: ["main"] },
-        { name: "Bolognese", price: 11.50, categories: ["main"] },
-        { name: "Caprese Salad", price: 8.50, categories: ["starter"] },
-        { name: "Tiramisu", price: 5.90, categories: ["dessert"] },
-        { name: "Iced Tea", price: 3.50, categories: ["drink"] }
-      ]
-    };
-
-    // Restaurants
-    const restaurantIds = [];
-    for ( let i = 0; i < 10; i++ ) {
-      let name;
-      
-      if ( restaurantNames[i] ) {
-        name = restaurantNames[i];
-      } 
-      else {
-        name = `Restaurant ${i + 1}`;
+    const address = makeViennaAddress(rng);
+    const r = await conn.query("INSERT INTO restaurant (name, address) VALUES (?, ?)", [name, address]);
+    restaurantIds.push(Number(r.insertId));
+  }
+
+  // Categories
+  const categoryIdByName = new Map();
+  for ( const c of categories ) {
+    const r = await conn.query("INSERT INTO category (name) VALUES (?)", [c]);
+    categoryIdByName.set(c, Number(r.insertId));
+  }
+
+  // Menu items - fixed per restaurant
+  const menuItemIds = [];
+  const itemsByRestaurantId = new Map(restaurantIds.map(function(rid) {
+    return [rid, []];
+  }));
+
+  for ( let i = 0; i < restaurantIds.length; i++ ) {
+    const restaurantId = restaurantIds[i];
+    // Restaurants past the ten named ones reuse those menus in turn ("Restaurant 11" serves Figlmueller's).
+    const menuItems = restaurantMenus[restaurantNames[i % restaurantNames.length]];
+
+    for ( const item of menuItems ) {
+      const r = await conn.query(
+        "INSERT INTO menu_item (restaurant_id, name, description, price) VALUES (?, ?, ?, ?)",
+        [restaurantId, item.name, `Delicious ${item.name.toLowerCase()}`, item.price]
+      );
+      const menuItemId = Number(r.insertId);
+      const mi = { menuItemId, restaurantId, price: item.price };
+      menuItemIds.push(mi);
+      itemsByRestaurantId.get(restaurantId).push(mi);
+
+      // Add categories for this item
+      for ( const categoryName of item.categories ) {
+        const categoryId = categoryIdByName.get(categoryName);
+        if ( categoryId ) {
+          await conn.query("INSERT INTO menu_item_category (menu_item_id, category_id) VALUES (?, ?)", [
+            menuItemId,
+            categoryId
+          ]);
+        }
       }
-      const address = makeViennaAddress(rng);
-      const r = await conn.query("INSERT INTO restaurant (name, address) VALUES (?, ?)", [name, address]);
-      restaurantIds.push(Number(r.insertId));
     }
+  }
 
-    // Categories
-    const categoryIdByName = new Map();
-    for ( const c of categories ) {
-      const r = await conn.query("INSERT INTO category (name) VALUES (?)", [c]);
-      categoryIdByName.set(c, Number(r.insertId));
-    }
+  const people = await insertClassicPeople(conn, dataset, rng, restaurantIds, function(_kind, i) {
+    return i + 1;
+  });
+  const counts = await insertClassicOrders(conn, dataset, rng, anchorMs, {
+    restaurantIds,
+    itemsByRestaurantId,
+    customerIds: people.customerIds,
+    riderIds: people.riderIds
+  });
 
-    // Menu items - fixed per restaurant
-    const menuItemIds = [];
-    const itemsByRestaurantId = new Map(restaurantIds.map(function(rid) {
-      return [rid, []];
-    }));
-
-    for ( let i = 0; i < restaurantNames.length; i++ ) {
-      const restaurantName = restaurantNames[i];
-      const restaurantId = restaurantIds[i];
-      const menuItems = restaurantMenus[restaurantName];
-
-      for ( const item of menuItems ) {
-        const r = await conn.query(
-          "INSERT INTO menu_item (restaurant_id, name, description, price) VALUES (?, ?, ?, ?)",
-          [restaurantId, item.name, `Delicious ${item.name.toLowerCase()}`, item.price]
-        );
-        const menuItemId = Number(r.insertId);
-        const mi = { menuItemId, restaurantId, price: item.price };
-        menuItemIds.push(mi);
-        itemsByRestaurantId.get(restaurantId).push(mi);
-
-        // Add categories for this item
-        for ( const categoryName of item.categories ) {
-          const categoryId = categoryIdByName.get(categoryName);
-          if ( categoryId ) {
-            await conn.query("INSERT INTO menu_item_category (menu_item_id, category_id) VALUES (?, ?)", [
-              menuItemId,
-              categoryId
-            ]);
-          }
-        }
+  return {
+    restaurants: restaurantIds.length,
+    menuItems: menuItemIds.length,
+    customers: people.customerIds.length,
+    riders: people.riderIds.length,
+    ...counts
+  };
+}
+
+async function insertClassicPeople(conn, dataset, rng, restaurantIds, numberFor) {
+  // Customers and riders (working for 1-2 of `restaurantIds`); `numberFor(kind, i)` numbers their names and emails.
+  const customerIds = [];
+  for ( let i = 0; i < dataset.customers; i++ ) {
+    const n = numberFor("customer", i);
+    const name = `Customer ${n}`;
+    const email = `customer${n}@example.com`;
+    const phone = `+43 1 ${randInt(rng, 1000000, 9999999)}`;
+    const p = await conn.query("INSERT INTO person (name, email, phone) VALUES (?, ?, ?)", [name, email, phone]);
+    const personId = Number(p.insertId);
+    await conn.query("INSERT INTO customer (customer_id, default_address, preferred_payment_method) VALUES (?, ?, ?)", [
+      personId,
+      makeViennaAddress(rng),
+      pick(rng, payMethods)
+    ]);
+    customerIds.push(personId);
+  }
+
+  const riderIds = [];
+  for ( let i = 0; i < dataset.riders; i++ ) {
+    const n = numberFor("rider", i);
+    const name = `Rider ${n}`;
+    const email = `rider${n}@example.com`;
+    const phone = `+43 1 ${randInt(rng, 1000000, 9999999)}`;
+    const p = await conn.query("INSERT INTO person (name, email, phone) VALUES (?, ?, ?)", [name, email, phone]);
+    const personId = Number(p.insertId);
+    await conn.query("INSERT INTO rider (rider_id, vehicle_type, rating) VALUES (?, ?, ?)", [
+      personId,
+      pick(rng, vehicles),
+      (randInt(rng, 30, 50) / 10).toFixed(1)
+    ]);
+    riderIds.push(personId);
+  }
+
+  // Riders work for restaurants (1-2 each)
+  for ( const riderId of riderIds ) {
+    const r1 = pick(rng, restaurantIds);
+    await conn.query("INSERT INTO rider_works_for (rider_id, restaurant_id) VALUES (?, ?)", [riderId, r1]);
+    if ( rng() < 0.5 ) {
+      const r2 = pick(rng, restaurantIds);
+      if ( r2 !== r1 ) {
+        await conn.query("INSERT INTO rider_works_for (rider_id, restaurant_id) VALUES (?, ?)", [riderId, r2]);
       }
     }
+  }
 
-    // People: customers + riders
-    const customerIds = [];
-    for ( let i = 0; i < 20; i++ ) {
-      const name = `Customer ${i + 1}`;
-      const email = `customer${i + 1}@example.com`;
-      const phone = `+43 1 ${randInt(rng, 1000000, 9999999)}`;
-      const p = await conn.query("INSERT INTO person (name, email, phone) VALUES (?, ?, ?)", [name, email, phone]);
-      const personId = Number(p.insertId);
-      await conn.query("INSERT INTO customer (customer_id, default_address, preferred_payment_method) VALUES (?, ?, ?)", [
-        personId,
-        makeViennaAddress(rng),
-        pick(rng, payMethods)
-      ]);
-      customerIds.push(personId);
+  return { customerIds, riderIds };
+}
+
+async function insertClassicOrders(conn, dataset, rng, anchorMs, refs, onOrder) {
+  // Orders over `refs` (restaurantIds, itemsByRestaurantId, customerIds, riderIds), each with its items and maybe a
+  // payment and a delivery. `onOrder(orderId)` runs once an order is complete.
+  let insertedOrders = 0;
+  let insertedOrderItems = 0;
+  let insertedPayments = 0;
+  let insertedDeliveries = 0;
+
+  const scenario = SCENARIOS[dataset.scenario] || null;
+
+  // The spike scenario's lunch rush is on the (UTC) day before the anchor, so it never lies after the anchor.
+  const spikeDayMs = Math.floor(anchorMs / DAY_MS) * DAY_MS - DAY_MS;
+
+  for ( let i = 0; i < dataset.orders; i++ ) {
+    let restaurantId = pick(rng, refs.restaurantIds);
+    const customerId = pick(rng, refs.customerIds);
+
+    let createdAt = new Date(anchorMs - randInt(rng, 0, dataset.days) * 24 * 60 * 60 * 1000);
+    let status = pick(rng, ["created", "preparing", "ready", "completed"]);
+
+    // Scenario tweaks draw their own random numbers after the usual ones, and only when the scenario asks for them.
+    let backlog = false;
+
+    if ( scenario && scenario.spikeShare && rng() < scenario.spikeShare ) {
+      restaurantId = refs.restaurantIds[0];
+      createdAt = new Date(spikeDayMs + randInt(rng, 11 * 60, 13 * 60 + 59) * 60 * 1000);
+    }
+    if ( scenario && scenario.backlogShare && rng() < scenario.backlogShare ) {
+      backlog = true;
+      status = "preparing";
+    }
+
+    // We insert the order first with total 0, then update it after We add order items.
+    const o = await conn.query(
+      "INSERT INTO `order` (customer_id, restaurant_id, created_at, status, total_amount) VALUES (?, ?, ?, ?, ?)",
+      [customerId, restaurantId, createdAt, status, 0]
+    );
+    const orderId = Number(o.insertId);
+    insertedOrders++;
+
+    const itemsForRestaurantRaw = refs.itemsByRestaurantId.get(restaurantId);
+    let itemsForRestaurant;
+    
+    if ( itemsForRestaurantRaw ) {
+      itemsForRestaurant = itemsForRestaurantRaw;
+    } 
+    else {
+      itemsForRestaurant = [];
     }
+    if ( !itemsForRestaurant.length ) {
+      throw new Error(`No menu items exist for restaurantId=${restaurantId} (demo data invariant violated)`);
+    }
+    const itemCount = randInt(rng, 1, 5);
 
-    const riderIds = [];
-    for ( let i = 0; i < 10; i++ ) {
-      const name = `Rider ${i + 1}`;
-      const email = `rider${i + 1}@example.com`;
-      const phone = `+43 1 ${randInt(rng, 1000000, 9999999)}`;
-      const p = await conn.query("INSERT INTO person (name, email, phone) VALUES (?, ?, ?)", [name, email, phone]);
-      const personId = Number(p.insertId);
-      await conn.query("INSERT INTO rider (rider_id, vehicle_type, rating) VALUES (?, ?, ?)", [
-        personId,
-        pick(rng, vehicles),
-        (randInt(rng, 30, 50) / 10).toFixed(1)
+    let total = 0;
+    for ( let j = 0; j < itemCount; j++ ) {
+      const mi = pick(rng, itemsForRestaurant);
+      const qty = randInt(rng, 1, 3);
+      const unitPrice = mi.price;
+      total += qty * unitPrice;
+      await conn.query(
+        "INSERT INTO order_item (order_id, menu_item_id, quantity, unit_price) VALUES (?, ?, ?, ?)",
+        [orderId, mi.menuItemId, qty, unitPrice]
+      );
+      insertedOrderItems++;
+    }
+
+    total = Math.round(total * 100) / 100;
+    await conn.query("UPDATE `order` SET total_amount = ? WHERE order_id = ?", [total, orderId]);
+
+    // Payment: at most one per order; with paymentRatio < 1 some orders stay unpaid (so Student 1 can pay them).
+    const paidAt = new Date(createdAt.getTime() + randInt(rng, 5, 60) * 60 * 1000);
+
+    // A ratio of 1 draws no random number, so the default demo stays exactly as it was.
+    if ( dataset.paymentRatio >= 1 || rng() < dataset.paymentRatio ) {
+      await conn.query("INSERT INTO payment (order_id, amount, payment_method, paid_at) VALUES (?, ?, ?, ?)", [
+        orderId,
+        total,
+        pick(rng, payMethods),
+        paidAt
       ]);
-      riderIds.push(personId);
+      insertedPayments++;
     }
 
-    // Riders work for restaurants (1-2 each)
-    for ( const riderId of riderIds ) {
-      const r1 = pick(rng, restaurantIds);
-      await conn.query("INSERT INTO rider_works_for (rider_id, restaurant_id) VALUES (?, ?)", [riderId, r1]);
-      if ( rng() < 0.5 ) {
-        const r2 = pick(rng, restaurantIds);
-        if ( r2 !== r1 ) {
-          await conn.query("INSERT INTO rider_works_for (rider_id, restaurant_id) VALUES (?, ?)", [riderId, r2]);
-        }
+    // Delivery: exists for some orders, and some are unassigned (so Student 2 can assign).
+    // A backlog order always gets one, waiting for a rider.
+    if ( backlog || rng() < dataset.deliveryRatio ) {
+      let deliveryStatus;
+
+      if ( backlog ) {
+        deliveryStatus = "created";
+      } 
+      else {
+        deliveryStatus = pick(rng, ["created", "assigned", "picked_up", "delivered"]);
       }
+      const isAssigned = deliveryStatus !== "created";
+      let riderId;
+      
+      if ( isAssigned ) {
+        riderId = pick(rng, refs.riderIds);
+      } 
+      else {
+        riderId = null;
+      }
+      
+      let assignedAt;
+      
+      if ( isAssigned ) {
+        assignedAt = new Date(paidAt.getTime() + randInt(rng, 5, 45) * 60 * 1000);
+      } 
+      else {
+        assignedAt = null;
+      }
+
+      await conn.query(
+        "INSERT INTO delivery (order_id, rider_id, assigned_at, delivery_status) VALUES (?, ?, ?, ?)",
+        [orderId, riderId, assignedAt, deliveryStatus]
+      );
+      insertedDeliveries++;
     }
 
-    // Orders + order items + payment + delivery
-    let insertedOrders = 0;
-    let insertedOrderItems = 0;
-    let insertedPayments = 0;
-    let insertedDeliveries = 0;
+    if ( onOrder ) {
+      await onOrder(orderId);
+    }
+  }
+
+  if ( scenario && scenario.priceIncrease ) {
+    // The price change comes after the orders: they keep the prices they were placed at (`order_item.unit_price`).
+    await conn.query("UPDATE menu_item SET price = ROUND(price * ?, 1) WHERE restaurant_id = ?", [
+      1 + scenario.priceIncrease,
+      refs.restaurantIds[0]
+    ]);
+  }
 
-    for ( let i = 0; i < 30; i++ ) {
-      const restaurantId = pick(rng, restaurantIds);
-      const customerId = pick(rng, customerIds);
+  return {
+    orders: insertedOrders,
+    orderItems: insertedOrderItems,
+    payments: insertedPayments,
+    deliveries: insertedDeliveries
+  };
+}
 
-      const createdAt = new Date(Date.now() - randInt(rng, 0, 14) * 24 * 60 * 60 * 1000);
-      const status = pick(rng, ["created", "preparing", "ready", "completed"]);
+async function appendClassicData(conn, dataset, rng, anchorMs) {
+  /*
+    Append mode: nothing is cleared. Orders go to the restaurants that already have a menu, new customers and riders
+    join the existing ones, and every order is recorded in the outbox like one placed through the app, so the relay
+    brings it into the Mongo read model (people without an order arrive with the next migration).
+  */
+  const menuRows = await conn.query(
+    "SELECT menu_item_id AS menuItemId, restaurant_id AS restaurantId, price FROM menu_item ORDER BY menu_item_id"
+  );
+  const itemsByRestaurantId = new Map();
 
-      // We insert the order first with total 0, then update it after We add order items.
-      const o = await conn.query(
-        "INSERT INTO `order` (customer_id, restaurant_id, created_at, status, total_amount) VALUES (?, ?, ?, ?, ?)",
-        [customerId, restaurantId, createdAt, status, 0]
-      );
-      const orderId = Number(o.insertId);
-      insertedOrders++;
+  for ( const row of menuRows ) {
+    const restaurantId = Number(row.restaurantId);
 
-      const itemsForRestaurantRaw = itemsByRestaurantId.get(restaurantId);
-      let itemsForRestaurant;
-      
-      if ( itemsForRestaurantRaw ) {
-        itemsForRestaurant = itemsForRestaurantRaw;
+    if ( !itemsByRestaurantId.has(restaurantId) ) {
+      itemsByRestaurantId.set(restaurantId, []);
+    }
+    itemsByRestaurantId.get(restaurantId).push({ menuItemId: Number(row.menuItemId), restaurantId, price: Number(row.price) });
+  }
+
+  const restaurantIds = Array.from(itemsByRestaurantId.keys());
+  const customerIds = (await conn.query("SELECT customer_id AS id FROM customer ORDER BY customer_id")).map(function(row) {
+    return Number(row.id);
+  });
+  const riderIds = (await conn.query("SELECT rider_id AS id FROM rider ORDER BY rider_id")).map(function(row) {
+    return Number(row.id);
+  });
+
+  if ( !restaurantIds.length ) {
+    throw conflict("append mode needs restaurants with menu items; run Import & Reset or the CSV import first");
+  }
+  if ( dataset.orders > 0 && !customerIds.length && !dataset.customers ) {
+    throw conflict("append mode needs customers for its orders; add some with the customers field");
+  }
+  if ( dataset.orders > 0 && dataset.deliveryRatio > 0 && !riderIds.length && !dataset.riders ) {
+    throw conflict("append mode needs riders for deliveries; add some with the riders field or set deliveryRatio to 0");
+  }
+
+  // New people continue the demo numbering ("Customer 21", ...), skipping emails that are taken.
+  const taken = new Set((await conn.query(
+    "SELECT email FROM person WHERE email LIKE 'customer%@example.com' OR email LIKE 'rider%@example.com'"
+  )).map(function(row) {
+    return row.email.toLowerCase();
+  }));
+  const nextNumber = { customer: 1, rider: 1 };
+
+  const people = await insertClassicPeople(conn, dataset, rng, restaurantIds, function(kind) {
+    while ( taken.has(`${kind}${nextNumber[kind]}@example.com`) ) {
+      nextNumber[kind]++;
+    }
+    return nextNumber[kind]++;
+  });
+
+  let outboxEvents = 0;
+  const counts = await insertClassicOrders(conn, dataset, rng, anchorMs, {
+    restaurantIds,
+    itemsByRestaurantId,
+    customerIds: customerIds.concat(people.customerIds),
+    riderIds: riderIds.concat(people.riderIds)
+  }, async function(orderId) {
+    await appendOrderEvent(conn, "order_placed", orderId);
+    outboxEvents++;
+  });
+
+  return {
+    restaurants: 0,
+    menuItems: 0,
+    customers: people.customerIds.length,
+    riders: people.riderIds.length,
+    ...counts,
+    outboxEvents
+  };
+}
+
+function makeWeightedPicker(rng, weights) {
+  // Picks an index with probability proportional to its weight (cumulative sums + binary search).
+  const cumulative = [];
+  let total = 0;
+
+  for ( const w of weights ) {
+    total += w;
+    cumulative.push(total);
+  }
+
+  return function() {
+    const r = rng() * total;
+    let lo = 0;
+    let hi = cumulative.length - 1;
+
+    while ( lo < hi ) {
+      const mid = (lo + hi) >> 1;
+
+      if ( cumulative[mid] > r ) {
+        hi = mid;
       } 
       else {
-        itemsForRestaurant = [];
+        lo = mid + 1;
       }
-      if ( !itemsForRestaurant.length ) {
-        throw new Error(`No menu items exist for restaurantId=${restaurantId} (demo data invariant violated)`);
+    }
+    return lo;
+  };
+}
+
+function zipfWeights(count, exponent) {
+  // Rank 1 gets the most weight: a few restaurants are popular and a few customers order again and again.
+  const weights = [];
+
+  for ( let i = 0; i < count; i++ ) {
+    weights.push(1 / Math.pow(i + 1, exponent));
+  }
+  return weights;
+}
+
+// Relative order volume per hour of the day (UTC): quiet nights, a lunch peak and a bigger dinner peak.
+const HOUR_WEIGHTS = [1, 0.5, 0.3, 0.2, 0.2, 0.3, 1, 2, 3, 3, 4, 8, 10, 8, 4, 3, 3, 5, 9, 10, 8, 5, 3, 2];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function restaurantName(i) {
+  if ( restaurantNames[i] ) {
+    return restaurantNames[i];
+  }
+  return `Restaurant ${i + 1}`;
+}
+
+async function batchInsert(conn, sql, rows) {
+  // One multi-row round trip; `batch()` rejects an empty value list, so we skip those.
+  if ( rows.length ) {
+    await conn.batch(sql, rows);
+  }
+  return rows.length;
+}
+
+async function insertBulkData(conn, dataset, rng, anchorMs) {
+  // The tables were just cleared and their AUTO_INCREMENT reset, so we hand out ids ourselves (1, 2, ...)
+  // and never need an `insertId` back. That is what lets every table go in with `batch()`.
+
+  // Restaurants, categories and menus (same catalogue as classic mode)
+  const restaurantRows = [];
+
+  for ( let i = 0; i < dataset.restaurants; i++ ) {
+    restaurantRows.push([i + 1, restaurantName(i), makeViennaAddress(rng)]);
+  }
+  await batchInsert(conn, "INSERT INTO restaurant (restaurant_id, name, address) VALUES (?, ?, ?)", restaurantRows);
+
+  const categoryIdByName = new Map(categories.map(function(c, i) {
+    return [c, i + 1];
+  }));
+  await batchInsert(conn, "INSERT INTO category (category_id, name) VALUES (?, ?)", categories.map(function(c, i) {
+    return [i + 1, c];
+  }));
+
+  const menuRows = [];
+  const menuCategoryRows = [];
+  const itemsByRestaurant = [];
+
+  for ( let i = 0; i < dataset.restaurants; i++ ) {
+    const items = [];
+
+    for ( const item of restaurantMenus[restaurantNames[i % restaurantNames.length]] ) {
+      const menuItemId = menuRows.length + 1;
+
+      menuRows.push([menuItemId, i + 1, item.name, `Delicious ${item.name.toLowerCase()}`, item.price]);
+      items.push({ menuItemId, price: item.price });
+
+      for ( const categoryName of item.categories ) {
+        menuCategoryRows.push([menuItemId, categoryIdByName.get(categoryName)]);
       }
-      const itemCount = randInt(rng, 1, 5);
+    }
+    itemsByRestaurant.push(items);
+  }
+  await batchInsert(conn, "INSERT INTO menu_item (menu_item_id, restaurant_id, name, description, price) VALUES (?, ?, ?, ?, ?)", menuRows);
+  await batchInsert(conn, "INSERT INTO menu_item_category (menu_item_id, category_id) VALUES (?, ?)", menuCategoryRows);
+
+  // People: customers get ids 1..customers, riders the ones after them
+  const personRows = [];
+  const customerRows = [];
+  const riderRows = [];
+
+  for ( let i = 0; i < dataset.customers; i++ ) {
+    personRows.push([i + 1, `Customer ${i + 1}`, `customer${i + 1}@example.com`, `+43 1 ${randInt(rng, 1000000, 9999999)}`]);
+    customerRows.push([i + 1, makeViennaAddress(rng), pick(rng, payMethods)]);
+  }
+
+  for ( let i = 0; i < dataset.riders; i++ ) {
+    const personId = dataset.customers + i + 1;
+
+    personRows.push([personId, `Rider ${i + 1}`, `rider${i + 1}@example.com`, `+43 1 ${randInt(rng, 1000000, 9999999)}`]);
+    riderRows.push([personId, pick(rng, vehicles), (randInt(rng, 30, 50) / 10).toFixed(1)]);
+  }
+  await batchInsert(conn, "INSERT INTO person (person_id, name, email, phone) VALUES (?, ?, ?, ?)", personRows);
+  await batchInsert(conn, "INSERT INTO customer (customer_id, default_address, preferred_payment_method) VALUES (?, ?, ?)", customerRows);
+  await batchInsert(conn, "INSERT INTO rider (rider_id, vehicle_type, rating) VALUES (?, ?, ?)", riderRows);
+
+  // Riders work for 1-2 restaurants
+  const worksForRows = [];
+
+  for ( const row of riderRows ) {
+    const r1 = randInt(rng, 1, dataset.restaurants);
+    worksForRows.push([row[0], r1]);
+
+    if ( rng() < 0.5 ) {
+      const r2 = randInt(rng, 1, dataset.restaurants);
+
+      if ( r2 !== r1 ) {
+        worksForRows.push([row[0], r2]);
+      }
+    }
+  }
+  await batchInsert(conn, "INSERT INTO rider_works_for (rider_id, restaurant_id) VALUES (?, ?)", worksForRows);
+
+  // Orders, in chunks so memory stays flat however many we generate
+  const pickRestaurant = makeWeightedPicker(rng, zipfWeights(dataset.restaurants, 1));
+  const pickCustomer = makeWeightedPicker(rng, zipfWeights(dataset.customers, 0.8));
+  const pickHour = makeWeightedPicker(rng, HOUR_WEIGHTS);
+  const anchorDayMs = Math.floor(anchorMs / DAY_MS) * DAY_MS;
+
+  const counts = { orders: 0, orderItems: 0, payments: 0, deliveries: 0 };
 
+  for ( let first = 0; first < dataset.orders; first += BULK_ORDER_CHUNK ) {
+    const orderRows = [];
+    const itemRows = [];
+    const paymentRows = [];
+    const deliveryRows = [];
+    const last = Math.min(first + BULK_ORDER_CHUNK, dataset.orders);
+
+    for ( let i = first; i < last; i++ ) {
+      const orderId = i + 1;
+      const restaurantIndex = pickRestaurant();
+
+      // A peak-weighted time of day on one of the last `days` days, never after the anchor itself.
+      let createdMs = anchorDayMs - randInt(rng, 0, dataset.days) * DAY_MS + pickHour() * 3600000 + randInt(rng, 0, 3599) * 1000;
+
+      if ( createdMs > anchorMs ) {
+        createdMs -= DAY_MS;
+      }
+
+      const createdAt = new Date(createdMs);
       let total = 0;
+      const itemCount = randInt(rng, 1, 5);
+
       for ( let j = 0; j < itemCount; j++ ) {
-        const mi = pick(rng, itemsForRestaurant);
+        const mi = pick(rng, itemsByRestaurant[restaurantIndex]);
         const qty = randInt(rng, 1, 3);
-        const unitPrice = mi.price;
-        total += qty * unitPrice;
-        await conn.query(
-          "INSERT INTO order_item (order_id, menu_item_id, quantity, unit_price) VALUES (?, ?, ?, ?)",
-          [orderId, mi.menuItemId, qty, unitPrice]
-        );
-        insertedOrderItems++;
+
+        total += qty * mi.price;
+        itemRows.push([orderId, mi.menuItemId, qty, mi.price]);
       }
 
       total = Math.round(total * 100) / 100;
-      await conn.query("UPDATE `order` SET total_amount = ? WHERE order_id = ?", [total, orderId]);
+      orderRows.push([orderId, pickCustomer() + 1, restaurantIndex + 1, createdAt, pick(rng, ["created", "preparing", "ready", "completed"]), total]);
 
-      // Payment: 1:1 with order
-      const paidAt = new Date(createdAt.getTime() + randInt(rng, 5, 60) * 60 * 1000);
-      await conn.query("INSERT INTO payment (order_id, amount, payment_method, paid_at) VALUES (?, ?, ?, ?)", [
-        orderId,
-        total,
-        pick(rng, payMethods),
-        paidAt
-      ]);
-      insertedPayments++;
+      const paidAt = new Date(createdMs + randInt(rng, 5, 60) * 60 * 1000);
+
+      if ( dataset.paymentRatio >= 1 || rng() < dataset.paymentRatio ) {
+        paymentRows.push([orderId, total, pick(rng, payMethods), paidAt]);
+      }
 
-      // Delivery: exists for some orders, and some are unassigned (so Student 2 can assign).
-      if ( rng() < 0.6 ) {
+      if ( rng() < dataset.deliveryRatio ) {
         const deliveryStatus = pick(rng, ["created", "assigned", "picked_up", "delivered"]);
-        const isAssigned = deliveryStatus !== "created";
-        let riderId;
-        
-        if ( isAssigned ) {
-          riderId = pick(rng, riderIds);
-        } 
-        else {
-          riderId = null;
-        }
-        
-        let assignedAt;
-        
-        if ( isAssigned ) {
-          assignedAt = new Date(paidAt.getTime() + randInt(rng, 5, 45) * 60 * 1000);
+
+        if ( deliveryStatus === "created" ) {
+          deliveryRows.push([orderId, null, null, deliveryStatus]);
         } 
         else {
-          assignedAt = null;
+          const riderId = dataset.customers + randInt(rng, 1, dataset.riders);
+          deliveryRows.push([orderId, riderId, new Date(paidAt.getTime() + randInt(rng, 5, 45) * 60 * 1000), deliveryStatus]);
         }
+      }
+    }
+
+    counts.orders += await batchInsert(
+      conn,
+      "INSERT INTO `order` (order_id, customer_id, restaurant_id, created_at, status, total_amount) VALUES (?, ?, ?, ?, ?, ?)",
+      orderRows
+    );
+    counts.orderItems += await batchInsert(
+      conn,
+      "INSERT INTO order_item (order_id, menu_item_id, quantity, unit_price) VALUES (?, ?, ?, ?)",
+      itemRows
+    );
+    counts.payments += await batchInsert(
+      conn,
+      "INSERT INTO payment (order_id, amount, payment_method, paid_at) VALUES (?, ?, ?, ?)",
+      paymentRows
+    );
+    counts.deliveries += await batchInsert(
+      conn,
+      "INSERT INTO delivery (order_id, rider_id, assigned_at, delivery_status) VALUES (?, ?, ?, ?)",
+      deliveryRows
+    );
+
+    // Each chunk is its own transaction; `withTx` commits the last one.
+    await conn.commit();
+    await conn.beginTransaction();
+  }
+
+  return {
+    restaurants: restaurantRows.length,
+    menuItems: menuRows.length,
+    customers: customerRows.length,
+    riders: riderRows.length,
+    ...counts
+  };
+}
+
+function measureThroughput(dataset, inserted, startedAt) {
+  // Rows are everything we inserted (join tables included), so runs of both modes can be compared.
+  const durationMs = Math.max(Date.now() - startedAt, 1);
+  let rows = 0;
+
+  for ( const name of Object.keys(inserted) ) {
+    rows += inserted[name];
+  }
+
+  const throughput = {
+    mode: dataset.mode,
+    durationMs,
+    rows,
+    rowsPerSecond: Math.round(rows / (durationMs / 1000)),
+    ordersPerSecond: Math.round(inserted.orders / (durationMs / 1000))
+  };
 
-        await conn.query(
-          "INSERT INTO delivery (order_id, rider_id, assigned_at, delivery_status) VALUES (?, ?, ?, ?)",
-          [orderId, riderId, assignedAt, deliveryStatus]
-        );
-        insertedDeliveries++;
+  console.log(
+    `import_reset (${dataset.mode}): ${inserted.orders} orders, ${rows} rows in ${(durationMs / 1000).toFixed(1)} s ` +
+    `(${throughput.ordersPerSecond} orders/s, ${throughput.rowsPerSecond} rows/s)`
+  );
+
+  return throughput;
+}
+
+async function importResetMariaDb(options) {
+  const dataset = parseDatasetOptions(options);
+  const startedAt = Date.now();
+
+  let inserted;
+
+  try {
+    inserted = await withTx(async function(conn) {
+      const rng = makeRng(dataset.seed);
+      const anchorMs = new Date(dataset.anchorDate).getTime();
+
+      if ( dataset.mode === "append" ) {
+        return appendClassicData(conn, dataset, rng, anchorMs);
+      }
+
+      // We (1) ensure schema exists, (2) clear old data, then (3) insert fresh randomized data.
+      await recreateSchema(conn);
+      await clearAll(conn);
+
+      if ( dataset.mode === "bulk" ) {
+        return insertBulkData(conn, dataset, rng, anchorMs);
       }
+
+      return insertClassicData(conn, dataset, rng, anchorMs);
+    });
+  } 
+  catch (e) {
+    if ( dataset.mode === "bulk" ) {
+      // The chunks committed before the failure stay, so the old read model no longer matches SQL either.
+      await clearMongoAfterSqlReset();
+      e.message = `bulk import failed part-way; the chunks committed so far stay in MariaDB, run the reset again: ${e.message}`;
     }
+    throw e;
+  }
 
-    return {
-      restaurants: restaurantIds.length,
-      menuItems: menuItemIds.length,
-      customers: customerIds.length,
-      riders: riderIds.length,
-      orders: insertedOrders,
-      orderItems: insertedOrderItems,
-      payments: insertedPayments,
-      deliveries: insertedDeliveries
-    };
-  });
+  // Measured before the Mongo cleanup, so it is the SQL generation alone.
+  const throughput = measureThroughput(dataset, inserted, startedAt);
+
+  if ( dataset.mode === "append" ) {
+    // The read model and the migration marker stay; the outbox events carry the new orders over.
+    return { inserted, throughput };
+  }
 
   try {
     await clearMongoAfterSqlReset();
@@ -414,8 +1126,21 @@ async function importResetMariaDb() {
     throw e;
   }
 
-  return inserted;
+  return { inserted, throughput };
 }
 
-module.exports = { importResetMariaDb };
+module.exports = {
+  importResetMariaDb,
+  parseDatasetOptions,
+  DEFAULT_DATASET,
+  DATASET_LIMITS,
+  BULK_DATASET_LIMITS,
+  APPEND_DATASET_LIMITS,
+  SCENARIOS,
+  // Shared with the CSV import (`csvImport.js`), which replaces the data the same way.
+  recreateSchema,
+  clearAll,
+  clearMongoAfterSqlReset,
+  batchInsert
+};
 
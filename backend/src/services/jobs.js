@@ -0,0 +1,152 @@
+// File flow:
+// - We keep a small in-memory registry of background jobs (id, type, status, phase, progress).
+// - A job runs an async function that reports progress; every change is pushed to subscribers.
+// - Routes read a job snapshot for polling, or subscribe to updates for Server-Sent Events.
+// - Jobs live only as long as the Node process; we keep the most recent ones and drop the rest.
+
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+// We only keep the newest jobs so the registry cannot grow forever.
+const MAX_JOBS = 50;
+
+const jobs = new Map();
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+function snapshotOf(job) {
+  // We return a plain copy so callers cannot mutate the registry, and compute elapsed time on read.
+  let endMs;
+
+  if ( job.finishedAt ) {
+    endMs = job.finishedAt.getTime();
+  }
+  else {
+    endMs = Date.now();
+  }
+
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    phase: job.phase,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    elapsedMs: endMs - job.startedAt.getTime(),
+    progress: JSON.parse(JSON.stringify(job.progress)),
+    result: job.result,
+    error: job.error
+  };
+}
+
+function publish(job) {
+  emitter.emit(job.id, snapshotOf(job));
+}
+
+function pruneOldJobs() {
+  // Map keeps insertion order, so the first finished entries are the oldest.
+  for ( const [id, job] of jobs ) {
+    if ( jobs.size <= MAX_JOBS ) {
+      break;
+    }
+    if ( job.status !== "running" ) {
+      jobs.delete(id);
+    }
+  }
+}
+
+function findRunningJob(type) {
+  for ( const job of jobs.values() ) {
+    if ( job.type === type && job.status === "running" ) {
+      return snapshotOf(job);
+    }
+  }
+  return null;
+}
+
+function startJob(type, run) {
+  // We start the work without awaiting it and hand back the job snapshot right away.
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: "running",
+    phase: "starting",
+    startedAt: new Date(),
+    finishedAt: null,
+    progress: {},
+    result: null,
+    error: null
+  };
+
+  jobs.set(job.id, job);
+  pruneOldJobs();
+
+  function report(update) {
+    // `update.phase` moves the job forward; `update.collection` merges counters for one collection.
+    if ( update.phase ) {
+      job.phase = update.phase;
+    }
+
+    if ( update.collection ) {
+      const current = job.progress[update.collection] || { total: null, read: 0, written: 0 };
+
+      for ( const k of ["total", "read", "written"] ) {
+        if ( update[k] != null ) {
+          current[k] = update[k];
+        }
+      }
+
+      job.progress[update.collection] = current;
+    }
+
+    publish(job);
+  }
+
+  Promise.resolve()
+    .then(function() {
+      return run(report);
+    })
+    .then(function(result) {
+      job.status = "succeeded";
+      job.phase = "done";
+      job.result = result;
+    })
+    .catch(function(e) {
+      // We log the full stack like the HTTP error handler does, and keep the message on the job.
+      console.error(e);
+      job.status = "failed";
+      if ( e.message ) {
+        job.error = e.message;
+      }
+      else {
+        job.error = "internal error";
+      }
+    })
+    .finally(function() {
+      job.finishedAt = new Date();
+      publish(job);
+    });
+
+  return snapshotOf(job);
+}
+
+function getJob(id) {
+  const job = jobs.get(id);
+
+  if ( !job ) {
+    return null;
+  }
+
+  return snapshotOf(job);
+}
+
+function subscribe(id, listener) {
+  // We return an unsubscribe function so SSE handlers can clean up when the client disconnects.
+  emitter.on(id, listener);
+
+  return function() {
+    emitter.off(id, listener);
+  };
+}
+
+module.exports = { startJob, getJob, findRunningJob, subscribe };
@@ -0,0 +1,441 @@
+// File flow:
+// - We describe the SQL -> document mapping as data instead of code (see `sqlSnapshot.js` for the interpreter).
+// - Each collection names its streamed source query, its batch lookups (the "joins") and its document fields.
+// - `validateMappingSpec()` checks a spec up front; the server validates the default spec at startup,
+//   so a broken mapping fails the boot instead of a migration halfway through.
+//
+// Field forms (inside `fields`):
+// - "column"                                  copy the column as it is (a rename is just a different field name)
+// - { from, type: "number", nulls }            convert; `nulls: "keep"` keeps null/undefined as null,
+//                                              `nulls: "empty"` turns every falsy value ("" / 0 / null) into null
+// - { switch: [{ when, value }], default }     first case whose `when` column is truthy wins
+// - { object: fields, when }                   embed a sub-document built from the same row (null unless `when` is truthy)
+// - { one: lookup, on, fields }                embed the first lookup row whose key equals row[on] (or null)
+// - { many: lookup, on, fields | value }       embed all matching lookup rows as documents (or as plain values)
+//
+// Lookups (inside `lookups`) run once per batch: `sql` must contain `IN (?)`, which is filled with the distinct
+// values of the `params` columns; the rows are grouped by `key`. A lookup may have nested `lookups` of its own,
+// which `one`/`many` fields inside it can use.
+
+const RESTAURANTS_SQL = `SELECT restaurant_id AS restaurantId, name, address FROM restaurant`;
+
+const PEOPLE_SQL = `
+  SELECT
+    p.person_id AS personId,
+    p.name AS name,
+    p.email AS email,
+    p.phone AS phone,
+    c.customer_id AS customerId,
+    c.default_address AS defaultAddress,
+    c.preferred_payment_method AS preferredPaymentMethod,
+    r.rider_id AS riderId,
+    r.vehicle_type AS vehicleType,
+    r.rating AS rating
+  FROM person p
+  LEFT JOIN customer c ON c.customer_id = p.person_id
+  LEFT JOIN rider r ON r.rider_id = p.person_id
+`;
+
+const ORDERS_SQL = `
+  SELECT
+    o.order_id AS orderId,
+    o.customer_id AS customerId,
+    o.restaurant_id AS restaurantId,
+    o.created_at AS createdAt,
+    o.status AS status,
+    o.total_amount AS totalAmount,
+    pay.payment_id AS paymentId,
+    pay.amount AS paymentAmount,
+    pay.payment_method AS paymentMethod,
+    pay.paid_at AS paidAt,
+    d.delivery_id AS deliveryId,
+    d.rider_id AS riderId,
+    d.assigned_at AS assignedAt,
+    d.delivery_status AS deliveryStatus
+  FROM \`order\` o
+  LEFT JOIN payment pay ON pay.order_id = o.order_id
+  LEFT JOIN delivery d ON d.order_id = o.order_id
+`;
+
+const ORDER_ITEMS_SQL = `
+  SELECT
+    oi.order_id AS orderId,
+    oi.menu_item_id AS menuItemId,
+    m.name AS menuItemName,
+    oi.quantity AS quantity,
+    oi.unit_price AS unitPrice
+  FROM order_item oi
+  LEFT JOIN menu_item m ON m.menu_item_id = oi.menu_item_id
+  WHERE oi.order_id IN (?)
+  ORDER BY oi.order_item_id
+`;
+
+const MENU_ITEMS_SQL = `
+  SELECT
+    menu_item_id AS menuItemId,
+    restaurant_id AS restaurantId,
+    name,
+    description,
+    price
+  FROM menu_item
+  WHERE restaurant_id IN (?)
+  ORDER BY menu_item_id
+`;
+
+const MENU_ITEM_CATEGORIES_SQL = `
+  SELECT
+    mic.menu_item_id AS menuItemId,
+    c.name AS categoryName
+  FROM menu_item_category mic
+  JOIN category c ON c.category_id = mic.category_id
+  WHERE mic.menu_item_id IN (?)
+  ORDER BY c.name
+`;
+
+const RIDER_WORKS_FOR_SQL = `
+  SELECT
+    rwf.rider_id AS riderId,
+    r.restaurant_id AS restaurantId,
+    r.name AS restaurantName
+  FROM rider_works_for rwf
+  JOIN restaurant r ON r.restaurant_id = rwf.restaurant_id
+  WHERE rwf.rider_id IN (?)
+  ORDER BY r.restaurant_id
+`;
+
+// The current restaurants/people/orders document shape, expressed as a spec.
+const DEFAULT_MAPPING_SPEC = {
+  version: 1,
+  collections: [
+    {
+      collection: "restaurants",
+      key: "restaurantId",
+      source: { sql: RESTAURANTS_SQL, orderBy: "restaurant_id" },
+      lookups: {
+        menu: {
+          sql: MENU_ITEMS_SQL,
+          params: ["restaurantId"],
+          key: "restaurantId",
+          lookups: {
+            categories: { sql: MENU_ITEM_CATEGORIES_SQL, params: ["menuItemId"], key: "menuItemId" }
+          }
+        }
+      },
+      fields: {
+        restaurantId: { from: "restaurantId", type: "number" },
+        name: "name",
+        address: "address",
+        menu: {
+          many: "menu",
+          on: "restaurantId",
+          fields: {
+            menuItemId: { from: "menuItemId", type: "number" },
+            name: "name",
+            description: { from: "description", nulls: "keep" },
+            price: { from: "price", type: "number" },
+            categories: { many: "categories", on: "menuItemId", value: "categoryName" }
+          }
+        }
+      }
+    },
+    {
+      collection: "people",
+      key: "personId",
+      source: { sql: PEOPLE_SQL, orderBy: "p.person_id" },
+      lookups: {
+        worksFor: { sql: RIDER_WORKS_FOR_SQL, params: ["riderId"], key: "riderId" }
+      },
+      fields: {
+        personId: { from: "personId", type: "number" },
+        type: {
+          switch: [
+            { when: "riderId", value: "rider" },
+            { when: "customerId", value: "customer" }
+          ],
+          default: "person"
+        },
+        name: "name",
+        email: "email",
+        phone: { from: "phone", nulls: "empty" },
+        customer: {
+          when: "customerId",
+          object: {
+            defaultAddress: { from: "defaultAddress", nulls: "empty" },
+            preferredPaymentMethod: { from: "preferredPaymentMethod", nulls: "empty" }
+          }
+        },
+        rider: {
+          when: "riderId",
+          object: {
+            vehicleType: "vehicleType",
+            rating: { from: "rating", type: "number", nulls: "keep" },
+            worksFor: {
+              many: "worksFor",
+              on: "personId",
+              fields: {
+                restaurantId: { from: "restaurantId", type: "number" },
+                name: "restaurantName"
+              }
+            }
+          }
+        }
+      }
+    },
+    {
+      collection: "orders",
+      key: "orderId",
+      source: { sql: ORDERS_SQL, orderBy: "o.order_id" },
+      lookups: {
+        items: { sql: ORDER_ITEMS_SQL, params: ["orderId"], key: "orderId" },
+        restaurants: { sql: `${RESTAURANTS_SQL} WHERE restaurant_id IN (?)`, params: ["restaurantId"], key: "restaurantId" },
+        people: { sql: `${PEOPLE_SQL} WHERE p.person_id IN (?)`, params: ["customerId", "riderId"], key: "personId" }
+      },
+      fields: {
+        orderId: { from: "orderId", type: "number" },
+        createdAt: "createdAt",
+        status: "status",
+        totalAmount: { from: "totalAmount", type: "number" },
+        // Snapshots of the restaurant and customer at migration time (see NOSQL_DESIGN.md).
+        restaurant: {
+          one: "restaurants",
+          on: "restaurantId",
+          fields: {
+            restaurantId: { from: "restaurantId", type: "number" },
+            name: "name",
+            address: "address"
+          }
+        },
+        customer: {
+          one: "people",
+          on: "customerId",
+          fields: {
+            personId: { from: "personId", type: "number" },
+            name: "name",
+            email: "email"
+          }
+        },
+        orderItems: {
+          many: "items",
+          on: "orderId",
+          fields: {
+            menuItemId: { from: "menuItemId", type: "number" },
+            name: { from: "menuItemName", nulls: "keep" },
+            quantity: { from: "quantity", type: "number" },
+            unitPrice: { from: "unitPrice", type: "number" }
+          }
+        },
+        payment: {
+          when: "paymentId",
+          object: {
+            paymentId: { from: "paymentId", type: "number" },
+            amount: { from: "paymentAmount", type: "number" },
+            method: "paymentMethod",
+            paidAt: { from: "paidAt", nulls: "empty" }
+          }
+        },
+        delivery: {
+          when: "deliveryId",
+          object: {
+            deliveryId: { from: "deliveryId", type: "number" },
+            deliveryStatus: "deliveryStatus",
+            assignedAt: { from: "assignedAt", nulls: "empty" },
+            rider: {
+              one: "people",
+              on: "riderId",
+              fields: {
+                personId: { from: "personId", type: "number" },
+                name: "name",
+                email: "email",
+                vehicleType: { from: "vehicleType", nulls: "empty" },
+                rating: { from: "rating", type: "number", nulls: "keep" }
+              }
+            }
+          }
+        }
+      }
+    }
+  ]
+};
+
+const FIELD_TYPES = ["number"];
+const NULL_RULES = ["keep", "empty"];
+
+function isPlainObject(v) {
+  return v != null && typeof v === "object" && !Array.isArray(v);
+}
+
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim() !== "";
+}
+
+function validateLookups(lookups, path, problems) {
+  if ( lookups === undefined ) {
+    return;
+  }
+  if ( !isPlainObject(lookups) ) {
+    problems.push(`${path}: must be an object`);
+    return;
+  }
+
+  for ( const name of Object.keys(lookups) ) {
+    const l = lookups[name];
+    const at = `${path}.${name}`;
+
+    if ( !isPlainObject(l) ) {
+      problems.push(`${at}: must be an object`);
+      continue;
+    }
+    if ( !isNonEmptyString(l.sql) || !l.sql.includes("IN (?)") ) {
+      problems.push(`${at}.sql: must be a query containing "IN (?)"`);
+    }
+    if ( !Array.isArray(l.params) || !l.params.length || !l.params.every(isNonEmptyString) ) {
+      problems.push(`${at}.params: must be a non-empty list of column names`);
+    }
+    if ( !isNonEmptyString(l.key) ) {
+      problems.push(`${at}.key: must be a column name`);
+    }
+    validateLookups(l.lookups, `${at}.lookups`, problems);
+  }
+}
+
+function validateFields(fields, lookups, path, problems) {
+  // `lookups` are the ones visible at this level; `one`/`many` open the scope of the lookup they read.
+  if ( !isPlainObject(fields) || !Object.keys(fields).length ) {
+    problems.push(`${path}: must be a non-empty object of fields`);
+    return;
+  }
+
+  let scope = {};
+
+  if ( isPlainObject(lookups) ) {
+    scope = lookups;
+  }
+
+  for ( const name of Object.keys(fields) ) {
+    const f = fields[name];
+    const at = `${path}.${name}`;
+
+    if ( typeof f === "string" ) {
+      if ( !isNonEmptyString(f) ) {
+        problems.push(`${at}: column name must not be empty`);
+      }
+      continue;
+    }
+    if ( !isPlainObject(f) ) {
+      problems.push(`${at}: must be a column name or a field object`);
+      continue;
+    }
+
+    if ( f.from !== undefined ) {
+      if ( !isNonEmptyString(f.from) ) {
+        problems.push(`${at}.from: must be a column name`);
+      }
+      if ( f.type !== undefined && !FIELD_TYPES.includes(f.type) ) {
+        problems.push(`${at}.type: must be one of ${FIELD_TYPES.join(", ")}`);
+      }
+      if ( f.nulls !== undefined && !NULL_RULES.includes(f.nulls) ) {
+        problems.push(`${at}.nulls: must be one of ${NULL_RULES.join(", ")}`);
+      }
+    } 
+    else if ( f.switch !== undefined ) {
+      const casesOk = Array.isArray(f.switch) && f.switch.length && f.switch.every(function(c) {
+        return isPlainObject(c) && isNonEmptyString(c.when) && "value" in c;
+      });
+
+      if ( !casesOk ) {
+        problems.push(`${at}.switch: must be a non-empty list of { when, value }`);
+      }
+      if ( !("default" in f) ) {
+        problems.push(`${at}.default: is required`);
+      }
+    } 
+    else if ( f.object !== undefined ) {
+      if ( f.when !== undefined && !isNonEmptyString(f.when) ) {
+        problems.push(`${at}.when: must be a column name`);
+      }
+      validateFields(f.object, scope, `${at}.object`, problems);
+    } 
+    else if ( f.one !== undefined || f.many !== undefined ) {
+      let lookupName;
+
+      if ( f.one !== undefined ) {
+        lookupName = f.one;
+      } 
+      else {
+        lookupName = f.many;
+      }
+
+      if ( !isNonEmptyString(f.on) ) {
+        problems.push(`${at}.on: must be a column name`);
+      }
+      if ( !isPlainObject(scope[lookupName]) ) {
+        problems.push(`${at}: unknown lookup "${lookupName}"`);
+        continue;
+      }
+
+      if ( f.many !== undefined && f.value !== undefined ) {
+        if ( !isNonEmptyString(f.value) ) {
+          problems.push(`${at}.value: must be a column name`);
+        }
+      } 
+      else {
+        validateFields(f.fields, scope[lookupName].lookups, `${at}.fields`, problems);
+      }
+    } 
+    else {
+      problems.push(`${at}: needs one of from, switch, object, one, many`);
+    }
+  }
+}
+
+function validateMappingSpec(spec) {
+  // We collect every problem so one startup error lists everything that is wrong.
+  const problems = [];
+
+  if ( !isPlainObject(spec) || !Array.isArray(spec.collections) || !spec.collections.length ) {
+    throw new Error("invalid mapping spec: `collections` must be a non-empty list");
+  }
+
+  const seen = new Set();
+
+  spec.collections.forEach(function(c, idx) {
+    const at = `collections[${idx}]`;
+
+    if ( !isPlainObject(c) ) {
+      problems.push(`${at}: must be an object`);
+      return;
+    }
+    if ( !isNonEmptyString(c.collection) ) {
+      problems.push(`${at}.collection: must be a name`);
+    } 
+    else if ( seen.has(c.collection) ) {
+      problems.push(`${at}.collection: "${c.collection}" is mapped twice`);
+    }
+    seen.add(c.collection);
+
+    if ( !isPlainObject(c.source) || !isNonEmptyString(c.source.sql) || !isNonEmptyString(c.source.orderBy) ) {
+      problems.push(`${at}.source: needs { sql, orderBy }`);
+    }
+
+    validateLookups(c.lookups, `${at}.lookups`, problems);
+    validateFields(c.fields, c.lookups, `${at}.fields`, problems);
+
+    // The key must be a top-level field, since incremental sync, preview and verify match documents by it.
+    if ( !isNonEmptyString(c.key) || !isPlainObject(c.fields) || !(c.key in c.fields) ) {
+      problems.push(`${at}.key: must name one of the collection's top-level fields`);
+    }
+
+    // The snapshot stamps `schemaVersion` itself (see `schemaVersions.js`), so the spec must not map it.
+    if ( isPlainObject(c.fields) && "schemaVersion" in c.fields ) {
+      problems.push(`${at}.fields.schemaVersion: is reserved for the document schema version`);
+    }
+  });
+
+  if ( problems.length ) {
+    throw new Error(`invalid mapping spec:\n- ${problems.join("\n- ")}`);
+  }
+
+  return spec;
+}
+
+module.exports = { DEFAULT_MAPPING_SPEC, validateMappingSpec };
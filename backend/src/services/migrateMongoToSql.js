@@ -0,0 +1,538 @@
+// File flow:
+// - We rebuild the MariaDB order tables and people tables from the MongoDB read model (reverse migration).
+// - Restaurants, menu items and categories are never written in Mongo mode, so we keep them as they are in SQL.
+// - Inside one transaction we (1) delete all order rows, (2) upsert people into person/customer/rider
+//   (plus rider_works_for from `rider.worksFor`),
+//   (3) stream Mongo orders in batches and flatten them into order/order_item/payment/delivery rows.
+// - If a document cannot be expressed as rows (unknown restaurant, unknown menu item, customer missing, an email
+//   that belongs to another SQL person), we fail with 409 and the transaction rolls back, so SQL is never left
+//   half rebuilt.
+// - Without a migrated read model in Mongo (no migration marker, or no people or orders) we refuse with 409 before
+//   touching SQL: deleting the order rows and rebuilding them from nothing would lose all of them.
+// - Pending outbox events are closed in the same transaction: after the rebuild, SQL already matches Mongo.
+// - Documents are upgraded to the latest schema version as we read them, so the flattening only knows one shape.
+// - Orders placed in Mongo mode have ids from `MONGO_ORDER_ID_BASE` up. Kept in SQL, they would move the `order`
+//   AUTO_INCREMENT into that range and every later SQL order would clash with one. So they get a fresh SQL id at
+//   the end, and after the commit we move their Mongo documents to that id (built from SQL, so without `origin`).
+//   Orders that exist in SQL are no longer Mongo-only, so we clear `origin` on the others we wrote as well.
+// - Every run is recorded in `migration_runs` (direction `mongo_to_sql`).
+
+const { withTx } = require("../db/mariadb");
+const { getMongo } = require("../db/mongodb");
+const { MONGO_ORIGIN, MONGO_ORDER_ID_BASE } = require("../db/mongoSchemas");
+const { resolveBatchSize, readDocumentsByKey } = require("./sqlSnapshot");
+const { trackMigrationRun } = require("./migrationRuns");
+const { upgradeDocuments } = require("./schemaVersions");
+
+function unmappable(message) {
+  const e = new Error(message);
+  e.status = 409;
+  return e;
+}
+
+function conflict(message) {
+  const e = new Error(message);
+  e.status = 409;
+  return e;
+}
+
+function orNull(v) {
+  if ( v === undefined ) {
+    return null;
+  }
+  return v;
+}
+
+async function readBatches(cursor, batchSize, onDocs) {
+  // Same batching idea as the SQL stream reader, only on a Mongo cursor.
+  let batch = [];
+
+  for await ( const doc of cursor ) {
+    batch.push(doc);
+
+    if ( batch.length >= batchSize ) {
+      await onDocs(batch);
+      batch = [];
+    }
+  }
+
+  if ( batch.length ) {
+    await onDocs(batch);
+  }
+}
+
+async function loadSqlCatalog(conn) {
+  // Orders only point at restaurants and menu items, and both are small, so we keep them in memory.
+  const restaurantRows = await conn.query("SELECT restaurant_id AS restaurantId FROM restaurant");
+  const menuRows = await conn.query("SELECT menu_item_id AS menuItemId, restaurant_id AS restaurantId, name FROM menu_item");
+
+  const menuItemIdByName = new Map();
+  const menuItemIds = new Set();
+
+  for ( const m of menuRows ) {
+    const key = `${Number(m.restaurantId)}:${m.name}`;
+    menuItemIds.add(Number(m.menuItemId));
+
+    // Names are not unique per restaurant in the schema; we keep the lowest id like the SQL place_order lookup.
+    if ( !menuItemIdByName.has(key) ) {
+      menuItemIdByName.set(key, Number(m.menuItemId));
+    }
+  }
+
+  return {
+    restaurantIds: new Set(restaurantRows.map(function(r) {
+      return Number(r.restaurantId);
+    })),
+    menuItemIds,
+    menuItemIdByName
+  };
+}
+
+async function deleteOrderRows(conn) {
+  // We delete children first (same FK-safe order as the import reset).
+  for ( const t of ["order_item", "payment", "delivery", "`order`"] ) {
+    await conn.query(`DELETE FROM ${t}`);
+  }
+}
+
+async function writePeople(conn, docs, catalog, seen) {
+  // We upsert by person_id so rows that other tables point at (rider_works_for) stay in place.
+  const counts = { people: 0, customers: 0, riders: 0 };
+
+  // `email` is UNIQUE too, so ON DUPLICATE KEY UPDATE would also fire on an email that belongs to another
+  // person_id and silently rewrite that person. We look the owners up first and refuse such a document.
+  const emails = docs.map(function(p) {
+    return p.email;
+  }).filter(function(email) {
+    return typeof email === "string";
+  });
+  const ownerByEmail = new Map();
+
+  if ( emails.length ) {
+    const owners = await conn.query("SELECT person_id AS personId, email FROM person WHERE email IN (?)", [emails]);
+
+    for ( const row of owners ) {
+      ownerByEmail.set(String(row.email).toLowerCase(), Number(row.personId));
+    }
+  }
+
+  for ( const p of docs ) {
+    const personId = Number(p.personId);
+
+    if ( !Number.isInteger(personId) || personId <= 0 ) {
+      throw unmappable(`people document has an invalid personId: ${p.personId}`);
+    }
+
+    // Compared ignoring case, like the column's collation does.
+    const owner = ownerByEmail.get(String(p.email).toLowerCase());
+
+    if ( owner !== undefined && owner !== personId ) {
+      throw unmappable(`person ${personId}: email ${p.email} belongs to SQL person ${owner}`);
+    }
+
+    await conn.query(
+      `
+      INSERT INTO person (person_id, name, email, phone) VALUES (?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE name = VALUES(name), email = VALUES(email), phone = VALUES(phone)
+      `,
+      [personId, p.name, p.email, orNull(p.phone)]
+    );
+    counts.people++;
+
+    if ( p.customer ) {
+      await conn.query(
+        `
+        INSERT INTO customer (customer_id, default_address, preferred_payment_method) VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE default_address = VALUES(default_address), preferred_payment_method = VALUES(preferred_payment_method)
+        `,
+        [personId, orNull(p.customer.defaultAddress), orNull(p.customer.preferredPaymentMethod)]
+      );
+      seen.customerIds.add(personId);
+      counts.customers++;
+    } 
+    else {
+      await conn.query("DELETE FROM customer WHERE customer_id = ?", [personId]);
+    }
+
+    if ( p.rider ) {
+      await conn.query(
+        `
+        INSERT INTO rider (rider_id, vehicle_type, rating) VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE vehicle_type = VALUES(vehicle_type), rating = VALUES(rating)
+        `,
+        [personId, p.rider.vehicleType, orNull(p.rider.rating)]
+      );
+      seen.riderIds.add(personId);
+      counts.riders++;
+
+      // Riders migrated before `worksFor` existed have no list; we leave their SQL rows alone then.
+      if ( Array.isArray(p.rider.worksFor) ) {
+        await conn.query("DELETE FROM rider_works_for WHERE rider_id = ?", [personId]);
+
+        for ( const w of p.rider.worksFor ) {
+          const restaurantId = Number(w.restaurantId);
+
+          if ( !catalog.restaurantIds.has(restaurantId) ) {
+            throw unmappable(`person ${personId}: works for restaurant ${w.restaurantId}, which does not exist in SQL`);
+          }
+          await conn.query("INSERT INTO rider_works_for (rider_id, restaurant_id) VALUES (?, ?)", [personId, restaurantId]);
+        }
+      }
+    } 
+    else {
+      await conn.query("DELETE FROM rider WHERE rider_id = ?", [personId]);
+    }
+  }
+
+  return counts;
+}
+
+function resolveMenuItemId(catalog, orderId, restaurantId, item, idx) {
+  // Orders placed in Mongo mode may carry only the item name, so we fall back to a name lookup.
+  if ( item.menuItemId != null ) {
+    const id = Number(item.menuItemId);
+
+    if ( !catalog.menuItemIds.has(id) ) {
+      throw unmappable(`order ${orderId}: orderItems[${idx}].menuItemId ${item.menuItemId} does not exist in SQL`);
+    }
+    return id;
+  }
+
+  const id = catalog.menuItemIdByName.get(`${restaurantId}:${item.name}`);
+
+  if ( id == null ) {
+    throw unmappable(`order ${orderId}: orderItems[${idx}] "${item.name}" is not on the SQL menu of restaurant ${restaurantId}`);
+  }
+  return id;
+}
+
+function flattenOrder(o, catalog, seen) {
+  // We turn one order document into the rows of the four order tables.
+  const orderId = Number(o.orderId);
+  const restaurantId = Number(o.restaurant?.restaurantId);
+  const customerId = Number(o.customer?.personId);
+
+  if ( !Number.isInteger(orderId) || orderId <= 0 ) {
+    throw unmappable(`orders document has an invalid orderId: ${o.orderId}`);
+  }
+  if ( !catalog.restaurantIds.has(restaurantId) ) {
+    throw unmappable(`order ${orderId}: restaurant ${o.restaurant?.restaurantId} does not exist in SQL`);
+  }
+  if ( !seen.customerIds.has(customerId) ) {
+    throw unmappable(`order ${orderId}: customer ${o.customer?.personId} is not a customer in the people collection`);
+  }
+
+  let items = [];
+
+  if ( Array.isArray(o.orderItems) ) {
+    items = o.orderItems;
+  }
+
+  const rows = {
+    order: [orderId, customerId, restaurantId, o.createdAt, o.status, o.totalAmount],
+    items: items.map(function(it, idx) {
+      return [orderId, resolveMenuItemId(catalog, orderId, restaurantId, it, idx), it.quantity, it.unitPrice];
+    }),
+    payment: null,
+    delivery: null
+  };
+
+  if ( o.payment ) {
+    rows.payment = {
+      id: orNull(o.payment.paymentId),
+      values: [orderId, o.payment.amount, o.payment.method, orNull(o.payment.paidAt)]
+    };
+  }
+
+  if ( o.delivery ) {
+    let riderId = null;
+
+    if ( o.delivery.rider?.personId != null ) {
+      riderId = Number(o.delivery.rider.personId);
+
+      if ( !seen.riderIds.has(riderId) ) {
+        throw unmappable(`order ${orderId}: delivery rider ${riderId} is not a rider in the people collection`);
+      }
+    }
+
+    rows.delivery = {
+      id: orNull(o.delivery.deliveryId),
+      values: [orderId, riderId, orNull(o.delivery.assignedAt), o.delivery.deliveryStatus]
+    };
+  }
+
+  return rows;
+}
+
+function splitById(entries, usedIds) {
+  // We keep the original id when it is free; Mongo-created rows (null id, or the orderId fallback
+  // from assign_delivery) may collide, so those get a fresh AUTO_INCREMENT id at the end.
+  const withId = [];
+  const deferred = [];
+
+  for ( const entry of entries ) {
+    const id = Number(entry.id);
+
+    if ( entry.id != null && Number.isInteger(id) && id > 0 && !usedIds.has(id) ) {
+      usedIds.add(id);
+      withId.push([id].concat(entry.values));
+    } 
+    else {
+      deferred.push(entry.values);
+    }
+  }
+
+  return { withId, deferred };
+}
+
+async function writeOrders(conn, docs, catalog, seen, deferred) {
+  const flat = [];
+
+  for ( const o of docs ) {
+    const rows = flattenOrder(o, catalog, seen);
+
+    if ( Number(o.orderId) >= MONGO_ORDER_ID_BASE ) {
+      deferred.orders.push({ mongoOrderId: Number(o.orderId), rows });
+    } 
+    else {
+      flat.push(rows);
+    }
+  }
+
+  if ( !flat.length ) {
+    return { orders: 0, orderItems: 0, payments: 0, deliveries: 0 };
+  }
+
+  const orderRows = flat.map(function(f) {
+    return f.order;
+  });
+  const itemRows = [].concat(...flat.map(function(f) {
+    return f.items;
+  }));
+  const payments = splitById(flat.map(function(f) {
+    return f.payment;
+  }).filter(Boolean), seen.paymentIds);
+  const deliveries = splitById(flat.map(function(f) {
+    return f.delivery;
+  }).filter(Boolean), seen.deliveryIds);
+
+  // One `batch()` per table keeps the round trips per Mongo batch constant.
+  await conn.batch(
+    "INSERT INTO `order` (order_id, customer_id, restaurant_id, created_at, status, total_amount) VALUES (?, ?, ?, ?, ?, ?)",
+    orderRows
+  );
+
+  if ( itemRows.length ) {
+    await conn.batch("INSERT INTO order_item (order_id, menu_item_id, quantity, unit_price) VALUES (?, ?, ?, ?)", itemRows);
+  }
+  if ( payments.withId.length ) {
+    await conn.batch(
+      "INSERT INTO payment (payment_id, order_id, amount, payment_method, paid_at) VALUES (?, ?, ?, ?, ?)",
+      payments.withId
+    );
+  }
+  if ( deliveries.withId.length ) {
+    await conn.batch(
+      "INSERT INTO delivery (delivery_id, order_id, rider_id, assigned_at, delivery_status) VALUES (?, ?, ?, ?, ?)",
+      deliveries.withId
+    );
+  }
+
+  deferred.payments.push(...payments.deferred);
+  deferred.deliveries.push(...deliveries.deferred);
+
+  return {
+    orders: orderRows.length,
+    orderItems: itemRows.length,
+    payments: payments.withId.length + payments.deferred.length,
+    deliveries: deliveries.withId.length + deliveries.deferred.length
+  };
+}
+
+async function insertRenumberedOrders(conn, entries) {
+  // Explicit order ids are all in place, so AUTO_INCREMENT hands out ids above them, and below the Mongo-mode range.
+  // Returns `{ mongoOrderId, orderId }` per order; payment and delivery ids are fresh as well.
+  const renumbered = [];
+
+  for ( const { mongoOrderId, rows } of entries ) {
+    const result = await conn.query(
+      "INSERT INTO `order` (customer_id, restaurant_id, created_at, status, total_amount) VALUES (?, ?, ?, ?, ?)",
+      rows.order.slice(1)
+    );
+    const orderId = Number(result.insertId);
+
+    if ( orderId >= MONGO_ORDER_ID_BASE ) {
+      throw unmappable(`order ${mongoOrderId}: SQL order ids have reached the Mongo-mode range (${MONGO_ORDER_ID_BASE})`);
+    }
+
+    if ( rows.items.length ) {
+      await conn.batch(
+        "INSERT INTO order_item (order_id, menu_item_id, quantity, unit_price) VALUES (?, ?, ?, ?)",
+        rows.items.map(function(item) {
+          return [orderId].concat(item.slice(1));
+        })
+      );
+    }
+    if ( rows.payment ) {
+      await conn.query(
+        "INSERT INTO payment (order_id, amount, payment_method, paid_at) VALUES (?, ?, ?, ?)",
+        [orderId].concat(rows.payment.values.slice(1))
+      );
+    }
+    if ( rows.delivery ) {
+      await conn.query(
+        "INSERT INTO delivery (order_id, rider_id, assigned_at, delivery_status) VALUES (?, ?, ?, ?)",
+        [orderId].concat(rows.delivery.values.slice(1))
+      );
+    }
+
+    renumbered.push({ mongoOrderId, orderId });
+  }
+
+  return renumbered;
+}
+
+async function moveRenumberedOrders(db, renumbered, docs) {
+  // The SQL rows are committed; now the Mongo documents follow them to their new ids.
+  const docById = new Map(docs.map(function(d) {
+    return [d.orderId, d];
+  }));
+  const ops = [];
+
+  for ( const { mongoOrderId, orderId } of renumbered ) {
+    ops.push({ deleteOne: { filter: { orderId: mongoOrderId } } });
+    ops.push({ replaceOne: { filter: { orderId }, replacement: docById.get(orderId), upsert: true } });
+  }
+
+  if ( ops.length ) {
+    await db.collection("orders").bulkWrite(ops, { ordered: true });
+  }
+
+  // Older Mongo-mode orders kept their (lower) id and now exist in SQL too. Orders placed since then are above
+  // the base, so the filter cannot reach them.
+  await db.collection("orders").updateMany(
+    { orderId: { $lt: MONGO_ORDER_ID_BASE }, origin: MONGO_ORIGIN },
+    { $unset: { origin: "" } }
+  );
+}
+
+async function countMongoSource() {
+  const { db } = await getMongo();
+  const [people, orders] = await Promise.all([
+    db.collection("people").countDocuments({}),
+    db.collection("orders").countDocuments({})
+  ]);
+
+  return { people, orders };
+}
+
+async function migrateMongoToSql(options) {
+  const details = {
+    direction: "mongo_to_sql",
+    mode: "full",
+    note: options?.note,
+    batchSize: options?.batchSize,
+    countSource: countMongoSource,
+    summarize: function(result) {
+      return result;
+    }
+  };
+
+  return trackMigrationRun(details, function() {
+    return rebuildSqlFromMongo(options);
+  });
+}
+
+async function rebuildSqlFromMongo(options) {
+  const batchSize = resolveBatchSize(options?.batchSize);
+  const { db } = await getMongo();
+
+  const marker = await db.collection("meta").findOne({ _id: "migration" }, { projection: { _id: 1 } });
+  const source = await countMongoSource();
+
+  if ( !marker || !source.people || !source.orders ) {
+    throw conflict("MongoDB holds no migrated read model (migration marker, people and orders) to rebuild SQL from");
+  }
+
+  const rebuilt = await withTx(async function(conn) {
+    const catalog = await loadSqlCatalog(conn);
+    const seen = { customerIds: new Set(), riderIds: new Set(), paymentIds: new Set(), deliveryIds: new Set() };
+    const deferred = { payments: [], deliveries: [], orders: [] };
+    const counts = {
+      people: 0,
+      customers: 0,
+      riders: 0,
+      orders: 0,
+      orderItems: 0,
+      payments: 0,
+      deliveries: 0,
+      renumbered: 0
+    };
+
+    // Orders go first so customers/riders can be removed without tripping the order/delivery FKs.
+    await deleteOrderRows(conn);
+
+    // Pending outbox events describe SQL rows we are about to replace with what Mongo already holds.
+    await conn.query("UPDATE outbox SET processed_at = ? WHERE processed_at IS NULL", [new Date()]);
+
+    const peopleCursor = db.collection("people").find({}, { projection: { _id: 0 }, sort: { personId: 1 } });
+    await readBatches(peopleCursor, batchSize, async function(docs) {
+      const c = await writePeople(conn, upgradeDocuments("people", docs), catalog, seen);
+      counts.people += c.people;
+      counts.customers += c.customers;
+      counts.riders += c.riders;
+    });
+
+    const ordersCursor = db.collection("orders").find({}, { projection: { _id: 0 }, sort: { orderId: 1 } });
+    await readBatches(ordersCursor, batchSize, async function(docs) {
+      const c = await writeOrders(conn, upgradeDocuments("orders", docs), catalog, seen, deferred);
+      counts.orders += c.orders;
+      counts.orderItems += c.orderItems;
+      counts.payments += c.payments;
+      counts.deliveries += c.deliveries;
+    });
+
+    // Explicit ids are all in place now, so AUTO_INCREMENT hands out ids above every one of them.
+    if ( deferred.payments.length ) {
+      await conn.batch("INSERT INTO payment (order_id, amount, payment_method, paid_at) VALUES (?, ?, ?, ?)", deferred.payments);
+    }
+    if ( deferred.deliveries.length ) {
+      await conn.batch(
+        "INSERT INTO delivery (order_id, rider_id, assigned_at, delivery_status) VALUES (?, ?, ?, ?)",
+        deferred.deliveries
+      );
+    }
+
+    const renumbered = await insertRenumberedOrders(conn, deferred.orders);
+
+    for ( const { rows } of deferred.orders ) {
+      counts.orders++;
+      counts.orderItems += rows.items.length;
+
+      if ( rows.payment ) {
+        counts.payments++;
+      }
+      if ( rows.delivery ) {
+        counts.deliveries++;
+      }
+    }
+    counts.renumbered = renumbered.length;
+
+    // Read inside the transaction, so the documents match exactly what we commit.
+    let renumberedDocs = [];
+
+    if ( renumbered.length ) {
+      renumberedDocs = await readDocumentsByKey(conn, "orders", renumbered.map(function(r) {
+        return r.orderId;
+      }));
+    }
+
+    return { counts, renumbered, renumberedDocs };
+  });
+
+  await moveRenumberedOrders(db, rebuilt.renumbered, rebuilt.renumberedDocs);
+
+  return rebuilt.counts;
+}
+
+module.exports = { migrateMongoToSql };
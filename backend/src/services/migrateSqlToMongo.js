@@ -1,387 +1,1023 @@
 // File flow:
-// - I take a snapshot from SQL (restaurants, people, orders).
-// - I clear the Mongo collections, then insert the transformed docs.
+// - I stream a snapshot from SQL in batches (restaurants, people, orders), see `sqlSnapshot.js`.
+// - Full mode: I bulk-insert each transformed batch into staging collections, validate counts,
+//   then swap them into place with `renameCollection(..., dropTarget)` so readers never see a partial state.
+// - On a replica set a full run instead clears, loads and marks the live collections inside one multi-document
+//   transaction, so a crash changes nothing at all. Without transactions (or when the transaction aborts) I fall
+//   back to the staging collections, and a snapshot larger than `MIGRATION_TRANSACTION_MAX_DOCUMENTS` goes straight to
+//   staging. `MIGRATION_STRATEGY` can pin either; the marker records which one ran.
+// - Incremental mode: I upsert only docs that are new or changed since the last run (watermark in `meta`).
+// - Scoped mode (a `scope` with restaurant names, a date range or order ids, see `migrationScope.js`): I read only
+//   that slice from SQL, upsert it and remove slice documents SQL no longer has; everything else stays untouched.
+// - Dry run: I compare the snapshot with Mongo and return a per-document diff without writing.
 // - I write one migration marker so `/api/health` and the UI can detect the mode.
+// - Callers may pass `onProgress(update)` to follow phases and per-collection read/written counts.
+// - Every real run (not dry runs) is recorded in `migration_runs`, see `migrationRuns.js`.
+// - The target collections carry `$jsonSchema` validators (see `db/mongoSchemas.js`). Documents MongoDB rejects are
+//   skipped and listed under `invalid` in the result instead of failing the whole run.
+// - Every real run first backs up the current read model (see `migrationBackups.js`), so it can be rolled back.
+// - The documents normally come from SQL; `options.source` swaps in another reader with the same shape
+//   (e.g. an exported JSONL bundle, see `snapshotBundle.js`), and everything above applies unchanged.
+// - Before reading SQL I run the integrity check (see `sqlIntegrity.js`). `options.integrity` decides what happens
+//   with orders that have broken references or totals: `abort` the run, `skip` those orders, or `warn` (the default)
+//   and migrate them anyway. The report is attached to the result (and to the dry-run diff) as `integrity`.
+
+const { MongoServerError } = require("mongodb");
+
+const { config } = require("../config");
+const {
+  getMongo,
+  supportsTransactions,
+  ensureMongoIndexes,
+  ensureIndexesFor,
+  ensureMongoValidators,
+  ensureValidatorFor,
+  DOCUMENT_VALIDATION_FAILURE
+} = require("../db/mongodb");
+const { summarizeValidationError, MONGO_ORIGIN } = require("../db/mongoSchemas");
+const { sameDocument, diffDocuments } = require("../utils/canonical");
+const { readSqlSnapshot, countSqlRows, resolveBatchSize } = require("./sqlSnapshot");
+const { trackMigrationRun } = require("./migrationRuns");
+const { createBackup } = require("./migrationBackups");
+const { DEFAULT_MAPPING_SPEC } = require("./mappingSpec");
+const { scopeRowFilters, scopeMongoFilters } = require("./migrationScope");
+const { checkSqlIntegrity, describeProblems, INTEGRITY_POLICIES } = require("./sqlIntegrity");
+
+const MIGRATION_MODES = ["full", "incremental"];
+
+// Each migrated collection and the numeric SQL key that identifies its documents (from the mapping spec).
+const COLLECTION_KEYS = DEFAULT_MAPPING_SPEC.collections.map(function(c) {
+  return { collection: c.collection, key: c.key };
+});
+
+// Full migrations load into `<collection>__staging` first and swap it in with a rename.
+const STAGING_SUFFIX = "__staging";
+
+// MIGRATION_STRATEGY values; `auto` picks a transaction whenever the deployment supports one.
+const MIGRATION_STRATEGIES = ["auto", "transaction", "staging"];
+
+// Where the documents come from by default. A source reads batches (`read(options, onBatch)`), counts them
+// (`count(options)`) and names itself for the marker and the history.
+const SQL_SOURCE = {
+  name: "mariadb",
+  direction: "sql_to_mongo",
+  read: readSqlSnapshot,
+  count: countSqlRows
+};
+
+// I cap the per-document lists in a dry-run diff so one preview cannot return the whole database.
+const DIFF_LIST_LIMIT = 100;
+
+function conflict(message) {
+  const e = new Error(message);
+  e.status = 409;
+  return e;
+}
 
-const { withConn } = require("../db/mariadb");
-const { getMongo, ensureMongoIndexes } = require("../db/mongodb");
+function resolveMode(options) {
+  let mode;
 
-async function migrateSqlToMongo() {
-  // I read everything from SQL, clear Mongo, then insert the transformed documents.
-  // This matches the MS2 rule: no re-randomizing and no dual-write.
-  const sql = await readSqlSnapshot();
-  const { db } = await getMongo();
+  if ( options?.mode ) {
+    mode = options.mode;
+  } 
+  else {
+    mode = "full";
+  }
 
+  if ( !MIGRATION_MODES.includes(mode) ) {
+    throw new Error(`unknown migration mode: ${mode}`);
+  }
 
-  // I clear collections first so the migration is a clean replace.
-  await db.collection("restaurants").deleteMany({});
-  await db.collection("people").deleteMany({});
-  await db.collection("orders").deleteMany({});
+  // A scope replaces one slice, which is the full-mode idea on a smaller set; incremental has its own rules.
+  if ( options?.scope && mode !== "full" ) {
+    throw new Error("a migration scope can only be used with mode full");
+  }
 
+  // Scopes turn into SQL row filters, which other sources cannot apply.
+  if ( options?.scope && options?.source ) {
+    throw new Error("a migration scope can only be used with the SQL source");
+  }
+
+  return mode;
+}
 
-  // I only insert if there is something to insert (avoids `insertMany([])`).
-  if ( sql.restaurants.length ) {
-    await db.collection("restaurants").insertMany(sql.restaurants);
+function resolveIntegrityPolicy(options) {
+  // Returns null for other sources: the check reads SQL, and a bundle was checked (or not) when it was exported.
+  if ( options?.source ) {
+    if ( options?.integrity ) {
+      throw new Error("an integrity policy can only be used with the SQL source");
+    }
+    return null;
   }
-  
-  if ( sql.people.length ) {
-    await db.collection("people").insertMany(sql.people);
+
+  let policy;
+
+  if ( options?.integrity ) {
+    policy = options.integrity;
+  } 
+  else {
+    policy = "warn";
   }
-  
-  if ( sql.orders.length ) {
-    await db.collection("orders").insertMany(sql.orders);
+
+  if ( !INTEGRITY_POLICIES.includes(policy) ) {
+    throw new Error(`unknown integrity policy: ${policy}`);
   }
 
+  return policy;
+}
 
-  // I create indexes after inserting so the initial load is fast.
-  await ensureMongoIndexes();
+async function runIntegrityCheck(options) {
+  // Returns `{ policy, report, affectedOrderIds }`, or null when the source is not SQL.
+  const policy = resolveIntegrityPolicy(options);
 
+  if ( !policy ) {
+    return null;
+  }
 
-  // Store migration metadata so the UI (and graders) can clearly verify that migration happened.
-  // This is NOT a dual-write: it's a single metadata document written after the migration.
+  progressReporter(options)({ phase: "checking integrity" });
+  const { report, affectedOrderIds } = await checkSqlIntegrity({ scope: options?.scope });
+
+  return { policy, report, affectedOrderIds };
+}
+
+function applyIntegrityPolicy(readOptions, integrity) {
+  // With `skip` the affected orders are left out of the read; people and restaurants are still migrated.
+  if ( integrity?.policy !== "skip" || !integrity.affectedOrderIds.length ) {
+    return readOptions;
+  }
+  return { ...readOptions, excludeKeys: { orders: integrity.affectedOrderIds } };
+}
+
+function integritySummary(integrity) {
+  // What the result (and the history) shows: the policy, how many orders it left out and the report itself.
+  let skippedOrders = 0;
+
+  if ( integrity.policy === "skip" ) {
+    skippedOrders = integrity.affectedOrderIds.length;
+  }
+
+  return { policy: integrity.policy, skippedOrders, report: integrity.report };
+}
+
+function resolveSource(options) {
+  if ( options?.source ) {
+    return options.source;
+  }
+  return SQL_SOURCE;
+}
+
+function keyOf(collection) {
+  return COLLECTION_KEYS.find(function(c) {
+    return c.collection === collection;
+  }).key;
+}
+
+function emptyCounts(makeValue) {
+  const out = {};
+
+  for ( const { collection } of COLLECTION_KEYS ) {
+    out[collection] = makeValue(collection);
+  }
+
+  return out;
+}
+
+function emptyWatermark() {
+  const watermark = {};
+
+  for ( const { key } of COLLECTION_KEYS ) {
+    watermark[key] = 0;
+  }
+
+  return watermark;
+}
+
+function advanceWatermark(watermark, collection, docs) {
+  // The watermark is the highest SQL key per collection that Mongo has seen.
+  const key = keyOf(collection);
+
+  for ( const doc of docs ) {
+    watermark[key] = Math.max(watermark[key], Number(doc[key]));
+  }
+}
+
+function progressReporter(options) {
+  // `onProgress` is optional; without it reporting is a no-op.
+  return function(update) {
+    if ( typeof options?.onProgress === "function" ) {
+      options.onProgress(update);
+    }
+  };
+}
+
+async function reportTotals(options, report) {
+  // Counting costs an extra query per table, so I only do it when someone is listening.
+  if ( typeof options?.onProgress !== "function" ) {
+    return;
+  }
+
+  report({ phase: "counting" });
+  const totals = await resolveSource(options).count(options);
+
+  // With row filters only the collections in the slice are counted (and read).
+  for ( const collection of Object.keys(totals) ) {
+    report({ collection, total: totals[collection], read: 0, written: 0 });
+  }
+}
+
+function emptyInvalidReport() {
+  return {
+    counts: emptyCounts(function() {
+      return 0;
+    }),
+    documents: [],
+    truncated: false
+  };
+}
+
+function recordInvalid(invalid, collection, doc, errInfo) {
+  // Counts are complete; the list is capped like the dry-run diff.
+  const key = keyOf(collection);
+
+  invalid.counts[collection]++;
+
+  if ( invalid.documents.length < DIFF_LIST_LIMIT ) {
+    invalid.documents.push({ collection, [key]: doc[key], errors: summarizeValidationError(errInfo) });
+  } 
+  else {
+    invalid.truncated = true;
+  }
+}
+
+async function bulkWriteSkippingInvalid(coll, collection, ops, docs, invalid) {
+  // `docs[i]` is the document written by `ops[i]`. Unordered, so one rejected document does not stop the rest.
+  // I return the indexes MongoDB rejected by validation; any other write error still fails the run.
+  try {
+    await coll.bulkWrite(ops, { ordered: false });
+    return [];
+  } 
+  catch (e) {
+    const writeErrors = [].concat(e.writeErrors || []);
+
+    const onlyInvalid = writeErrors.length > 0 && writeErrors.every(function(w) {
+      return w.code === DOCUMENT_VALIDATION_FAILURE;
+    });
+
+    if ( !onlyInvalid ) {
+      throw e;
+    }
+
+    for ( const w of writeErrors ) {
+      recordInvalid(invalid, collection, docs[w.index], w.errInfo);
+    }
+
+    return writeErrors.map(function(w) {
+      return w.index;
+    });
+  }
+}
+
+function writtenCounts(result) {
+  // Full runs return plain counts; incremental runs return inserted/updated/skipped per collection,
+  // scoped runs upserted/removed for the collections in their slice. All of them carry an `invalid` report.
+  if ( result.mode === "incremental" ) {
+    return emptyCounts(function(collection) {
+      return result[collection].inserted + result[collection].updated;
+    });
+  }
+
+  if ( result.mode === "scoped" ) {
+    const out = {};
+
+    for ( const { collection } of COLLECTION_KEYS ) {
+      if ( result[collection] ) {
+        out[collection] = result[collection].upserted + result[collection].removed;
+      }
+    }
+
+    return out;
+  }
+
+  return emptyCounts(function(collection) {
+    return result[collection];
+  });
+}
+
+function scopedReadOptions(options) {
+  // The scope becomes per-collection row filters for the SQL reader; without a scope nothing changes.
+  if ( !options?.scope ) {
+    return options;
+  }
+  return { ...options, rowFilters: scopeRowFilters(options.scope) };
+}
+
+async function migrateSqlToMongo(options) {
+  const mode = resolveMode(options);
+  const source = resolveSource(options);
+
+  if ( options?.scope ) {
+    // A slice on its own is not a read model; the marker (and the app's Mongo mode) come from a full run.
+    const { db } = await getMongo();
+    const marker = await db.collection("meta").findOne({ _id: "migration" }, { projection: { _id: 1 } });
+
+    if ( !marker ) {
+      throw conflict("a scoped migration needs an existing read model, run a full migration first");
+    }
+  }
+
+  const integrity = await runIntegrityCheck(options);
+  const readOptions = applyIntegrityPolicy(scopedReadOptions(options), integrity);
+
+  const details = {
+    direction: source.direction,
+    mode: function() {
+      if ( options?.scope ) {
+        return "scoped";
+      } 
+      else {
+        return mode;
+      }
+    }(),
+    note: options?.note,
+    batchSize: options?.batchSize,
+    scope: options?.scope,
+    integrity: integrity?.policy,
+    countSource: function() {
+      return source.count(readOptions);
+    },
+    summarize: writtenCounts
+  };
+
+  return trackMigrationRun(details, async function(runId) {
+    // Aborting inside the run records it in the history as failed, with the problems in its error.
+    if ( integrity?.policy === "abort" && !integrity.report.passed ) {
+      throw conflict(
+        `SQL integrity check failed (${describeProblems(integrity.report)}), nothing was migrated; ` +
+        "see GET /api/migration/integrity, or migrate with integrity \"skip\" or \"warn\""
+      );
+    }
+
+    // I take the backup before touching anything; if it fails, the migration does not start.
+    progressReporter(options)({ phase: "backing up" });
+    await createBackup({ runId, reason: `before ${details.mode} migration` });
+
+    const result = await migrateWith(mode, readOptions);
+
+    if ( integrity ) {
+      result.integrity = integritySummary(integrity);
+    }
+
+    return result;
+  });
+}
+
+function migrateWith(mode, options) {
+  if ( options?.scope ) {
+    return migrateScoped(options);
+  }
+
+  if ( mode === "incremental" ) {
+    return migrateIncremental(options);
+  }
+
+  return migrateFull(options);
+}
+
+function stagingName(collection) {
+  return `${collection}${STAGING_SUFFIX}`;
+}
+
+async function dropStagingCollections(db) {
+  // Leftovers from a crashed run must not leak into the next one.
+  const existing = await db.listCollections({}, { nameOnly: true }).toArray();
+  const names = new Set(existing.map(function(c) {
+    return c.name;
+  }));
+
+  for ( const { collection } of COLLECTION_KEYS ) {
+    if ( names.has(stagingName(collection)) ) {
+      await db.collection(stagingName(collection)).drop();
+    }
+  }
+}
+
+async function resolveFullStrategy(options) {
+  // Returns `{ strategy, fallbackReason }`; the reason says why `auto` could not use a transaction.
+  const wanted = config.migration.strategy;
+
+  if ( !MIGRATION_STRATEGIES.includes(wanted) ) {
+    throw new Error(`MIGRATION_STRATEGY must be one of: ${MIGRATION_STRATEGIES.join(", ")}`);
+  }
+
+  if ( wanted === "staging" ) {
+    return { strategy: "staging", fallbackReason: null };
+  }
+
+  if ( await supportsTransactions() ) {
+    if ( wanted === "auto" ) {
+      // A snapshot that cannot be written within MongoDB's transaction time limit would only abort and then load
+      // again via staging, so above the configured size I pick staging right away.
+      const totals = await resolveSource(options).count(options);
+      const total = Object.keys(totals).reduce(function(sum, collection) {
+        return sum + Number(totals[collection]);
+      }, 0);
+      const limit = config.migration.transactionMaxDocuments;
+
+      if ( total > limit ) {
+        return {
+          strategy: "staging",
+          fallbackReason: `${total} documents exceed MIGRATION_TRANSACTION_MAX_DOCUMENTS (${limit})`
+        };
+      }
+    }
+
+    return { strategy: "transaction", fallbackReason: null };
+  }
+
+  if ( wanted === "transaction" ) {
+    throw conflict("MIGRATION_STRATEGY=transaction needs MongoDB to run as a replica set");
+  }
+
+  return { strategy: "staging", fallbackReason: "MongoDB is not a replica set, transactions are unavailable" };
+}
+
+async function writeFullMarker(db, options, state, session) {
+  // `state` is `{ migrated, watermark, strategy, fallbackReason }`; inside a transaction `session` is set.
   await db.collection("meta").updateOne(
     { _id: "migration" },
     {
       $set: {
-        source: "mariadb",
+        source: resolveSource(options).name,
+        mode: "full",
         lastMigrationAt: new Date(),
-        migrated: {
-          restaurants: sql.restaurants.length,
-          people: sql.people.length,
-          orders: sql.orders.length
-        }
+        migrated: state.migrated,
+        watermark: state.watermark,
+        changes: null,
+        strategy: state.strategy,
+        fallbackReason: state.fallbackReason
       }
     },
-    { upsert: true }
+    { upsert: true, session }
   );
+}
 
+async function migrateFull(options) {
+  const plan = await resolveFullStrategy(options);
 
-  return {
-    restaurants: sql.restaurants.length,
-    people: sql.people.length,
-    orders: sql.orders.length
-  };
+  if ( plan.strategy === "staging" ) {
+    return migrateFullStaged(options, plan.fallbackReason);
+  }
+
+  try {
+    return await migrateFullInTransaction(options);
+  } 
+  catch (e) {
+    // Mongo gave up on the transaction (a rejected document, the 60 s transaction limit, an election, ...).
+    // Nothing was written, so with `auto` the staging strategy simply runs instead. SQL errors are not retried.
+    if ( config.migration.strategy !== "auto" || !(e instanceof MongoServerError) ) {
+      throw e;
+    }
+
+    console.warn(`migration transaction aborted, falling back to staging collections: ${e.message}`);
+    return migrateFullStaged(options, `transaction aborted: ${e.message}`);
+  }
 }
 
-async function readSqlSnapshot() {
-  return withConn(async function(conn) {
-    // I read the base tables and then stitch them into the Mongo document shape.
-    const restaurants = await conn.query(
-      `SELECT restaurant_id AS restaurantId, name, address FROM restaurant ORDER BY restaurant_id`
-    );
+async function migrateFullInTransaction(options) {
+  // I clear the live collections, load the snapshot and write the marker in one transaction. Readers keep
+  // seeing the committed data until the commit, and a crash before it leaves everything as it was.
+  const { client, db } = await getMongo();
+  const report = progressReporter(options);
 
+  await reportTotals(options, report);
 
-    const peopleBase = await conn.query(
-      `
-      SELECT
-        p.person_id AS personId,
-        p.name AS name,
-        p.email AS email,
-        p.phone AS phone,
-        c.customer_id AS customerId,
-        c.default_address AS defaultAddress,
-        c.preferred_payment_method AS preferredPaymentMethod,
-        r.rider_id AS riderId,
-        r.vehicle_type AS vehicleType,
-        r.rating AS rating
-      FROM person p
-      LEFT JOIN customer c ON c.customer_id = p.person_id
-      LEFT JOIN rider r ON r.rider_id = p.person_id
-      ORDER BY p.person_id
-      `
-    );
+  // Collections and indexes cannot be created inside the transaction, so they have to exist beforehand.
+  report({ phase: "preparing" });
+  await ensureMongoValidators();
+  await ensureMongoIndexes();
 
+  const read = emptyCounts(function() {
+    return 0;
+  });
+  const migrated = emptyCounts(function() {
+    return 0;
+  });
+  const watermark = emptyWatermark();
+  const session = client.startSession();
 
-    const people = peopleBase.map(function(p) {
-      let type;
-      
-      if ( p.riderId ) {
-        type = "rider";
-      } 
-      else if ( p.customerId ) {
-        type = "customer";
-      } 
-      else {
-        type = "person";
+  try {
+    session.startTransaction({ readConcern: { level: "snapshot" }, writeConcern: { w: "majority" } });
+
+    report({ phase: "clearing" });
+    for ( const { collection } of COLLECTION_KEYS ) {
+      await db.collection(collection).deleteMany({}, { session });
+    }
+
+    // A write error aborts a transaction, so unlike staging a rejected document cannot be skipped here;
+    // the caller falls back to staging, which skips and reports it.
+    report({ phase: "loading" });
+    await resolveSource(options).read(options, async function(collection, docs) {
+      read[collection] += docs.length;
+      report({ collection, read: read[collection] });
+      await db.collection(collection).insertMany(docs, { session });
+      migrated[collection] += docs.length;
+      advanceWatermark(watermark, collection, docs);
+      report({ collection, written: migrated[collection] });
+    });
+
+
+    report({ phase: "validating" });
+    for ( const { collection } of COLLECTION_KEYS ) {
+      const count = await db.collection(collection).countDocuments({}, { session });
+
+      if ( count !== migrated[collection] ) {
+        throw new Error(`transaction validation failed for ${collection}: expected ${migrated[collection]} documents, found ${count}`);
+      }
+    }
+
+
+    report({ phase: "finalizing" });
+    await writeFullMarker(db, options, { migrated, watermark, strategy: "transaction", fallbackReason: null }, session);
+
+    report({ phase: "committing" });
+    await session.commitTransaction();
+  } 
+  catch (e) {
+    if ( session.inTransaction() ) {
+      await session.abortTransaction();
+    }
+    throw e;
+  } 
+  finally {
+    await session.endSession();
+  }
+
+
+  return { ...migrated, invalid: emptyInvalidReport(), strategy: "transaction" };
+}
+
+async function migrateFullStaged(options, fallbackReason) {
+  // I stream everything from SQL into staging collections, one bounded batch at a time, and only
+  // swap them into place once they are complete. Readers keep seeing the old data until the swap.
+  // This matches the MS2 rule: no re-randomizing and no dual-write.
+  const { db } = await getMongo();
+  const report = progressReporter(options);
+
+  await reportTotals(options, report);
+  report({ phase: "preparing" });
+  await dropStagingCollections(db);
+
+
+  const read = emptyCounts(function() {
+    return 0;
+  });
+  const migrated = emptyCounts(function() {
+    return 0;
+  });
+  const invalid = emptyInvalidReport();
+  const watermark = emptyWatermark();
+
+  try {
+    // I build validators and indexes on the empty staging collections first, using the same definitions as
+    // startup, so constraints are enforced while loading and the swapped-in collection keeps them.
+    for ( const { collection } of COLLECTION_KEYS ) {
+      await ensureValidatorFor(db, collection, stagingName(collection));
+      await ensureIndexesFor(db, collection, stagingName(collection));
+    }
+
+    report({ phase: "loading" });
+
+    await resolveSource(options).read(options, async function(collection, docs) {
+      const ops = docs.map(function(doc) {
+        return { insertOne: { document: doc } };
+      });
+
+      read[collection] += docs.length;
+      report({ collection, read: read[collection] });
+      const rejected = await bulkWriteSkippingInvalid(db.collection(stagingName(collection)), collection, ops, docs, invalid);
+      migrated[collection] += docs.length - rejected.length;
+      advanceWatermark(watermark, collection, docs);
+      report({ collection, written: migrated[collection] });
+    });
+
+
+    // I validate that staging holds exactly what we wrote before anything becomes visible.
+    report({ phase: "validating" });
+    for ( const { collection } of COLLECTION_KEYS ) {
+      const count = await db.collection(stagingName(collection)).countDocuments({});
+
+      if ( count !== migrated[collection] ) {
+        throw new Error(
+          `staging validation failed for ${collection}: expected ${migrated[collection]} documents, found ${count}`
+        );
       }
-      
-      return {
-        personId: Number(p.personId),
-        type,
-        name: p.name,
-        email: p.email,
-        phone: function() {
-          if ( p.phone ) {
-            return p.phone;
-          } 
-          else {
-            return null;
-          }
-        }(),
-        customer: function() {
-          if ( p.customerId ) {
-            return {
-              defaultAddress: function() {
-                if ( p.defaultAddress ) {
-                  return p.defaultAddress;
-                } 
-                else {
-                  return null;
-                }
-              }(),
-              preferredPaymentMethod: function() {
-                if ( p.preferredPaymentMethod ) {
-                  return p.preferredPaymentMethod;
-                } 
-                else {
-                  return null;
-                }
-              }()
-            };
-          } 
-          else {
-            return null;
-          }
-        }(),
-        rider: function() {
-          if ( p.riderId ) {
-            return {
-              vehicleType: p.vehicleType,
-              rating: function() {
-                if ( p.rating == null ) {
-                  return null;
-                } 
-                else {
-                  return Number(p.rating);
-                }
-              }()
-            };
-          } 
-          else {
-            return null;
-          }
-        }()
-      };
+    }
+
+
+    // Each rename is atomic and replaces the live collection (with its indexes) in one step.
+    report({ phase: "swapping" });
+    for ( const { collection } of COLLECTION_KEYS ) {
+      await db.collection(stagingName(collection)).rename(collection, { dropTarget: true });
+    }
+  } 
+  catch (e) {
+    // The live collections were never touched, so cleaning up staging is all we need to do.
+    await dropStagingCollections(db);
+    throw e;
+  }
+
+
+  // Store migration metadata so the UI (and graders) can clearly verify that migration happened.
+  // This is NOT a dual-write: it's a single metadata document written after the migration.
+  report({ phase: "finalizing" });
+  await writeFullMarker(db, options, { migrated, watermark, strategy: "staging", fallbackReason });
+
+
+  return { ...migrated, invalid, strategy: "staging" };
+}
+
+function sliceRemovalFilter(mongoFilter) {
+  // Orders placed in Mongo mode were never in SQL, so SQL not having them does not mean they were deleted there.
+  return { $and: [mongoFilter, { origin: { $ne: MONGO_ORIGIN } }] };
+}
+
+async function removeStaleSliceDocuments(coll, collection, mongoFilter, sqlKeys, batchSize) {
+  // I compare the slice's keys in Mongo with the ones SQL produced and delete the rest in batches; one `$nin` with
+  // every SQL key could outgrow MongoDB's 16 MB command limit on a large slice.
+  const key = keyOf(collection);
+  const cursor = coll.find(sliceRemovalFilter(mongoFilter), { projection: { _id: 0, [key]: 1 } });
+  const stale = [];
+
+  for await ( const existing of cursor ) {
+    if ( !sqlKeys.has(existing[key]) ) {
+      stale.push(existing[key]);
+    }
+  }
+
+  let removed = 0;
+
+  for ( let i = 0; i < stale.length; i += batchSize ) {
+    const result = await coll.deleteMany({ [key]: { $in: stale.slice(i, i + batchSize) } });
+    removed += result.deletedCount;
+  }
+
+  return removed;
+}
+
+async function migrateScoped(options) {
+  // I upsert the slice into the live collections and then remove slice documents that SQL no longer has.
+  // The migration marker and watermark describe the whole read model, so a scoped run leaves them alone.
+  const { db } = await getMongo();
+  const report = progressReporter(options);
+  const mongoFilters = scopeMongoFilters(options.scope);
+
+  await reportTotals(options, report);
+
+  const counts = { mode: "scoped" };
+  const read = {};
+  const sqlKeys = {};
+  const invalid = emptyInvalidReport();
+
+  for ( const collection of Object.keys(options.rowFilters) ) {
+    counts[collection] = { upserted: 0, removed: 0 };
+    read[collection] = 0;
+    // Documents the integrity check left out still exist in SQL, so they must not be removed either.
+    sqlKeys[collection] = new Set(options.excludeKeys?.[collection] || []);
+  }
+
+  report({ phase: "syncing" });
+
+  await resolveSource(options).read(options, async function(collection, docs) {
+    const key = keyOf(collection);
+    const ops = docs.map(function(doc) {
+      return { replaceOne: { filter: { [key]: doc[key] }, replacement: doc, upsert: true } };
     });
 
-    const menuItems = await conn.query(
-      `
-      SELECT
-        menu_item_id AS menuItemId,
-        restaurant_id AS restaurantId,
-        name,
-        description,
-        price
-      FROM menu_item
-      ORDER BY menu_item_id
-      `
-    );
-    const menuItemById = new Map(menuItems.map(function(m) {
-      return [Number(m.menuItemId), m];
-    }));
+    read[collection] += docs.length;
+    report({ collection, read: read[collection] });
+    const rejected = await bulkWriteSkippingInvalid(db.collection(collection), collection, ops, docs, invalid);
+    counts[collection].upserted += docs.length - rejected.length;
 
+    // A rejected document still exists in SQL, so its old Mongo version is kept rather than removed.
+    for ( const doc of docs ) {
+      sqlKeys[collection].add(doc[key]);
+    }
+
+    report({ collection, written: counts[collection].upserted });
+  });
 
-    const ordersBase = await conn.query(
-      `
-      SELECT
-        o.order_id AS orderId,
-        o.customer_id AS customerId,
-        o.restaurant_id AS restaurantId,
-        o.created_at AS createdAt,
-        o.status AS status,
-        o.total_amount AS totalAmount,
-        pay.payment_id AS paymentId,
-        pay.amount AS paymentAmount,
-        pay.payment_method AS paymentMethod,
-        pay.paid_at AS paidAt,
-        d.delivery_id AS deliveryId,
-        d.rider_id AS riderId,
-        d.assigned_at AS assignedAt,
-        d.delivery_status AS deliveryStatus
-      FROM \`order\` o
-      LEFT JOIN payment pay ON pay.order_id = o.order_id
-      LEFT JOIN delivery d ON d.order_id = o.order_id
-      ORDER BY o.order_id
-      `
+
+  report({ phase: "removing" });
+  for ( const collection of Object.keys(mongoFilters) ) {
+    counts[collection].removed = await removeStaleSliceDocuments(
+      db.collection(collection),
+      collection,
+      mongoFilters[collection],
+      sqlKeys[collection],
+      resolveBatchSize(options.batchSize)
     );
+  }
+
+  counts.invalid = invalid;
+  return counts;
+}
+
+async function migrateIncremental(options) {
+  // I keep everything that already lives in Mongo (incl. orders placed in Mongo mode)
+  // and only write documents that are new or differ from the SQL snapshot.
+  const { db } = await getMongo();
+  const report = progressReporter(options);
+
+  await reportTotals(options, report);
+
+  const marker = await db.collection("meta").findOne({ _id: "migration" });
+  let watermark;
 
-    const orderItems = await conn.query(
-      `
-      SELECT
-        order_id AS orderId,
-        menu_item_id AS menuItemId,
-        quantity,
-        unit_price AS unitPrice
-      FROM order_item
-      ORDER BY order_item_id
-      `
+  if ( marker?.watermark ) {
+    watermark = marker.watermark;
+  } 
+  else {
+    // No watermark yet: every SQL row is compared against Mongo, nothing counts as "new".
+    watermark = null;
+  }
+
+  const migrated = emptyCounts(function() {
+    return 0;
+  });
+  const changes = emptyCounts(function() {
+    return { inserted: 0, updated: 0, skipped: 0, conflicts: 0 };
+  });
+  const nextWatermark = emptyWatermark();
+  const invalid = emptyInvalidReport();
+
+  // Upserts may create a missing collection; it must get its validator first.
+  await ensureMongoValidators();
+
+  report({ phase: "syncing" });
+
+  await resolveSource(options).read(options, async function(collection, docs) {
+    report({ collection, read: migrated[collection] + docs.length });
+    const { counts, conflictKeys } = await upsertChangedDocuments(
+      db.collection(collection),
+      collection,
+      docs,
+      watermark,
+      invalid
     );
 
+    for ( const k of Object.keys(counts) ) {
+      changes[collection][k] += counts[k];
+    }
 
-    const personById = new Map(people.map(function(p) {
-      return [p.personId, p];
-    }));
-    const restaurantById = new Map(restaurants.map(function(r) {
-      return [Number(r.restaurantId), r];
+    migrated[collection] += docs.length;
+
+    // A conflicting SQL row was not written, so it must not move the watermark either.
+    advanceWatermark(nextWatermark, collection, docs.filter(function(doc) {
+      return !conflictKeys.has(doc[keyOf(collection)]);
     }));
+    report({ collection, written: changes[collection].inserted + changes[collection].updated });
+  });
 
 
-    const itemsByOrderId = new Map();
-    
-    for ( const it of orderItems ) {
-      const orderId = Number(it.orderId);
-      
-      if ( !itemsByOrderId.has(orderId) ) {
-        itemsByOrderId.set(orderId, []);
-      }
-      
-      const mi = menuItemById.get(Number(it.menuItemId));
-      let itemName = null;
-      
-      if ( mi ) {
-        itemName = mi.name;
+  report({ phase: "indexing" });
+  await ensureMongoIndexes();
+
+
+  // I move the watermark forward, but never backwards (SQL rows may have been deleted since).
+  if ( watermark ) {
+    for ( const { key } of COLLECTION_KEYS ) {
+      nextWatermark[key] = Math.max(nextWatermark[key], Number(watermark[key]) || 0);
+    }
+  }
+
+  report({ phase: "finalizing" });
+  await db.collection("meta").updateOne(
+    { _id: "migration" },
+    {
+      $set: {
+        source: resolveSource(options).name,
+        mode: "incremental",
+        lastMigrationAt: new Date(),
+        migrated,
+        watermark: nextWatermark,
+        changes,
+        // Upserts are safe to repeat, so an interrupted incremental run needs neither strategy.
+        strategy: "upsert",
+        fallbackReason: null
       }
-      
-      itemsByOrderId.get(orderId).push({
-        menuItemId: Number(it.menuItemId),
-        name: itemName,
-        quantity: Number(it.quantity),
-        unitPrice: Number(it.unitPrice)
-      });
+    },
+    { upsert: true }
+  );
+
+
+  return { mode: "incremental", ...changes, invalid };
+}
+
+async function upsertChangedDocuments(coll, collection, docs, watermark, invalid) {
+  const key = keyOf(collection);
+  const plan = await planBatchChanges(coll, key, docs, "incremental", watermark);
+  const writes = plan.added.concat(plan.changed).map(function(entry) {
+    return entry.doc;
+  });
+  const ops = writes.map(function(doc) {
+    return { replaceOne: { filter: { [key]: doc[key] }, replacement: doc, upsert: true } };
+  });
+
+  let rejected = [];
+
+  if ( ops.length ) {
+    rejected = await bulkWriteSkippingInvalid(coll, collection, ops, writes, invalid);
+  }
+
+  // Orders from before the `origin` flag were recognised by the watermark alone; I flag them now so they stay
+  // protected once the watermark has moved past their id.
+  const unflagged = plan.conflicts.filter(function(entry) {
+    return entry.existing.origin !== MONGO_ORIGIN;
+  }).map(function(entry) {
+    return entry.doc[key];
+  });
+
+  if ( unflagged.length ) {
+    await coll.updateMany({ [key]: { $in: unflagged } }, { $set: { origin: MONGO_ORIGIN } });
+  }
+
+  // The added documents come first in `writes`, so a rejected index tells which count it belongs to.
+  const rejectedAdded = rejected.filter(function(i) {
+    return i < plan.added.length;
+  }).length;
+
+  return {
+    counts: {
+      inserted: plan.added.length - rejectedAdded,
+      updated: plan.changed.length - (rejected.length - rejectedAdded),
+      skipped: plan.unchanged,
+      conflicts: plan.conflicts.length
+    },
+    conflictKeys: new Set(plan.conflicts.map(function(entry) {
+      return entry.doc[key];
+    }))
+  };
+}
+
+async function planBatchChanges(coll, key, docs, mode, watermark) {
+  // I sort one batch of SQL documents into added / changed / unchanged / conflict by comparing
+  // them with what Mongo holds right now (one `$in` lookup per batch).
+  const keys = docs.map(function(d) {
+    return d[key];
+  });
+  const existingDocs = await coll.find({ [key]: { $in: keys } }).toArray();
+  const existingByKey = new Map(existingDocs.map(function(d) {
+    return [Number(d[key]), d];
+  }));
+
+  const plan = { added: [], changed: [], unchanged: 0, conflicts: [] };
+
+  for ( const doc of docs ) {
+    const existing = existingByKey.get(doc[key]);
+
+    if ( !existing ) {
+      plan.added.push({ doc, existing: null });
+      continue;
     }
 
+    if ( sameDocument(existing, doc) ) {
+      plan.unchanged++;
+      continue;
+    }
 
-    const orders = ordersBase.map(function(o) {
-      const restaurantRaw = restaurantById.get(Number(o.restaurantId));
-      let restaurant;
-      
-      if ( restaurantRaw ) {
-        restaurant = restaurantRaw;
-      } 
-      else {
-        restaurant = null;
-      }
-      
-      const customerRaw = personById.get(Number(o.customerId));
-      let customer;
-      
-      if ( customerRaw ) {
-        customer = customerRaw;
-      } 
-      else {
-        customer = null;
-      }
-      let rider = null;
-      
-      if ( o.riderId ) {
-        rider = personById.get(Number(o.riderId));
+    // A document placed in Mongo mode (see MONGO_ORIGIN) is unknown to SQL. I keep it and report the clash
+    // instead of overwriting it. Older ones lack the flag: above the watermark the SQL row is new, so a different
+    // Mongo doc with the same key must have been created in Mongo mode as well.
+    if ( mode === "incremental" ) {
+      if ( existing.origin === MONGO_ORIGIN || (watermark && doc[key] > Number(watermark[key])) ) {
+        plan.conflicts.push({ doc, existing });
+        continue;
       }
+    }
 
-      return {
-        orderId: Number(o.orderId),
-        createdAt: o.createdAt,
-        status: o.status,
-        totalAmount: Number(o.totalAmount),
-        restaurant: function() {
-          if ( restaurant ) {
-            return { restaurantId: Number(restaurant.restaurantId), name: restaurant.name, address: restaurant.address };
-          } 
-          else {
-            return null;
-          }
-        }(),
-        customer: function() {
-          if ( customer ) {
-            return { personId: customer.personId, name: customer.name, email: customer.email };
-          } 
-          else {
-            return null;
-          }
-        }(),
-        orderItems: function() {
-          const items = itemsByOrderId.get(Number(o.orderId));
-          
-          if ( items ) {
-            return items;
-          } 
-          else {
-            return [];
-          }
-        }(),
-        payment: function() {
-          if ( o.paymentId ) {
-            return {
-              paymentId: Number(o.paymentId),
-              amount: Number(o.paymentAmount),
-              method: o.paymentMethod,
-              paidAt: function() {
-                if ( o.paidAt ) {
-                  return o.paidAt;
-                } 
-                else {
-                  return null;
-                }
-              }()
-            };
-          } 
-          else {
-            return null;
-          }
-        }(),
-        delivery: function() {
-          if ( o.deliveryId ) {
-            return {
-              deliveryId: Number(o.deliveryId),
-              deliveryStatus: o.deliveryStatus,
-              assignedAt: function() {
-                if ( o.assignedAt ) {
-                  return o.assignedAt;
-                } 
-                else {
-                  return null;
-                }
-              }(),
-              rider: function() {
-                if ( rider ) {
-                  return {
-                    personId: rider.personId,
-                    name: rider.name,
-                    email: rider.email,
-                    vehicleType: function() {
-                      if ( rider.rider?.vehicleType ) {
-                        return rider.rider.vehicleType;
-                      } 
-                      else {
-                        return null;
-                      }
-                    }(),
-                    rating: function() {
-                      if ( rider.rider?.rating != null ) {
-                        return rider.rider.rating;
-                      } 
-                      else {
-                        return null;
-                      }
-                    }()
-                  };
-                } 
-                else {
-                  return null;
-                }
-              }()
-            };
-          } 
-          else {
-            return null;
-          }
-        }()
-      };
-    });
+    plan.changed.push({ doc, existing });
+  }
 
+  return plan;
+}
 
-    return { restaurants, people, orders };
-  });
+function emptyDiff() {
+  return {
+    counts: { added: 0, removed: 0, changed: 0, unchanged: 0, conflicts: 0 },
+    added: [],
+    removed: [],
+    changed: [],
+    conflicts: [],
+    truncated: false
+  };
 }
 
-module.exports = { migrateSqlToMongo };
+function pushCapped(diff, listName, value) {
+  if ( diff[listName].length < DIFF_LIST_LIMIT ) {
+    diff[listName].push(value);
+  } 
+  else {
+    diff.truncated = true;
+  }
+}
+
+function addPlanToDiff(diff, plan, key) {
+  // I turn a batch plan into JSON the UI can render: ids for added, field diffs for changes.
+  diff.counts.added += plan.added.length;
+  diff.counts.changed += plan.changed.length;
+  diff.counts.unchanged += plan.unchanged;
+  diff.counts.conflicts += plan.conflicts.length;
+
+  for ( const entry of plan.added ) {
+    pushCapped(diff, "added", Number(entry.doc[key]));
+  }
+
+  for ( const listName of ["changed", "conflicts"] ) {
+    for ( const entry of plan[listName] ) {
+      pushCapped(diff, listName, { [key]: Number(entry.doc[key]), fields: diffDocuments(entry.existing, entry.doc) });
+    }
+  }
+}
+
+async function previewMigration(options) {
+  // I run the same read + comparison as a real migration, but never write to Mongo.
+  const mode = resolveMode(options);
+  const { db } = await getMongo();
+
+  let watermark = null;
+
+  if ( mode === "incremental" ) {
+    const marker = await db.collection("meta").findOne({ _id: "migration" });
+
+    if ( marker?.watermark ) {
+      watermark = marker.watermark;
+    }
+  }
+
+  // A scoped preview reads and compares only the slice; its removals are limited to the slice as well.
+  // The integrity check runs as well; `skip` leaves the affected orders out, `abort` only shows up in the report.
+  const integrity = await runIntegrityCheck(options);
+  const readOptions = applyIntegrityPolicy(scopedReadOptions(options), integrity);
+  let removalFilters = emptyCounts(function() {
+    return {};
+  });
+
+  if ( options?.scope ) {
+    removalFilters = scopeMongoFilters(options.scope);
+
+    for ( const collection of Object.keys(removalFilters) ) {
+      removalFilters[collection] = sliceRemovalFilter(removalFilters[collection]);
+    }
+  }
+
+  const diff = { mode, ...emptyCounts(emptyDiff) };
+
+  if ( options?.scope ) {
+    diff.mode = "scoped";
+  }
+
+  if ( integrity ) {
+    diff.integrity = integritySummary(integrity);
+  }
+
+  // Full mode deletes Mongo docs that SQL no longer has, so I remember which keys SQL produced.
+  // A scoped run keeps the orders the integrity check skipped (see `migrateScoped`), a full run drops them.
+  const sqlKeys = emptyCounts(function(collection) {
+    if ( options?.scope ) {
+      return new Set(readOptions.excludeKeys?.[collection] || []);
+    }
+    return new Set();
+  });
+
+  await resolveSource(options).read(readOptions, async function(collection, docs) {
+    const key = keyOf(collection);
+    const plan = await planBatchChanges(db.collection(collection), key, docs, mode, watermark);
+    addPlanToDiff(diff[collection], plan, key);
+
+    if ( mode === "full" ) {
+      for ( const doc of docs ) {
+        sqlKeys[collection].add(Number(doc[key]));
+      }
+    }
+  });
+
+  if ( mode === "full" ) {
+    for ( const collection of Object.keys(removalFilters) ) {
+      const key = keyOf(collection);
+      const cursor = db.collection(collection).find(removalFilters[collection], { projection: { _id: 0, [key]: 1 } });
+
+      for await ( const existing of cursor ) {
+        const id = Number(existing[key]);
+
+        if ( !sqlKeys[collection].has(id) ) {
+          diff[collection].counts.removed++;
+          pushCapped(diff[collection], "removed", id);
+        }
+      }
+    }
+  }
+
+  return diff;
+}
 
+module.exports = { migrateSqlToMongo, previewMigration, MIGRATION_MODES, COLLECTION_KEYS };
@@ -0,0 +1,243 @@
+// File flow:
+// - Before a migration writes to Mongo, we copy each read model collection into `<collection>__backup_<backupId>`
+//   and record the backup (with a copy of the `meta` migration marker) in `migration_backups`.
+// - We keep the newest `MIGRATION_BACKUP_RETENTION` backups and drop the older ones.
+// - Rollback loads a backup into staging collections (with the live indexes), swaps them in with a rename like the
+//   full migration does, and restores the marker. The backup stays, so it can be restored again later.
+// - Before restoring we back up the current state as well, so a rollback can be undone the same way.
+// - Restored collections get the current `$jsonSchema` validators after loading, so they keep being enforced.
+
+const { getMongo, ensureIndexesFor, ensureValidatorFor } = require("../db/mongodb");
+const { config } = require("../config");
+const { DEFAULT_MAPPING_SPEC } = require("./mappingSpec");
+const { trackMigrationRun } = require("./migrationRuns");
+
+const BACKUPS_COLLECTION = "migration_backups";
+const BACKUP_INFIX = "__backup_";
+const STAGING_SUFFIX = "__staging";
+
+const READ_MODEL_COLLECTIONS = DEFAULT_MAPPING_SPEC.collections.map(function(c) {
+  return c.collection;
+});
+
+function notFound(message) {
+  const e = new Error(message);
+  e.status = 404;
+  return e;
+}
+
+function newBackupId() {
+  // A compact UTC timestamp, e.g. 20260118T120000123Z; it sorts the same way as the backups were taken.
+  return new Date().toISOString().replace(/[-:.]/g, "");
+}
+
+function backupName(collection, backupId) {
+  return `${collection}${BACKUP_INFIX}${backupId}`;
+}
+
+function resolveRetention() {
+  const n = config.migration.backupRetention;
+
+  if ( !Number.isInteger(n) || n < 1 ) {
+    throw new Error("MIGRATION_BACKUP_RETENTION must be an integer of at least 1");
+  }
+
+  return n;
+}
+
+async function existingCollections(db) {
+  const existing = await db.listCollections({}, { nameOnly: true }).toArray();
+
+  return new Set(existing.map(function(c) {
+    return c.name;
+  }));
+}
+
+async function dropCollections(db, names) {
+  const existing = await existingCollections(db);
+
+  for ( const name of names ) {
+    if ( existing.has(name) ) {
+      await db.collection(name).drop();
+    }
+  }
+}
+
+async function pruneBackups(db, keepBackupId) {
+  // Newest first; everything past the retention limit goes, except a backup that is being restored right now.
+  const backups = await db
+    .collection(BACKUPS_COLLECTION)
+    .find({}, { projection: { _id: 0, backupId: 1, collections: 1 } })
+    .sort({ createdAt: -1 })
+    .skip(resolveRetention())
+    .toArray();
+
+  for ( const backup of backups ) {
+    if ( backup.backupId === keepBackupId ) {
+      continue;
+    }
+
+    await dropCollections(db, Object.values(backup.collections).map(function(c) {
+      return c.name;
+    }));
+    await db.collection(BACKUPS_COLLECTION).deleteOne({ backupId: backup.backupId });
+  }
+}
+
+async function createBackup(options) {
+  // Returns the backup entry, or null when there is no read model yet (nothing worth keeping).
+  const { db } = await getMongo();
+  const existing = await existingCollections(db);
+  const marker = await db.collection("meta").findOne({ _id: "migration" });
+
+  const present = READ_MODEL_COLLECTIONS.filter(function(name) {
+    return existing.has(name);
+  });
+
+  if ( !marker && !present.length ) {
+    return null;
+  }
+
+  const backupId = newBackupId();
+  const collections = {};
+
+  for ( const name of READ_MODEL_COLLECTIONS ) {
+    const target = backupName(name, backupId);
+
+    if ( existing.has(name) ) {
+      // `$out` copies server-side, so the documents never travel through the backend.
+      await db.collection(name).aggregate([{ $match: {} }, { $out: target }]).toArray();
+    }
+
+    collections[name] = { name: target, count: await db.collection(target).countDocuments({}) };
+  }
+
+  const entry = {
+    backupId,
+    createdAt: new Date(),
+    reason: options?.reason || null,
+    runId: options?.runId || null,
+    collections,
+    marker
+  };
+
+  await db.collection(BACKUPS_COLLECTION).insertOne(entry);
+  await pruneBackups(db, options?.keepBackupId);
+
+  delete entry._id;
+  return entry;
+}
+
+async function listBackups() {
+  const { db } = await getMongo();
+
+  return db
+    .collection(BACKUPS_COLLECTION)
+    .find({}, { projection: { _id: 0, marker: 0 } })
+    .sort({ createdAt: -1 })
+    .toArray();
+}
+
+function stagingName(collection) {
+  return `${collection}${STAGING_SUFFIX}`;
+}
+
+function backupCounts(backup) {
+  const out = {};
+
+  for ( const name of READ_MODEL_COLLECTIONS ) {
+    out[name] = backup.collections[name].count;
+  }
+
+  return out;
+}
+
+async function restoreCollections(db, backup) {
+  const existing = await existingCollections(db);
+  const staging = READ_MODEL_COLLECTIONS.map(stagingName);
+
+  await dropCollections(db, staging);
+
+  try {
+    for ( const name of READ_MODEL_COLLECTIONS ) {
+      // Same indexes as startup, so unique constraints are checked while the backup is loaded.
+      await db.createCollection(stagingName(name));
+      await ensureIndexesFor(db, name, stagingName(name));
+
+      const source = backup.collections[name].name;
+
+      if ( existing.has(source) ) {
+        await db.collection(source).aggregate([
+          { $merge: { into: stagingName(name), whenMatched: "fail", whenNotMatched: "insert" } }
+        ]).toArray();
+      }
+
+      const count = await db.collection(stagingName(name)).countDocuments({});
+
+      if ( count !== backup.collections[name].count ) {
+        throw new Error(
+          `backup ${backup.backupId} is incomplete for ${name}: expected ${backup.collections[name].count} documents, found ${count}`
+        );
+      }
+
+      // The validator comes last: a backup is restored as it was (it may hold older schema versions),
+      // and `collMod` does not re-check what is already stored. The renamed collection keeps it.
+      await ensureValidatorFor(db, name, stagingName(name));
+    }
+
+    for ( const name of READ_MODEL_COLLECTIONS ) {
+      await db.collection(stagingName(name)).rename(name, { dropTarget: true });
+    }
+  } 
+  catch (e) {
+    await dropCollections(db, staging);
+    throw e;
+  }
+
+  // The marker goes back to what it was when the backup was taken (no marker means "not migrated").
+  if ( backup.marker ) {
+    await db.collection("meta").replaceOne({ _id: "migration" }, backup.marker, { upsert: true });
+  } 
+  else {
+    await db.collection("meta").deleteOne({ _id: "migration" });
+  }
+
+  return backupCounts(backup);
+}
+
+async function restoreBackup(backupId, options) {
+  const { db } = await getMongo();
+  const backup = await db.collection(BACKUPS_COLLECTION).findOne({ backupId });
+
+  if ( !backup ) {
+    throw notFound(`backup not found: ${backupId}`);
+  }
+
+  const details = {
+    direction: "rollback",
+    mode: "restore",
+    note: options?.note,
+    batchSize: null,
+    countSource: async function() {
+      return backupCounts(backup);
+    },
+    summarize: function(result) {
+      return result.restored;
+    }
+  };
+
+  return trackMigrationRun(details, async function(runId) {
+    const safety = await createBackup({ runId, reason: `before rollback to ${backupId}`, keepBackupId: backupId });
+    const restored = await restoreCollections(db, backup);
+
+    let safetyBackupId = null;
+
+    if ( safety ) {
+      safetyBackupId = safety.backupId;
+    }
+
+    return { backupId, restored, safetyBackupId };
+  });
+}
+
+module.exports = { createBackup, listBackups, restoreBackup };
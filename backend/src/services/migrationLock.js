@@ -0,0 +1,68 @@
+// File flow:
+// - Every entry point that rewrites the read model or the SQL order tables (migrations in both directions, bundle
+//   imports, rollbacks, document upgrades) takes this one in-process lock first, foreground and background alike.
+// - A second caller gets a 409 instead of writing the same `__staging` collections or SQL tables at the same time.
+// - We also refuse while `migration_runs` has a run marked running (see `migrationRuns.js`), which covers a run
+//   that is recorded there but does not hold this lock.
+// - `withMigrationLock` holds the lock around a foreground call; a background job takes it with
+//   `acquireMigrationLock` and hands the returned `release` to the job.
+
+const { hasRunningMigration } = require("./migrationRuns");
+
+let holder = null;
+
+function conflict(message) {
+  const e = new Error(message);
+  e.status = 409;
+  return e;
+}
+
+function describeHolder() {
+  return `${holder.label}, started ${holder.since.toISOString()}`;
+}
+
+async function acquireMigrationLock(label) {
+  // Returns `release()`; calling it more than once is harmless.
+  if ( holder ) {
+    throw conflict(`a migration is already running (${describeHolder()})`);
+  }
+
+  // We take the lock before the first await, so two requests cannot both get past the check.
+  const mine = { label, since: new Date() };
+  holder = mine;
+
+  function release() {
+    if ( holder === mine ) {
+      holder = null;
+    }
+  }
+
+  try {
+    if ( await hasRunningMigration() ) {
+      throw conflict("a migration is already running (see /api/migration/history)");
+    }
+  } 
+  catch (e) {
+    release();
+    throw e;
+  }
+
+  return release;
+}
+
+async function withMigrationLock(label, fn) {
+  const release = await acquireMigrationLock(label);
+
+  try {
+    return await fn();
+  } 
+  finally {
+    release();
+  }
+}
+
+function isMigrationLocked() {
+  return holder !== null;
+}
+
+module.exports = { acquireMigrationLock, withMigrationLock, isMigrationLocked };
@@ -0,0 +1,149 @@
+// File flow:
+// - We record every migration run (either direction) as one document in `migration_runs`.
+// - A run is inserted as "running" before any work starts and completed with status, duration,
+//   source counts, written counts and the error message (if any) when it ends.
+// - The `meta` migration marker stays the "current state" pointer for health and the watermark;
+//   this collection is the audit trail behind it.
+// - Runs still marked "running" at startup belonged to a process that died; we mark them "interrupted".
+
+const crypto = require("crypto");
+
+const { getMongo } = require("../db/mongodb");
+
+const RUNS_COLLECTION = "migration_runs";
+const MAX_NOTE_LENGTH = 500;
+const MAX_HISTORY_LIMIT = 100;
+
+function orNull(v) {
+  if ( v === undefined ) {
+    return null;
+  }
+  return v;
+}
+
+async function trackMigrationRun(details, run) {
+  // `details.countSource()` reads the source counts and `details.summarize(result)` turns the
+  // service result into per-collection written counts, so every direction is stored the same way.
+  // `run(runId)` gets the id, so whatever the run creates (e.g. a backup) can point back at it.
+  const { db } = await getMongo();
+  const runs = db.collection(RUNS_COLLECTION);
+  const startedAt = new Date();
+  const runId = crypto.randomUUID();
+
+  await runs.insertOne({
+    runId,
+    direction: details.direction,
+    mode: details.mode,
+    status: "running",
+    note: orNull(details.note),
+    batchSize: orNull(details.batchSize),
+    scope: orNull(details.scope),
+    integrity: orNull(details.integrity),
+    startedAt,
+    finishedAt: null,
+    durationMs: null,
+    sourceCounts: null,
+    written: null,
+    result: null,
+    error: null
+  });
+
+  let sourceCounts = null;
+
+  try {
+    sourceCounts = await details.countSource();
+    const result = await run(runId);
+    const finishedAt = new Date();
+
+    await runs.updateOne(
+      { runId },
+      {
+        $set: {
+          status: "succeeded",
+          finishedAt,
+          durationMs: finishedAt.getTime() - startedAt.getTime(),
+          sourceCounts,
+          written: details.summarize(result),
+          result
+        }
+      }
+    );
+
+    return result;
+  } 
+  catch (e) {
+    const finishedAt = new Date();
+
+    // We still want the original error to reach the caller, even if recording the failure fails too.
+    try {
+      await runs.updateOne(
+        { runId },
+        {
+          $set: {
+            status: "failed",
+            finishedAt,
+            durationMs: finishedAt.getTime() - startedAt.getTime(),
+            sourceCounts,
+            error: function() {
+              if ( e.message ) {
+                return e.message;
+              } 
+              else {
+                return "internal error";
+              }
+            }()
+          }
+        }
+      );
+    } 
+    catch (recordError) {
+      console.error(recordError);
+    }
+
+    throw e;
+  }
+}
+
+async function listMigrationRuns(options) {
+  let limit = 20;
+
+  // The route validates the limit; we still clamp it so other callers cannot pull the whole history.
+  if ( Number.isInteger(options?.limit) ) {
+    limit = Math.min(Math.max(options.limit, 1), MAX_HISTORY_LIMIT);
+  }
+
+  const { db } = await getMongo();
+
+  return db
+    .collection(RUNS_COLLECTION)
+    .find({}, { projection: { _id: 0 } })
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+async function hasRunningMigration() {
+  // Covers synchronous runs too, which never show up in the in-memory job registry.
+  const { db } = await getMongo();
+  const n = await db.collection(RUNS_COLLECTION).countDocuments({ status: "running" }, { limit: 1 });
+  return n > 0;
+}
+
+async function markInterruptedRuns() {
+  // Runs live inside this process (see services/jobs.js), so none of them can still be running at startup.
+  const { db } = await getMongo();
+
+  await db.collection(RUNS_COLLECTION).updateMany(
+    { status: "running" },
+    { $set: { status: "interrupted", error: "backend restarted while the run was in progress" } }
+  );
+}
+
+module.exports = {
+  trackMigrationRun,
+  listMigrationRuns,
+  hasRunningMigration,
+  markInterruptedRuns,
+  MAX_NOTE_LENGTH,
+  MAX_HISTORY_LIMIT
+};
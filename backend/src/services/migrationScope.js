@@ -0,0 +1,163 @@
+// File flow:
+// - We validate a migration scope (restaurant names, a `created_at` range, order ids) coming from the API.
+// - We turn it into row filters for the SQL snapshot and into the matching Mongo filters, so a scoped migration
+//   reads and replaces exactly the same slice on both sides.
+// - Orders must match every criterion that is given. Named restaurants are re-migrated as well (menu included).
+//   The people an order references (customer and rider) travel with it, like in the outbox.
+
+const MAX_SCOPE_LIST = 1000;
+
+function badRequest(message) {
+  const e = new Error(message);
+  e.status = 400;
+  return e;
+}
+
+function parseDate(value, name) {
+  if ( value == null || value === "" ) {
+    return null;
+  }
+
+  const d = new Date(String(value));
+
+  if ( Number.isNaN(d.getTime()) ) {
+    throw badRequest(`scope.${name} must be a date`);
+  }
+
+  return d;
+}
+
+function parseList(value, name, parseItem) {
+  if ( value == null ) {
+    return null;
+  }
+
+  if ( !Array.isArray(value) || !value.length || value.length > MAX_SCOPE_LIST ) {
+    throw badRequest(`scope.${name} must be a list of 1 to ${MAX_SCOPE_LIST} entries`);
+  }
+
+  return Array.from(new Set(value.map(parseItem)));
+}
+
+function parseScope(raw) {
+  // Returns null when there is no scope (a normal migration of everything).
+  if ( raw == null ) {
+    return null;
+  }
+
+  if ( typeof raw !== "object" || Array.isArray(raw) ) {
+    throw badRequest("scope must be an object");
+  }
+
+  const scope = {
+    restaurantNames: parseList(raw.restaurantNames, "restaurantNames", function(v) {
+      if ( typeof v !== "string" || v.trim() === "" ) {
+        throw badRequest("scope.restaurantNames must only contain names");
+      }
+      return v.trim();
+    }),
+    from: parseDate(raw.from, "from"),
+    to: parseDate(raw.to, "to"),
+    orderIds: parseList(raw.orderIds, "orderIds", function(v) {
+      const n = Number(v);
+
+      if ( !Number.isInteger(n) || n <= 0 ) {
+        throw badRequest("scope.orderIds must only contain positive integers");
+      }
+      return n;
+    })
+  };
+
+  if ( !scope.restaurantNames && !scope.from && !scope.to && !scope.orderIds ) {
+    throw badRequest("scope needs at least one of restaurantNames, from, to, orderIds");
+  }
+
+  if ( scope.from && scope.to && scope.from >= scope.to ) {
+    throw badRequest("scope.from must be before scope.to");
+  }
+
+  return scope;
+}
+
+function orderCondition(scope) {
+  // One condition over `order o`, reused for the orders themselves and for the people they reference.
+  const where = [];
+  const params = [];
+
+  if ( scope.orderIds ) {
+    where.push("o.order_id IN (?)");
+    params.push(scope.orderIds);
+  }
+  if ( scope.from ) {
+    where.push("o.created_at >= ?");
+    params.push(scope.from);
+  }
+  if ( scope.to ) {
+    where.push("o.created_at < ?");
+    params.push(scope.to);
+  }
+  if ( scope.restaurantNames ) {
+    where.push("o.restaurant_id IN (SELECT restaurant_id FROM restaurant WHERE name IN (?))");
+    params.push(scope.restaurantNames);
+  }
+
+  return { sql: where.join(" AND "), params };
+}
+
+function scopeRowFilters(scope) {
+  // Row filters for `readSqlSnapshot` / `countSqlRows` (see `sqlSnapshot.js`).
+  const cond = orderCondition(scope);
+  const filters = {
+    people: {
+      where: `src.personId IN (
+        SELECT o.customer_id FROM \`order\` o WHERE ${cond.sql}
+        UNION
+        SELECT d.rider_id FROM delivery d JOIN \`order\` o ON o.order_id = d.order_id WHERE ${cond.sql}
+      )`,
+      params: cond.params.concat(cond.params)
+    },
+    orders: {
+      where: `src.orderId IN (SELECT o.order_id FROM \`order\` o WHERE ${cond.sql})`,
+      params: cond.params
+    }
+  };
+
+  if ( scope.restaurantNames ) {
+    filters.restaurants = { where: "src.name IN (?)", params: [scope.restaurantNames] };
+  }
+
+  return filters;
+}
+
+function scopeMongoFilters(scope) {
+  // The same slice in Mongo. Documents matching these but missing from SQL are removed by a scoped run;
+  // people are shared by many orders, so we only ever upsert them.
+  const orders = {};
+
+  if ( scope.orderIds ) {
+    orders.orderId = { $in: scope.orderIds };
+  }
+  if ( scope.from || scope.to ) {
+    orders.createdAt = {};
+
+    if ( scope.from ) {
+      orders.createdAt.$gte = scope.from;
+    }
+    if ( scope.to ) {
+      orders.createdAt.$lt = scope.to;
+    }
+  }
+  if ( scope.restaurantNames ) {
+    orders["restaurant.name"] = { $in: scope.restaurantNames };
+  }
+
+  const filters = { orders };
+
+  if ( scope.restaurantNames ) {
+    filters.restaurants = { name: { $in: scope.restaurantNames } };
+  }
+
+  return filters;
+}
+
+module.exports = { parseScope, orderCondition, scopeRowFilters, scopeMongoFilters };
@@ -0,0 +1,53 @@
+// File flow:
+// - The SQL write endpoints call `appendOrderEvent(conn, ...)` inside their `withTx`, so the event commits
+//   (or rolls back) together with the change it describes. No dual write: Mongo is never touched here.
+// - The event carries the complete documents as they look after the change, built with the mapping spec:
+//   the order and the people it references. Applying an event is a plain replace, which makes it idempotent.
+// - `outboxRelay.js` reads the pending events in order and projects them into Mongo.
+
+const { BSON } = require("mongodb");
+
+const { readDocumentsByKey } = require("./sqlSnapshot");
+
+const OUTBOX_EVENT_TYPES = ["order_placed", "order_paid", "delivery_assigned"];
+
+function referencedPersonIds(order) {
+  // The people documents travel with the order, so Mongo mode can resolve everyone the order mentions.
+  const ids = [];
+
+  if ( order.customer?.personId != null ) {
+    ids.push(order.customer.personId);
+  }
+  if ( order.delivery?.rider?.personId != null ) {
+    ids.push(order.delivery.rider.personId);
+  }
+
+  return ids;
+}
+
+async function appendOrderEvent(conn, eventType, orderId) {
+  if ( !OUTBOX_EVENT_TYPES.includes(eventType) ) {
+    throw new Error(`unknown outbox event type: ${eventType}`);
+  }
+
+  // We read through the transaction's own connection, so we see its uncommitted writes.
+  const orders = await readDocumentsByKey(conn, "orders", [orderId]);
+
+  if ( !orders.length ) {
+    throw new Error(`outbox: order ${orderId} not found`);
+  }
+
+  const people = await readDocumentsByKey(conn, "people", referencedPersonIds(orders[0]));
+
+  // Extended JSON keeps Dates as Dates when the relay parses the payload again.
+  await conn.query(
+    "INSERT INTO outbox (event_type, aggregate_id, payload, created_at) VALUES (?, ?, ?, ?)",
+    [eventType, orderId, BSON.EJSON.stringify({ documents: { orders, people } }), new Date()]
+  );
+}
+
+function parseOutboxPayload(payload) {
+  return BSON.EJSON.parse(payload);
+}
+
+module.exports = { appendOrderEvent, parseOutboxPayload, OUTBOX_EVENT_TYPES };
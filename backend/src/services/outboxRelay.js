@@ -0,0 +1,263 @@
+// File flow:
+// - We poll the SQL `outbox` table for pending events (oldest first) and project each into Mongo.
+// - Applying an event replaces the order/people documents it carries (upsert by key), so applying it twice
+//   gives the same result. An event is only marked processed after Mongo accepted it: at-least-once delivery.
+// - If an event fails we record the error and stop the batch, so later events never overtake it; it is retried
+//   on the next poll.
+// - Orders placed in Mongo mode (`origin: "mongo"`) are unknown to SQL, so we never replace them. An event that
+//   carries a document with such an id is marked processed with the clash in `last_error`, instead of blocking
+//   every later event.
+// - While a migration runs we wait: a full migration swaps whole collections and would drop what we wrote.
+// - Without a read model yet (no migration marker) we mark events processed without writing; the first
+//   snapshot contains their changes anyway.
+
+const { withConn } = require("../db/mariadb");
+const { getMongo } = require("../db/mongodb");
+const { config } = require("../config");
+const { MONGO_ORIGIN } = require("../db/mongoSchemas");
+const { parseOutboxPayload } = require("./outbox");
+const { hasRunningMigration } = require("./migrationRuns");
+const { isMigrationLocked } = require("./migrationLock");
+const { COLLECTION_KEYS } = require("./migrateSqlToMongo");
+
+// `last_error` is a VARCHAR(500).
+const MAX_ERROR_LENGTH = 500;
+
+const relay = {
+  timer: null,
+  busy: false,
+  lastRunAt: null,
+  lastError: null,
+  applied: 0,
+  skipped: 0,
+  conflicts: 0
+};
+
+function keyOf(collection) {
+  const entry = COLLECTION_KEYS.find(function(c) {
+    return c.collection === collection;
+  });
+
+  if ( !entry ) {
+    throw new Error(`outbox event targets an unknown collection: ${collection}`);
+  }
+
+  return entry.key;
+}
+
+async function applyEvent(db, event) {
+  // Returns the documents we kept out because Mongo holds a Mongo-mode document with the same key.
+  const { documents } = parseOutboxPayload(event.payload);
+  const conflicts = [];
+
+  for ( const collection of Object.keys(documents) ) {
+    const key = keyOf(collection);
+    const keys = documents[collection].map(function(doc) {
+      return doc[key];
+    });
+    const mongoOwned = await db
+      .collection(collection)
+      .find({ [key]: { $in: keys }, origin: MONGO_ORIGIN }, { projection: { _id: 0, [key]: 1 } })
+      .toArray();
+    const ownedKeys = new Set(mongoOwned.map(function(d) {
+      return d[key];
+    }));
+
+    for ( const k of ownedKeys ) {
+      conflicts.push(`${collection} ${key} ${k}`);
+    }
+
+    // The filter skips Mongo-mode documents as well: one placed since the lookup makes the upsert fail on the
+    // unique key, so the event is retried and reported as a conflict on the next poll.
+    const ops = documents[collection].filter(function(doc) {
+      return !ownedKeys.has(doc[key]);
+    }).map(function(doc) {
+      return {
+        replaceOne: { filter: { [key]: doc[key], origin: { $ne: MONGO_ORIGIN } }, replacement: doc, upsert: true }
+      };
+    });
+
+    if ( ops.length ) {
+      await db.collection(collection).bulkWrite(ops, { ordered: true });
+    }
+  }
+
+  return conflicts;
+}
+
+async function markProcessed(eventId, note) {
+  // `note` stays in `last_error` of a processed event (a conflict we did not apply), null otherwise.
+  await withConn(function(conn) {
+    return conn.query("UPDATE outbox SET processed_at = ?, attempts = attempts + 1, last_error = ? WHERE event_id = ?", [
+      new Date(),
+      note,
+      eventId
+    ]);
+  });
+}
+
+async function markFailed(eventId, e) {
+  let message;
+
+  if ( e.message ) {
+    message = String(e.message).slice(0, MAX_ERROR_LENGTH);
+  } 
+  else {
+    message = "internal error";
+  }
+
+  await withConn(function(conn) {
+    return conn.query("UPDATE outbox SET attempts = attempts + 1, last_error = ? WHERE event_id = ?", [message, eventId]);
+  });
+
+  return message;
+}
+
+async function relayOutboxOnce() {
+  // One poll: at most `config.outbox.batchSize` events, strictly in event_id order.
+  const out = { applied: 0, skipped: 0, conflicts: 0, failed: null, waiting: false };
+
+  if ( isMigrationLocked() || await hasRunningMigration() ) {
+    out.waiting = true;
+    return out;
+  }
+
+  const events = await withConn(function(conn) {
+    return conn.query(
+      `
+      SELECT event_id AS eventId, event_type AS eventType, payload
+      FROM outbox
+      WHERE processed_at IS NULL
+      ORDER BY event_id
+      LIMIT ?
+      `,
+      [config.outbox.batchSize]
+    );
+  });
+
+  if ( !events.length ) {
+    return out;
+  }
+
+  const { db } = await getMongo();
+  const marker = await db.collection("meta").findOne({ _id: "migration" }, { projection: { _id: 1 } });
+
+  for ( const event of events ) {
+    let conflicts = [];
+
+    try {
+      if ( marker ) {
+        conflicts = await applyEvent(db, event);
+      }
+
+      if ( conflicts.length ) {
+        await markProcessed(
+          event.eventId,
+          `conflict: kept ${conflicts.join(", ")} (created in Mongo mode)`.slice(0, MAX_ERROR_LENGTH)
+        );
+      } 
+      else {
+        await markProcessed(event.eventId, null);
+      }
+    } 
+    catch (e) {
+      out.failed = { eventId: Number(event.eventId), error: await markFailed(event.eventId, e) };
+      break;
+    }
+
+    // Each processed event lands in exactly one of the three counts.
+    if ( !marker ) {
+      out.skipped++;
+    } 
+    else if ( conflicts.length ) {
+      out.conflicts++;
+    } 
+    else {
+      out.applied++;
+    }
+  }
+
+  return out;
+}
+
+function scheduleNextPoll() {
+  relay.timer = setTimeout(pollOutbox, config.outbox.pollMs);
+}
+
+async function pollOutbox() {
+  relay.busy = true;
+
+  try {
+    const result = await relayOutboxOnce();
+    relay.applied += result.applied;
+    relay.skipped += result.skipped;
+    relay.conflicts += result.conflicts;
+
+    if ( result.failed ) {
+      relay.lastError = `event ${result.failed.eventId}: ${result.failed.error}`;
+    } 
+    else {
+      relay.lastError = null;
+    }
+  } 
+  catch (e) {
+    // E.g. MariaDB or MongoDB is briefly unreachable; we keep polling.
+    relay.lastError = e.message;
+  } 
+  finally {
+    relay.busy = false;
+    relay.lastRunAt = new Date();
+  }
+
+  if ( relay.timer ) {
+    scheduleNextPoll();
+  }
+}
+
+function startOutboxRelay() {
+  if ( !config.outbox.relayEnabled || relay.timer ) {
+    return;
+  }
+  scheduleNextPoll();
+}
+
+function stopOutboxRelay() {
+  clearTimeout(relay.timer);
+  relay.timer = null;
+}
+
+async function outboxStatus() {
+  const rows = await withConn(function(conn) {
+    return conn.query(
+      `
+      SELECT
+        SUM(processed_at IS NULL) AS pending,
+        SUM(processed_at IS NULL AND last_error IS NOT NULL) AS failing,
+        SUM(processed_at IS NOT NULL) AS processed,
+        SUM(processed_at IS NOT NULL AND last_error IS NOT NULL) AS conflicts,
+        MIN(CASE WHEN processed_at IS NULL THEN created_at END) AS oldestPendingAt
+      FROM outbox
+      `
+    );
+  });
+
+  return {
+    relay: {
+      enabled: config.outbox.relayEnabled,
+      running: relay.timer != null,
+      busy: relay.busy,
+      lastRunAt: relay.lastRunAt,
+      lastError: relay.lastError,
+      applied: relay.applied,
+      skipped: relay.skipped,
+      conflicts: relay.conflicts
+    },
+    pending: Number(rows[0].pending || 0),
+    failing: Number(rows[0].failing || 0),
+    processed: Number(rows[0].processed || 0),
+    conflicts: Number(rows[0].conflicts || 0),
+    oldestPendingAt: rows[0].oldestPendingAt
+  };
+}
+
+module.exports = { startOutboxRelay, stopOutboxRelay, relayOutboxOnce, outboxStatus };
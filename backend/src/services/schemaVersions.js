@@ -0,0 +1,257 @@
+// File flow:
+// - Every Mongo document carries a `schemaVersion`; documents written before versioning count as version 0.
+// - We keep a registry of upgrade steps per collection; step N takes a document from version N to N + 1,
+//   so the latest version of a collection is simply the number of steps it has.
+// - Readers call `upgradeDocument` on what they load, so old documents are served in the latest shape
+//   without a migration (lazy upgrade on read). Writers stamp `latestSchemaVersion(collection)`.
+// - `upgradeAllDocuments` rewrites every outdated document in place, for when we want the stored data current.
+// - A new document shape means: change the writers and the mapping spec, then append one step here.
+
+const { getMongo } = require("../db/mongodb");
+const { sameDocument } = require("../utils/canonical");
+
+const DEFAULT_UPGRADE_BATCH_SIZE = 500;
+
+const SCHEMA_UPGRADES = {
+  restaurants: [
+    {
+      from: 0,
+      description: "restaurants embed their menu",
+      upgrade: function(doc) {
+        // Restaurants migrated before menus were embedded get an empty menu until the next migration.
+        if ( Array.isArray(doc.menu) ) {
+          return doc;
+        }
+        return { ...doc, menu: [] };
+      }
+    }
+  ],
+  people: [
+    {
+      from: 0,
+      description: "riders list the restaurants they work for",
+      upgrade: function(doc) {
+        if ( !doc.rider || Array.isArray(doc.rider.worksFor) ) {
+          return doc;
+        }
+        return { ...doc, rider: { ...doc.rider, worksFor: [] } };
+      }
+    }
+  ],
+  orders: [
+    {
+      from: 0,
+      description: "payment and delivery are always present (null until they happen)",
+      upgrade: function(doc) {
+        if ( doc.payment !== undefined && doc.delivery !== undefined ) {
+          return doc;
+        }
+        return {
+          ...doc,
+          payment: function() {
+            if ( doc.payment === undefined ) {
+              return null;
+            } 
+            else {
+              return doc.payment;
+            }
+          }(),
+          delivery: function() {
+            if ( doc.delivery === undefined ) {
+              return null;
+            } 
+            else {
+              return doc.delivery;
+            }
+          }()
+        };
+      }
+    }
+  ]
+};
+
+function stepsFor(collection) {
+  const steps = SCHEMA_UPGRADES[collection];
+
+  if ( !steps ) {
+    throw new Error(`no schema versions registered for collection: ${collection}`);
+  }
+
+  return steps;
+}
+
+function latestSchemaVersion(collection) {
+  return stepsFor(collection).length;
+}
+
+function schemaVersionOf(doc) {
+  if ( Number.isInteger(doc?.schemaVersion) ) {
+    return doc.schemaVersion;
+  }
+  return 0;
+}
+
+function upgradeDocument(collection, doc) {
+  // We return the same object when nothing changes, so callers can cheaply tell if an upgrade happened.
+  const steps = stepsFor(collection);
+  let out = doc;
+
+  if ( !doc ) {
+    return doc;
+  }
+
+  // A version newer than ours was written by a newer backend; we serve it as it is.
+  for ( let v = schemaVersionOf(doc); v < steps.length; v++ ) {
+    out = { ...steps[v].upgrade(out), schemaVersion: v + 1 };
+  }
+
+  return out;
+}
+
+function upgradeDocuments(collection, docs) {
+  return docs.map(function(doc) {
+    return upgradeDocument(collection, doc);
+  });
+}
+
+function describeSchemaVersions() {
+  const out = {};
+
+  for ( const collection of Object.keys(SCHEMA_UPGRADES) ) {
+    out[collection] = {
+      latest: latestSchemaVersion(collection),
+      upgrades: SCHEMA_UPGRADES[collection].map(function(step) {
+        return { from: step.from, to: step.from + 1, description: step.description };
+      })
+    };
+  }
+
+  return out;
+}
+
+function outdatedFilter(collection) {
+  // `$not: { $gte }` also matches documents without a schemaVersion field.
+  return { schemaVersion: { $not: { $gte: latestSchemaVersion(collection) } } };
+}
+
+function upgradeUpdate(original, upgraded) {
+  // We only $set/$unset the top-level fields the upgrade touched, so a concurrent write to
+  // another field (e.g. a delivery assignment) is not overwritten with the stale copy we read.
+  const $set = {};
+  const $unset = {};
+
+  for ( const k of Object.keys(upgraded) ) {
+    if ( k === "_id" ) {
+      continue;
+    }
+    if ( !(k in original) || !sameDocument({ v: original[k] }, { v: upgraded[k] }) ) {
+      $set[k] = upgraded[k];
+    }
+  }
+
+  for ( const k of Object.keys(original) ) {
+    if ( !(k in upgraded) ) {
+      $unset[k] = "";
+    }
+  }
+
+  const update = { $set };
+
+  if ( Object.keys($unset).length ) {
+    update.$unset = $unset;
+  }
+
+  return update;
+}
+
+function storedVersionFilter(doc) {
+  if ( doc.schemaVersion === undefined ) {
+    return { $exists: false };
+  }
+  return doc.schemaVersion;
+}
+
+async function countSchemaVersions() {
+  // Per collection: how many documents sit at each version, and how many are behind the latest.
+  const { db } = await getMongo();
+  const out = {};
+
+  for ( const collection of Object.keys(SCHEMA_UPGRADES) ) {
+    const latest = latestSchemaVersion(collection);
+    const groups = await db.collection(collection).aggregate([
+      { $group: { _id: { $ifNull: ["$schemaVersion", 0] }, n: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]).toArray();
+
+    const versions = {};
+    let outdated = 0;
+
+    for ( const g of groups ) {
+      versions[String(g._id)] = g.n;
+
+      if ( g._id < latest ) {
+        outdated += g.n;
+      }
+    }
+
+    out[collection] = { latest, versions, outdated };
+  }
+
+  return out;
+}
+
+async function upgradeAllDocuments(options) {
+  // We walk only outdated documents and write them back in bulk, one batch at a time.
+  let batchSize = DEFAULT_UPGRADE_BATCH_SIZE;
+
+  if ( options?.batchSize != null ) {
+    batchSize = options.batchSize;
+  }
+
+  const { db } = await getMongo();
+  const out = {};
+
+  for ( const collection of Object.keys(SCHEMA_UPGRADES) ) {
+    const coll = db.collection(collection);
+    const cursor = coll.find(outdatedFilter(collection));
+    let ops = [];
+    let upgraded = 0;
+
+    const flush = async function() {
+      if ( ops.length ) {
+        const result = await coll.bulkWrite(ops, { ordered: false });
+        upgraded += result.modifiedCount;
+        ops = [];
+      }
+    };
+
+    for await ( const doc of cursor ) {
+      // The version in the filter makes each write a no-op if someone upgraded the document meanwhile.
+      ops.push({
+        updateOne: {
+          filter: { _id: doc._id, schemaVersion: storedVersionFilter(doc) },
+          update: upgradeUpdate(doc, upgradeDocument(collection, doc))
+        }
+      });
+
+      if ( ops.length >= batchSize ) {
+        await flush();
+      }
+    }
+
+    await flush();
+
+    out[collection] = { latest: latestSchemaVersion(collection), upgraded };
+  }
+
+  return out;
+}
+
+module.exports = {
+  latestSchemaVersion,
+  upgradeDocument,
+  upgradeDocuments,
+  describeSchemaVersions,
+  countSchemaVersions,
+  upgradeAllDocuments
+};
@@ -0,0 +1,328 @@
+// File flow:
+// - Export: we stream the transformed snapshot from `readSqlSnapshot()` into one JSONL file per collection
+//   (`restaurants.jsonl`, `people.jsonl`, `orders.jsonl`, one Extended JSON document per line) and write a
+//   `manifest.json` with the document count and the SHA-256 of every file.
+// - A bundle is written into `<id>.partial` and renamed when complete, so a half-written export is never listed.
+// - Import: we check the manifest (counts + checksums) first, then hand the bundle to `migrateSqlToMongo()` as its
+//   document source. Full/incremental mode, staging + swap, the backup, the marker and the history all behave
+//   exactly like a migration from SQL; the run is recorded with direction `bundle_to_mongo`.
+// - Documents written by an older schema version are upgraded on the way in (see `schemaVersions.js`).
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { once } = require("events");
+const { BSON } = require("mongodb");
+
+const { config } = require("../config");
+const { readSqlSnapshot, resolveBatchSize } = require("./sqlSnapshot");
+const { DEFAULT_MAPPING_SPEC } = require("./mappingSpec");
+const { latestSchemaVersion, upgradeDocuments } = require("./schemaVersions");
+const { migrateSqlToMongo, previewMigration } = require("./migrateSqlToMongo");
+
+const BUNDLE_FORMAT = "ms2-snapshot-bundle";
+const BUNDLE_FORMAT_VERSION = 1;
+const MANIFEST_FILE = "manifest.json";
+const PARTIAL_SUFFIX = ".partial";
+
+// Bundle ids end up in file paths, so they may only contain these characters.
+const BUNDLE_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+const BUNDLE_COLLECTIONS = DEFAULT_MAPPING_SPEC.collections.map(function(c) {
+  return c.collection;
+});
+
+function badRequest(message) {
+  const e = new Error(message);
+  e.status = 400;
+  return e;
+}
+
+function notFound(message) {
+  const e = new Error(message);
+  e.status = 404;
+  return e;
+}
+
+function newBundleId() {
+  // Same compact UTC timestamp as the backups, e.g. 20260118T120000123Z.
+  return new Date().toISOString().replace(/[-:.]/g, "");
+}
+
+function bundleDir(bundleId) {
+  return path.resolve(config.migration.bundleDir, bundleId);
+}
+
+function fileName(collection) {
+  return `${collection}.jsonl`;
+}
+
+function toLine(doc) {
+  // Relaxed Extended JSON stays readable (plain numbers) and still brings Dates back as Dates.
+  return `${BSON.EJSON.stringify(doc)}\n`;
+}
+
+async function writeChunk(stream, chunk) {
+  // I respect back-pressure so a large export never buffers the whole collection in memory.
+  if ( !stream.write(chunk) ) {
+    await once(stream, "drain");
+  }
+}
+
+async function closeStream(stream) {
+  stream.end();
+  await once(stream, "finish");
+}
+
+async function exportSnapshotBundle(options) {
+  const bundleId = newBundleId();
+  const finalDir = bundleDir(bundleId);
+  const partialDir = `${finalDir}${PARTIAL_SUFFIX}`;
+
+  await fs.promises.mkdir(partialDir, { recursive: true });
+
+  const files = {};
+
+  for ( const collection of BUNDLE_COLLECTIONS ) {
+    files[collection] = {
+      stream: fs.createWriteStream(path.join(partialDir, fileName(collection))),
+      hash: crypto.createHash("sha256"),
+      count: 0
+    };
+  }
+
+  try {
+    await readSqlSnapshot(options, async function(collection, docs) {
+      const file = files[collection];
+      const chunk = docs.map(toLine).join("");
+
+      file.hash.update(chunk);
+      file.count += docs.length;
+      await writeChunk(file.stream, chunk);
+    });
+
+    for ( const collection of BUNDLE_COLLECTIONS ) {
+      await closeStream(files[collection].stream);
+    }
+  } 
+  catch (e) {
+    for ( const collection of BUNDLE_COLLECTIONS ) {
+      files[collection].stream.destroy();
+    }
+    await fs.promises.rm(partialDir, { recursive: true, force: true });
+    throw e;
+  }
+
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    formatVersion: BUNDLE_FORMAT_VERSION,
+    bundleId,
+    createdAt: new Date().toISOString(),
+    source: "mariadb",
+    collections: {}
+  };
+
+  for ( const collection of BUNDLE_COLLECTIONS ) {
+    manifest.collections[collection] = {
+      file: fileName(collection),
+      count: files[collection].count,
+      sha256: files[collection].hash.digest("hex"),
+      schemaVersion: latestSchemaVersion(collection)
+    };
+  }
+
+  await fs.promises.writeFile(path.join(partialDir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+  await fs.promises.rename(partialDir, finalDir);
+
+  return manifest;
+}
+
+function checkManifest(manifest, bundleId) {
+  // A bundle may come from someone else's machine, so I check its shape before trusting any of it.
+  if ( manifest?.format !== BUNDLE_FORMAT || manifest.formatVersion !== BUNDLE_FORMAT_VERSION ) {
+    throw badRequest(`bundle ${bundleId} is not a ${BUNDLE_FORMAT} version ${BUNDLE_FORMAT_VERSION}`);
+  }
+
+  for ( const collection of BUNDLE_COLLECTIONS ) {
+    const entry = manifest.collections?.[collection];
+
+    if ( !entry || entry.file !== fileName(collection) || !Number.isInteger(entry.count) || entry.count < 0 ) {
+      throw badRequest(`bundle ${bundleId}: manifest entry for ${collection} is missing or invalid`);
+    }
+
+    // Older documents can be upgraded on import, newer ones were written by a newer backend than this one.
+    if ( entry.schemaVersion > latestSchemaVersion(collection) ) {
+      throw badRequest(
+        `bundle ${bundleId}: ${collection} is at schema version ${entry.schemaVersion}, ` +
+        `this backend only knows up to ${latestSchemaVersion(collection)}`
+      );
+    }
+  }
+}
+
+async function readManifest(bundleId) {
+  if ( !BUNDLE_ID_PATTERN.test(bundleId) ) {
+    throw badRequest("bundleId may only contain letters, digits, '-' and '_'");
+  }
+
+  let raw;
+
+  try {
+    raw = await fs.promises.readFile(path.join(bundleDir(bundleId), MANIFEST_FILE), "utf8");
+  } 
+  catch (e) {
+    if ( e.code === "ENOENT" ) {
+      throw notFound(`bundle not found: ${bundleId}`);
+    }
+    throw e;
+  }
+
+  let manifest;
+
+  try {
+    manifest = JSON.parse(raw);
+  } 
+  catch (e) {
+    throw badRequest(`bundle ${bundleId}: manifest.json is not valid JSON`);
+  }
+
+  checkManifest(manifest, bundleId);
+
+  // The directory name is what the files are read from, even if someone renamed the bundle when sharing it.
+  manifest.bundleId = bundleId;
+  return manifest;
+}
+
+async function listBundles() {
+  // Newest first. Directories without a readable manifest (or still `.partial`) are not bundles.
+  let entries;
+
+  try {
+    entries = await fs.promises.readdir(path.resolve(config.migration.bundleDir), { withFileTypes: true });
+  } 
+  catch (e) {
+    if ( e.code === "ENOENT" ) {
+      return [];
+    }
+    throw e;
+  }
+
+  const bundles = [];
+
+  for ( const entry of entries ) {
+    if ( !entry.isDirectory() || !BUNDLE_ID_PATTERN.test(entry.name) ) {
+      continue;
+    }
+
+    try {
+      bundles.push(await readManifest(entry.name));
+    } 
+    catch (e) {
+      if ( !e.status ) {
+        throw e;
+      }
+    }
+  }
+
+  return bundles.sort(function(a, b) {
+    return String(b.createdAt).localeCompare(String(a.createdAt));
+  });
+}
+
+function bundleLines(bundleId, collection) {
+  const input = fs.createReadStream(path.join(bundleDir(bundleId), fileName(collection)));
+  return readline.createInterface({ input, crlfDelay: Infinity });
+}
+
+async function verifyBundle(manifest) {
+  // I hash each file as it is on disk and count its lines; nothing is written before both match the manifest.
+  for ( const collection of BUNDLE_COLLECTIONS ) {
+    const entry = manifest.collections[collection];
+    const hash = crypto.createHash("sha256");
+    let count = 0;
+
+    try {
+      for await ( const line of bundleLines(manifest.bundleId, collection) ) {
+        hash.update(`${line}\n`);
+        count++;
+      }
+    } 
+    catch (e) {
+      if ( e.code === "ENOENT" ) {
+        throw badRequest(`bundle ${manifest.bundleId}: ${entry.file} is missing`);
+      }
+      throw e;
+    }
+
+    if ( count !== entry.count ) {
+      throw badRequest(`bundle ${manifest.bundleId}: ${entry.file} has ${count} documents, the manifest says ${entry.count}`);
+    }
+
+    if ( hash.digest("hex") !== entry.sha256 ) {
+      throw badRequest(`bundle ${manifest.bundleId}: checksum mismatch for ${entry.file}`);
+    }
+  }
+}
+
+function bundleSource(manifest) {
+  // The same reader interface as the SQL snapshot (see `SQL_SOURCE` in `migrateSqlToMongo.js`).
+  return {
+    name: `bundle:${manifest.bundleId}`,
+    direction: "bundle_to_mongo",
+    count: async function() {
+      const out = {};
+
+      for ( const collection of BUNDLE_COLLECTIONS ) {
+        out[collection] = manifest.collections[collection].count;
+      }
+
+      return out;
+    },
+    read: async function(options, onBatch) {
+      const batchSize = resolveBatchSize(options?.batchSize);
+
+      for ( const collection of BUNDLE_COLLECTIONS ) {
+        let batch = [];
+        let lineNo = 0;
+
+        for await ( const line of bundleLines(manifest.bundleId, collection) ) {
+          lineNo++;
+
+          try {
+            batch.push(BSON.EJSON.parse(line));
+          } 
+          catch (e) {
+            throw badRequest(`bundle ${manifest.bundleId}: ${fileName(collection)} line ${lineNo} is not valid Extended JSON`);
+          }
+
+          if ( batch.length >= batchSize ) {
+            await onBatch(collection, upgradeDocuments(collection, batch));
+            batch = [];
+          }
+        }
+
+        if ( batch.length ) {
+          await onBatch(collection, upgradeDocuments(collection, batch));
+        }
+      }
+    }
+  };
+}
+
+async function importSnapshotBundle(bundleId, options) {
+  // `options` are the usual migration options (mode, batchSize, note, onProgress).
+  const manifest = await readManifest(bundleId);
+  await verifyBundle(manifest);
+
+  return migrateSqlToMongo({ ...options, source: bundleSource(manifest) });
+}
+
+async function previewSnapshotBundle(bundleId, options) {
+  const manifest = await readManifest(bundleId);
+  await verifyBundle(manifest);
+
+  return previewMigration({ ...options, source: bundleSource(manifest) });
+}
+
+module.exports = { exportSnapshotBundle, listBundles, readManifest, importSnapshotBundle, previewSnapshotBundle };
@@ -0,0 +1,245 @@
+// File flow:
+// - Before a migration we look for source rows the snapshot would turn into quietly broken documents:
+//   orders whose restaurant, customer, rider or menu items are missing (they become `null` snapshots),
+//   payments whose amount differs from the order total, order totals that are not the sum of their item lines,
+//   and deliveries whose rider / assignedAt / status do not fit together.
+// - Every problem is tied to an order, so the migration can skip exactly those orders (`excludeKeys`).
+// - The policy decides what a migration does with them: `abort` (nothing is written), `skip` (the affected orders
+//   are left out) or `warn` (everything is migrated and the report goes into the result).
+// - With a scope only the scoped orders are checked, using the same condition as the scoped read.
+
+const { withConn } = require("../db/mariadb");
+const { toJsonSafeNumber, toMoneyString } = require("../utils/json");
+const { orderCondition } = require("./migrationScope");
+
+const INTEGRITY_POLICIES = ["abort", "skip", "warn"];
+
+// Same cap as the verify report; counts stay complete.
+const INTEGRITY_LIST_LIMIT = 200;
+
+// A delivery in this status has not been handed to a rider yet (see the demo data in `importReset.js`).
+const UNASSIGNED_DELIVERY_STATUS = "created";
+
+function scopeCondition(scope) {
+  // An extra `AND ...` over the `order o` alias, or nothing without a scope.
+  if ( !scope ) {
+    return { sql: "", params: [] };
+  }
+
+  const cond = orderCondition(scope);
+  return { sql: ` AND ${cond.sql}`, params: cond.params };
+}
+
+async function findMissingReferences(conn, cond) {
+  const rows = await conn.query(
+    `
+    SELECT
+      o.order_id AS orderId,
+      r.restaurant_id IS NULL AS missingRestaurant,
+      c.person_id IS NULL AS missingCustomer,
+      d.rider_id IS NOT NULL AND rp.person_id IS NULL AS missingRider
+    FROM \`order\` o
+    LEFT JOIN restaurant r ON r.restaurant_id = o.restaurant_id
+    LEFT JOIN person c ON c.person_id = o.customer_id
+    LEFT JOIN delivery d ON d.order_id = o.order_id
+    LEFT JOIN person rp ON rp.person_id = d.rider_id
+    WHERE (r.restaurant_id IS NULL OR c.person_id IS NULL OR (d.rider_id IS NOT NULL AND rp.person_id IS NULL))${cond.sql}
+    ORDER BY o.order_id
+    `,
+    cond.params
+  );
+
+  const itemRows = await conn.query(
+    `
+    SELECT oi.order_id AS orderId, COUNT(*) AS missingItems
+    FROM order_item oi
+    JOIN \`order\` o ON o.order_id = oi.order_id
+    LEFT JOIN menu_item m ON m.menu_item_id = oi.menu_item_id
+    WHERE m.menu_item_id IS NULL${cond.sql}
+    GROUP BY oi.order_id
+    ORDER BY oi.order_id
+    `,
+    cond.params
+  );
+
+  // One entry per order, listing everything it points at that does not exist.
+  const byOrder = new Map();
+
+  function entryFor(orderId) {
+    const id = toJsonSafeNumber(orderId, "orderId");
+
+    if ( !byOrder.has(id) ) {
+      byOrder.set(id, { orderId: id, missing: [] });
+    }
+    return byOrder.get(id);
+  }
+
+  for ( const row of rows ) {
+    const entry = entryFor(row.orderId);
+
+    if ( Number(row.missingRestaurant) ) {
+      entry.missing.push("restaurant");
+    }
+    if ( Number(row.missingCustomer) ) {
+      entry.missing.push("customer");
+    }
+    if ( Number(row.missingRider) ) {
+      entry.missing.push("rider");
+    }
+  }
+
+  for ( const row of itemRows ) {
+    entryFor(row.orderId).missing.push(`menu items (${toJsonSafeNumber(row.missingItems, "missingItems")})`);
+  }
+
+  return Array.from(byOrder.values()).sort(function(a, b) {
+    return a.orderId - b.orderId;
+  });
+}
+
+async function findPaymentMismatches(conn, cond) {
+  const rows = await conn.query(
+    `
+    SELECT o.order_id AS orderId, pay.payment_id AS paymentId, pay.amount AS amount, o.total_amount AS totalAmount
+    FROM \`order\` o
+    JOIN payment pay ON pay.order_id = o.order_id
+    WHERE pay.amount <> o.total_amount${cond.sql}
+    ORDER BY o.order_id
+    `,
+    cond.params
+  );
+
+  return rows.map(function(row) {
+    return {
+      orderId: toJsonSafeNumber(row.orderId, "orderId"),
+      paymentId: toJsonSafeNumber(row.paymentId, "paymentId"),
+      amount: toMoneyString(row.amount, "amount"),
+      totalAmount: toMoneyString(row.totalAmount, "totalAmount")
+    };
+  });
+}
+
+async function findTotalMismatches(conn, cond) {
+  // DECIMAL arithmetic in SQL, so there is no float rounding to tolerate.
+  const rows = await conn.query(
+    `
+    SELECT o.order_id AS orderId, o.total_amount AS totalAmount, COALESCE(SUM(oi.quantity * oi.unit_price), 0) AS itemsTotal
+    FROM \`order\` o
+    LEFT JOIN order_item oi ON oi.order_id = o.order_id
+    WHERE 1 = 1${cond.sql}
+    GROUP BY o.order_id, o.total_amount
+    HAVING COALESCE(SUM(oi.quantity * oi.unit_price), 0) <> o.total_amount
+    ORDER BY o.order_id
+    `,
+    cond.params
+  );
+
+  return rows.map(function(row) {
+    return {
+      orderId: toJsonSafeNumber(row.orderId, "orderId"),
+      totalAmount: toMoneyString(row.totalAmount, "totalAmount"),
+      itemsTotal: toMoneyString(row.itemsTotal, "itemsTotal")
+    };
+  });
+}
+
+function deliveryIssues(row) {
+  const issues = [];
+
+  if ( row.riderId == null && row.deliveryStatus !== UNASSIGNED_DELIVERY_STATUS ) {
+    issues.push(`status "${row.deliveryStatus}" without a rider`);
+  }
+  if ( row.riderId == null && row.assignedAt != null ) {
+    issues.push("assignedAt without a rider");
+  }
+  if ( row.riderId != null && row.assignedAt == null ) {
+    issues.push("rider without assignedAt");
+  }
+  if ( row.assignedAt != null && row.assignedAt < row.createdAt ) {
+    issues.push("assigned before the order was created");
+  }
+
+  return issues;
+}
+
+async function findDeliveryIssues(conn, cond) {
+  const rows = await conn.query(
+    `
+    SELECT
+      d.order_id AS orderId,
+      d.delivery_id AS deliveryId,
+      d.rider_id AS riderId,
+      d.assigned_at AS assignedAt,
+      d.delivery_status AS deliveryStatus,
+      o.created_at AS createdAt
+    FROM delivery d
+    JOIN \`order\` o ON o.order_id = d.order_id
+    WHERE (
+      (d.rider_id IS NULL AND (d.delivery_status <> ? OR d.assigned_at IS NOT NULL))
+      OR (d.rider_id IS NOT NULL AND d.assigned_at IS NULL)
+      OR d.assigned_at < o.created_at
+    )${cond.sql}
+    ORDER BY d.order_id
+    `,
+    [UNASSIGNED_DELIVERY_STATUS, ...cond.params]
+  );
+
+  return rows.map(function(row) {
+    return {
+      orderId: toJsonSafeNumber(row.orderId, "orderId"),
+      deliveryId: toJsonSafeNumber(row.deliveryId, "deliveryId"),
+      deliveryStatus: row.deliveryStatus,
+      issues: deliveryIssues(row)
+    };
+  });
+}
+
+async function checkSqlIntegrity(options) {
+  // Returns the full report (lists capped, counts complete) and every affected order id for `skip`.
+  const cond = scopeCondition(options?.scope);
+
+  const found = await withConn(async function(conn) {
+    return {
+      missingReferences: await findMissingReferences(conn, cond),
+      paymentMismatches: await findPaymentMismatches(conn, cond),
+      totalMismatches: await findTotalMismatches(conn, cond),
+      deliveryIssues: await findDeliveryIssues(conn, cond)
+    };
+  });
+
+  const affected = new Set();
+  const report = { checkedAt: new Date(), passed: true, counts: {}, affectedOrders: 0, truncated: false };
+
+  for ( const name of Object.keys(found) ) {
+    report.counts[name] = found[name].length;
+    report[name] = found[name].slice(0, INTEGRITY_LIST_LIMIT);
+
+    if ( found[name].length > INTEGRITY_LIST_LIMIT ) {
+      report.truncated = true;
+    }
+
+    for ( const entry of found[name] ) {
+      affected.add(entry.orderId);
+    }
+  }
+
+  report.affectedOrders = affected.size;
+  report.passed = affected.size === 0;
+
+  const affectedOrderIds = Array.from(affected).sort(function(a, b) {
+    return a - b;
+  });
+
+  return { report, affectedOrderIds };
+}
+
+function describeProblems(report) {
+  // A one-line summary for errors and logs, e.g. "2 missingReferences, 1 totalMismatches".
+  return Object.keys(report.counts).filter(function(name) {
+    return report.counts[name] > 0;
+  }).map(function(name) {
+    return `${report.counts[name]} ${name}`;
+  }).join(", ");
+}
+
+module.exports = { checkSqlIntegrity, describeProblems, INTEGRITY_POLICIES };
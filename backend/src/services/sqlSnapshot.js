@@ -0,0 +1,323 @@
+// File flow:
+// - I read the SQL tables with MariaDB query streams, driven by a mapping spec (see `mappingSpec.js`).
+// - Rows are grouped into bounded batches; for each batch I run the spec's lookups (one `IN (?)` query each,
+//   on a second connection) and build the documents field by field, so memory stays flat no matter how big SQL is.
+// - Callers get `onBatch(collection, docs)` calls in spec order (by default: restaurants, people, orders).
+// - `options.rowFilters` narrows the read to a slice: `{ [collection]: { where, params } }` filters the source rows
+//   (columns as the source query names them, under the alias `src`); collections without an entry are skipped.
+// - `options.excludeKeys` leaves out single documents by key, on top of any row filter.
+// - `readDocumentsByKey` builds a few documents by key with the same spec (used by the outbox, see `outbox.js`).
+// - The spec describes the latest document shape, so every document is stamped with the latest `schemaVersion`.
+
+const { withConn } = require("../db/mariadb");
+const { config } = require("../config");
+const { toJsonSafeNumber } = require("../utils/json");
+const { DEFAULT_MAPPING_SPEC } = require("./mappingSpec");
+const { latestSchemaVersion } = require("./schemaVersions");
+
+const MAX_BATCH_SIZE = 10000;
+
+function resolveBatchSize(batchSize) {
+  let n;
+
+  if ( batchSize != null ) {
+    n = Number(batchSize);
+  } 
+  else {
+    n = config.migration.batchSize;
+  }
+
+  if ( !Number.isInteger(n) || n <= 0 || n > MAX_BATCH_SIZE ) {
+    throw new Error(`batchSize must be an integer between 1 and ${MAX_BATCH_SIZE}`);
+  }
+
+  return n;
+}
+
+function resolveSpec(options) {
+  if ( options?.spec ) {
+    return options.spec;
+  }
+  return DEFAULT_MAPPING_SPEC;
+}
+
+function uniqueNumbers(values) {
+  const out = new Set();
+
+  for ( const v of values ) {
+    if ( v != null ) {
+      out.add(Number(v));
+    }
+  }
+
+  return Array.from(out);
+}
+
+async function queryByIds(conn, sql, ids) {
+  // `IN ()` is invalid SQL, so an empty id list simply means "no rows".
+  if ( !ids.length ) {
+    return [];
+  }
+  return conn.query(sql, [ids]);
+}
+
+async function streamRows(conn, query, batchSize, onRows) {
+  // I pull rows from a query stream and hand them over in batches; the stream pauses while we await.
+  const stream = conn.queryStream(query.sql, query.params);
+  let batch = [];
+
+  try {
+    for await ( const row of stream ) {
+      batch.push(row);
+
+      if ( batch.length >= batchSize ) {
+        await onRows(batch);
+        batch = [];
+      }
+    }
+
+    if ( batch.length ) {
+      await onRows(batch);
+    }
+  } 
+  finally {
+    // If we stopped early (error), this drains the rest so the connection can be reused.
+    stream.close();
+  }
+}
+
+async function runLookups(conn, lookups, rows) {
+  // I only fetch what these rows reference, so lookups stay as small as the batch.
+  // Result: lookup name -> { groups: key -> rows, children: nested lookups resolved on those rows }.
+  const out = {};
+
+  if ( !lookups ) {
+    return out;
+  }
+
+  for ( const name of Object.keys(lookups) ) {
+    const l = lookups[name];
+    const ids = uniqueNumbers([].concat(...l.params.map(function(param) {
+      return rows.map(function(r) {
+        return r[param];
+      });
+    })));
+
+    const lookupRows = await queryByIds(conn, l.sql, ids);
+    const groups = new Map();
+
+    for ( const r of lookupRows ) {
+      const k = Number(r[l.key]);
+
+      if ( !groups.has(k) ) {
+        groups.set(k, []);
+      }
+      groups.get(k).push(r);
+    }
+
+    out[name] = { groups, children: await runLookups(conn, l.lookups, lookupRows) };
+  }
+
+  return out;
+}
+
+function columnValue(field, row) {
+  const v = row[field.from];
+
+  if ( field.nulls === "keep" && v == null ) {
+    return null;
+  }
+  if ( field.nulls === "empty" && !v ) {
+    return null;
+  }
+  if ( field.type === "number" ) {
+    return Number(v);
+  }
+  return v;
+}
+
+function buildValue(field, row, ctx) {
+  if ( typeof field === "string" ) {
+    return row[field];
+  }
+
+  if ( field.from !== undefined ) {
+    return columnValue(field, row);
+  }
+
+  if ( field.switch !== undefined ) {
+    const match = field.switch.find(function(c) {
+      return Boolean(row[c.when]);
+    });
+
+    if ( match ) {
+      return match.value;
+    }
+    return field.default;
+  }
+
+  if ( field.object !== undefined ) {
+    if ( field.when !== undefined && !row[field.when] ) {
+      return null;
+    }
+    return buildFields(field.object, row, ctx);
+  }
+
+  if ( field.one !== undefined ) {
+    const lookup = ctx[field.one];
+    const on = row[field.on];
+
+    if ( on == null || !lookup.groups.has(Number(on)) ) {
+      return null;
+    }
+    return buildFields(field.fields, lookup.groups.get(Number(on))[0], lookup.children);
+  }
+
+  // `many`: all matching lookup rows, either as sub-documents or as plain values.
+  const lookup = ctx[field.many];
+  let matches = [];
+
+  if ( lookup.groups.has(Number(row[field.on])) ) {
+    matches = lookup.groups.get(Number(row[field.on]));
+  }
+
+  return matches.map(function(r) {
+    if ( field.value !== undefined ) {
+      return r[field.value];
+    }
+    return buildFields(field.fields, r, lookup.children);
+  });
+}
+
+function buildFields(fields, row, ctx) {
+  const doc = {};
+
+  for ( const name of Object.keys(fields) ) {
+    doc[name] = buildValue(fields[name], row, ctx);
+  }
+
+  return doc;
+}
+
+async function buildDocs(conn, mapping, rows) {
+  const ctx = await runLookups(conn, mapping.lookups, rows);
+  const schemaVersion = latestSchemaVersion(mapping.collection);
+
+  return rows.map(function(row) {
+    return { ...buildFields(mapping.fields, row, ctx), schemaVersion };
+  });
+}
+
+function keyColumn(mapping) {
+  // The key field is either a plain column or `{ from }` (the spec validator guarantees one of the two).
+  const field = mapping.fields[mapping.key];
+
+  if ( typeof field === "string" ) {
+    return field;
+  }
+  return field.from;
+}
+
+async function readDocumentsByKey(conn, collection, ids, options) {
+  // I build just the listed documents, on the caller's connection (e.g. inside its transaction),
+  // in exactly the shape the snapshot would give them.
+  const spec = resolveSpec(options);
+  const mapping = spec.collections.find(function(c) {
+    return c.collection === collection;
+  });
+
+  if ( !mapping ) {
+    throw new Error(`collection is not in the mapping spec: ${collection}`);
+  }
+
+  const column = keyColumn(mapping);
+  const rows = await queryByIds(
+    conn,
+    `SELECT * FROM (${mapping.source.sql}) AS src WHERE src.${column} IN (?) ORDER BY src.${column}`,
+    uniqueNumbers(ids)
+  );
+
+  return buildDocs(conn, mapping, rows);
+}
+
+function sourceQuery(mapping, options) {
+  // Returns the streamed query for one collection, or null when a row filter leaves the collection out.
+  // `options.excludeKeys` ({ [collection]: keys }) drops single documents, e.g. orders that failed the integrity check.
+  const column = keyColumn(mapping);
+  const where = [];
+  const params = [];
+
+  if ( options?.rowFilters ) {
+    const filter = options.rowFilters[mapping.collection];
+
+    if ( !filter ) {
+      return null;
+    }
+
+    where.push(`(${filter.where})`);
+    params.push(...filter.params);
+  }
+
+  const excluded = options?.excludeKeys?.[mapping.collection];
+
+  if ( excluded?.length ) {
+    where.push(`src.${column} NOT IN (?)`);
+    params.push(excluded);
+  }
+
+  if ( !where.length ) {
+    return { sql: `${mapping.source.sql} ORDER BY ${mapping.source.orderBy}`, params: [] };
+  }
+
+  return {
+    sql: `SELECT * FROM (${mapping.source.sql}) AS src WHERE ${where.join(" AND ")} ORDER BY src.${column}`,
+    params
+  };
+}
+
+async function readSqlSnapshot(options, onBatch) {
+  // I use two connections: one is busy streaming, the other answers the per-batch lookups.
+  const batchSize = resolveBatchSize(options?.batchSize);
+  const spec = resolveSpec(options);
+
+  await withConn(async function(streamConn) {
+    await withConn(async function(lookupConn) {
+      for ( const mapping of spec.collections ) {
+        const query = sourceQuery(mapping, options);
+
+        if ( !query ) {
+          continue;
+        }
+
+        await streamRows(streamConn, query, batchSize, async function(rows) {
+          await onBatch(mapping.collection, await buildDocs(lookupConn, mapping, rows));
+        });
+      }
+    });
+  });
+}
+
+async function countSqlRows(options) {
+  // I count the source rows up front so progress can be shown as "x of total".
+  const spec = resolveSpec(options);
+
+  return withConn(async function(conn) {
+    const out = {};
+
+    for ( const mapping of spec.collections ) {
+      const query = sourceQuery(mapping, options);
+
+      if ( !query ) {
+        continue;
+      }
+
+      // The ORDER BY does not change the count, and the derived table keeps any row filter intact.
+      const rows = await conn.query(`SELECT COUNT(*) AS n FROM (${query.sql}) AS counted`, query.params);
+      out[mapping.collection] = toJsonSafeNumber(rows[0].n, mapping.collection);
+    }
+
+    return out;
+  });
+}
+
+module.exports = { readSqlSnapshot, readDocumentsByKey, countSqlRows, resolveBatchSize, MAX_BATCH_SIZE };
@@ -0,0 +1,213 @@
+// File flow:
+// - I stream the SQL snapshot (same transform the migration uses) and walk the Mongo collections.
+// - I hash each document per section (e.g. restaurant menu, order items, payment, delivery, totals) on both sides.
+// - Mongo documents are upgraded to the latest schema version first; an old version alone is not drift.
+// - I report mismatches (same id, different hash), missing docs (SQL only) and orphans (Mongo only).
+
+const { getMongo } = require("../db/mongodb");
+const { hashDocument } = require("../utils/canonical");
+const { readSqlSnapshot } = require("./sqlSnapshot");
+const { upgradeDocument } = require("./schemaVersions");
+
+// I cap the id lists so one verify call cannot return the whole database.
+const VERIFY_LIST_LIMIT = 200;
+
+function orNull(v) {
+  if ( v === undefined ) {
+    return null;
+  }
+  return v;
+}
+
+// Each collection is split into named sections so a mismatch can say *where* the stores drifted.
+const VERIFY_SPECS = [
+  {
+    collection: "restaurants",
+    key: "restaurantId",
+    sections: function(r) {
+      let menu = [];
+
+      if ( Array.isArray(r.menu) ) {
+        menu = r.menu.map(function(m) {
+          return {
+            menuItemId: orNull(m.menuItemId),
+            name: orNull(m.name),
+            description: orNull(m.description),
+            price: orNull(m.price),
+            categories: orNull(m.categories)
+          };
+        });
+      }
+
+      return {
+        restaurant: { name: orNull(r.name), address: orNull(r.address) },
+        menu
+      };
+    }
+  },
+  {
+    collection: "people",
+    key: "personId",
+    sections: function(p) {
+      return {
+        person: { type: orNull(p.type), name: orNull(p.name), email: orNull(p.email), phone: orNull(p.phone) },
+        customer: orNull(p.customer),
+        rider: orNull(p.rider)
+      };
+    }
+  },
+  {
+    collection: "orders",
+    key: "orderId",
+    sections: function(o) {
+      let items = [];
+
+      if ( Array.isArray(o.orderItems) ) {
+        items = o.orderItems.map(function(it) {
+          return {
+            menuItemId: orNull(it.menuItemId),
+            name: orNull(it.name),
+            quantity: orNull(it.quantity),
+            unitPrice: orNull(it.unitPrice)
+          };
+        });
+      }
+
+      let payment = null;
+
+      if ( o.payment ) {
+        payment = { amount: orNull(o.payment.amount), method: orNull(o.payment.method), paidAt: orNull(o.payment.paidAt) };
+      }
+
+      let delivery = null;
+
+      if ( o.delivery ) {
+        delivery = {
+          deliveryStatus: orNull(o.delivery.deliveryStatus),
+          assignedAt: orNull(o.delivery.assignedAt),
+          riderId: orNull(o.delivery.rider?.personId)
+        };
+      }
+
+      return {
+        order: {
+          status: orNull(o.status),
+          createdAt: orNull(o.createdAt),
+          restaurantId: orNull(o.restaurant?.restaurantId),
+          customerId: orNull(o.customer?.personId)
+        },
+        items,
+        payment,
+        delivery,
+        totals: { totalAmount: orNull(o.totalAmount) }
+      };
+    }
+  }
+];
+
+function checksumOf(spec, doc) {
+  // I hash each section, then hash the section hashes so one value identifies the whole document.
+  const sections = spec.sections(doc);
+  const sectionHashes = {};
+
+  for ( const name of Object.keys(sections) ) {
+    sectionHashes[name] = hashDocument(sections[name]);
+  }
+
+  return { hash: hashDocument(sectionHashes), sections: sectionHashes };
+}
+
+async function verifyCollection(db, spec, sqlByKey) {
+  // I keep only hashes in memory (not full documents) on both sides.
+  const result = {
+    sqlCount: sqlByKey.size,
+    mongoCount: 0,
+    matched: 0,
+    mismatches: [],
+    missing: [],
+    orphans: [],
+    counts: { mismatches: 0, missing: 0, orphans: 0 }
+  };
+
+  const seen = new Set();
+  const cursor = db.collection(spec.collection).find({}, { projection: { _id: 0 } });
+
+  for await ( const storedDoc of cursor ) {
+    const mongoDoc = upgradeDocument(spec.collection, storedDoc);
+    result.mongoCount++;
+    const id = Number(mongoDoc[spec.key]);
+    seen.add(id);
+
+    const sqlSum = sqlByKey.get(id);
+
+    if ( !sqlSum ) {
+      result.counts.orphans++;
+      if ( result.orphans.length < VERIFY_LIST_LIMIT ) {
+        result.orphans.push(id);
+      }
+      continue;
+    }
+
+    const mongoSum = checksumOf(spec, mongoDoc);
+
+    if ( mongoSum.hash === sqlSum.hash ) {
+      result.matched++;
+      continue;
+    }
+
+    result.counts.mismatches++;
+    if ( result.mismatches.length < VERIFY_LIST_LIMIT ) {
+      const sections = Object.keys(sqlSum.sections).filter(function(name) {
+        return sqlSum.sections[name] !== mongoSum.sections[name];
+      });
+      result.mismatches.push({ [spec.key]: id, sqlHash: sqlSum.hash, mongoHash: mongoSum.hash, sections });
+    }
+  }
+
+  for ( const id of sqlByKey.keys() ) {
+    if ( !seen.has(id) ) {
+      result.counts.missing++;
+      if ( result.missing.length < VERIFY_LIST_LIMIT ) {
+        result.missing.push(id);
+      }
+    }
+  }
+
+  return result;
+}
+
+async function verifyMigration(options) {
+  const { db } = await getMongo();
+
+  // I hash SQL documents batch by batch, so only one checksum per document is kept.
+  const sqlHashes = {};
+
+  for ( const spec of VERIFY_SPECS ) {
+    sqlHashes[spec.collection] = new Map();
+  }
+
+  await readSqlSnapshot(options, async function(collection, docs) {
+    const spec = VERIFY_SPECS.find(function(s) {
+      return s.collection === collection;
+    });
+
+    for ( const doc of docs ) {
+      sqlHashes[collection].set(Number(doc[spec.key]), checksumOf(spec, doc));
+    }
+  });
+
+  const out = { verifiedAt: new Date(), consistent: true };
+
+  for ( const spec of VERIFY_SPECS ) {
+    const r = await verifyCollection(db, spec, sqlHashes[spec.collection]);
+    out[spec.collection] = r;
+
+    if ( r.counts.mismatches || r.counts.missing || r.counts.orphans ) {
+      out.consistent = false;
+    }
+  }
+
+  return out;
+}
+
+module.exports = { verifyMigration };
@@ -0,0 +1,94 @@
+// File flow:
+// - We turn documents into one canonical string (sorted keys, dates as ISO strings).
+// - Two documents with the same content always produce the same string, no matter the key order.
+// - We skip Mongo's `_id` because SQL rows never have one and it must not count as a difference.
+// - We can also list the exact field paths where two documents differ (used by the dry-run diff).
+// - We hash the canonical string so SQL and Mongo copies can be compared by checksum.
+
+const crypto = require("crypto");
+
+function canonicalize(value) {
+  if ( value === undefined || value === null ) {
+    return null;
+  }
+
+  if ( value instanceof Date ) {
+    return value.toISOString();
+  }
+
+  if ( typeof value === "bigint" ) {
+    return value.toString();
+  }
+
+  if ( Array.isArray(value) ) {
+    return value.map(canonicalize);
+  }
+
+  if ( typeof value === "object" ) {
+    // We rebuild the object with sorted keys so JSON.stringify output is stable.
+    const out = {};
+    const keys = Object.keys(value).sort();
+
+    for ( const k of keys ) {
+      if ( k === "_id" ) {
+        continue;
+      }
+      out[k] = canonicalize(value[k]);
+    }
+
+    return out;
+  }
+
+  return value;
+}
+
+function canonicalJson(value) {
+  return JSON.stringify(canonicalize(value));
+}
+
+function hashDocument(value) {
+  return crypto.createHash("sha256").update(canonicalJson(value)).digest("hex");
+}
+
+function sameDocument(a, b) {
+  return canonicalJson(a) === canonicalJson(b);
+}
+
+function isPlainContainer(v) {
+  return v !== null && typeof v === "object";
+}
+
+function collectDiffs(before, after, path, out) {
+  // We walk objects/arrays together and only report leaves (or whole values when the shape differs).
+  if ( isPlainContainer(before) && isPlainContainer(after) && Array.isArray(before) === Array.isArray(after) ) {
+    const keys = new Set(Object.keys(before).concat(Object.keys(after)));
+
+    for ( const k of keys ) {
+      let childPath;
+
+      if ( path ) {
+        childPath = `${path}.${k}`;
+      } 
+      else {
+        childPath = k;
+      }
+
+      collectDiffs(before[k], after[k], childPath, out);
+    }
+
+    return;
+  }
+
+  if ( JSON.stringify(before ?? null) !== JSON.stringify(after ?? null) ) {
+    out.push({ path, before: before ?? null, after: after ?? null });
+  }
+}
+
+function diffDocuments(before, after) {
+  // We return `[{ path, before, after }]`, e.g. `{ path: "payment.method", before: "cash", after: "card" }`.
+  const out = [];
+  collectDiffs(canonicalize(before), canonicalize(after), "", out);
+  return out;
+}
+
+module.exports = { canonicalize, canonicalJson, hashDocument, sameDocument, diffDocuments };
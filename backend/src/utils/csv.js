@@ -0,0 +1,104 @@
+// File flow:
+// - We split CSV text (RFC 4180: comma separated, `"` quotes, `""` inside quotes, LF or CRLF) into records.
+// - Every record remembers the line it starts on, so validation errors can point at the line in the file
+//   (a quoted field may span several lines).
+// - Blank lines are skipped; a leading byte order mark (Excel adds one) is dropped.
+
+function csvError(message, line) {
+  const e = new Error(message);
+  e.line = line;
+  return e;
+}
+
+function parseCsv(text) {
+  // Returns [{ line, fields }]; throws an error with `line` for an unterminated quote or stray text after one.
+  const records = [];
+  let input = String(text);
+
+  if ( input.charCodeAt(0) === 0xfeff ) {
+    input = input.slice(1);
+  }
+
+  let line = 1;
+  let recordLine = 1;
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let inQuotes = false;
+  let i = 0;
+
+  function endField() {
+    fields.push(field);
+    field = "";
+    quoted = false;
+  }
+
+  function endRecord() {
+    endField();
+
+    // A blank line is one empty, unquoted field.
+    if ( fields.length > 1 || fields[0] !== "" ) {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+  }
+
+  while ( i < input.length ) {
+    const ch = input[i];
+
+    if ( inQuotes ) {
+      if ( ch === "\"" && input[i + 1] === "\"" ) {
+        field += "\"";
+        i += 2;
+        continue;
+      }
+      if ( ch === "\"" ) {
+        inQuotes = false;
+        i++;
+        continue;
+      }
+      if ( ch === "\n" ) {
+        line++;
+      }
+      field += ch;
+      i++;
+      continue;
+    }
+
+    if ( ch === "," ) {
+      endField();
+    } 
+    else if ( ch === "\n" || ch === "\r" ) {
+      endRecord();
+
+      if ( ch === "\r" && input[i + 1] === "\n" ) {
+        i++;
+      }
+      line++;
+      recordLine = line;
+    } 
+    else if ( ch === "\"" && field === "" && !quoted ) {
+      inQuotes = true;
+      quoted = true;
+    } 
+    else if ( quoted ) {
+      throw csvError("unexpected text after a closing quote", line);
+    } 
+    else {
+      field += ch;
+    }
+    i++;
+  }
+
+  if ( inQuotes ) {
+    throw csvError("unterminated quoted field", recordLine);
+  }
+
+  if ( field !== "" || quoted || fields.length ) {
+    endRecord();
+  }
+
+  return records;
+}
+
+module.exports = { parseCsv };
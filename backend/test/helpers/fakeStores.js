@@ -0,0 +1,605 @@
+// File flow:
+// - In-memory stand-ins for MariaDB and MongoDB, so tests can run the real routes and services without servers.
+// - `createFakeMongo()` keeps collections as arrays and understands the filters and writes the backend uses
+//   (equality, $in/$nin/$ne/$gt/$gte/$lt/$lte, $and, $set/$unset, bulkWrite, unique keys).
+// - `createFakeSql()` keeps tables as arrays and answers the statements the tests reach. AUTO_INCREMENT behaves like
+//   InnoDB: an explicit id moves the counter past it, and deleting rows never moves it back.
+// - `installFakes()` puts both (plus a few service stubs) into the require cache before the code under test loads.
+
+const path = require("path");
+
+const SRC = path.join(__dirname, "..", "..", "src");
+
+function srcPath(relative) {
+  return path.join(SRC, relative);
+}
+
+function valueAt(doc, dotted) {
+  return dotted.split(".").reduce(function(v, part) {
+    if ( v == null ) {
+      return undefined;
+    }
+    return v[part];
+  }, doc);
+}
+
+function matchesCondition(value, condition) {
+  if ( condition === null || typeof condition !== "object" || condition instanceof Date ) {
+    return value === condition || (value === undefined && condition === null);
+  }
+
+  return Object.keys(condition).every(function(op) {
+    const arg = condition[op];
+
+    if ( op === "$in" ) {
+      return arg.includes(value);
+    }
+    if ( op === "$nin" ) {
+      return !arg.includes(value);
+    }
+    if ( op === "$ne" ) {
+      return value !== arg;
+    }
+    if ( op === "$gt" ) {
+      return value > arg;
+    }
+    if ( op === "$gte" ) {
+      return value >= arg;
+    }
+    if ( op === "$lt" ) {
+      return value < arg;
+    }
+    if ( op === "$lte" ) {
+      return value <= arg;
+    }
+    throw new Error(`fake mongo: unsupported operator ${op}`);
+  });
+}
+
+function matchesFilter(doc, filter) {
+  return Object.keys(filter || {}).every(function(field) {
+    if ( field === "$and" ) {
+      return filter.$and.every(function(f) {
+        return matchesFilter(doc, f);
+      });
+    }
+    return matchesCondition(valueAt(doc, field), filter[field]);
+  });
+}
+
+function clone(doc) {
+  return structuredClone(doc);
+}
+
+function project(doc, projection) {
+  const out = clone(doc);
+
+  if ( !projection ) {
+    return out;
+  }
+
+  const included = Object.keys(projection).filter(function(k) {
+    return projection[k] && k !== "_id";
+  });
+
+  if ( included.length ) {
+    const picked = {};
+    for ( const k of included ) {
+      picked[k] = out[k];
+    }
+    return picked;
+  }
+
+  delete out._id;
+  return out;
+}
+
+function sortDocs(docs, sort) {
+  if ( !sort ) {
+    return docs;
+  }
+
+  const [field, direction] = Object.entries(sort)[0];
+  return docs.slice().sort(function(a, b) {
+    return (valueAt(a, field) - valueAt(b, field)) * direction;
+  });
+}
+
+function duplicateKey(collection, key, value) {
+  const e = new Error(`E11000 duplicate key error collection: ${collection} ${key}: ${value}`);
+  e.code = 11000;
+  return e;
+}
+
+// Unique keys the real indexes enforce (see db/mongodb.js).
+const UNIQUE_KEYS = { orders: "orderId", people: "personId", restaurants: "restaurantId" };
+
+function createFakeMongo() {
+  const data = {};
+
+  function docsOf(name) {
+    if ( !data[name] ) {
+      data[name] = [];
+    }
+    return data[name];
+  }
+
+  function checkUnique(name, doc, except) {
+    const key = UNIQUE_KEYS[name];
+
+    if ( key && doc[key] !== undefined ) {
+      const clash = docsOf(name).find(function(d) {
+        return d !== except && d[key] === doc[key];
+      });
+      if ( clash ) {
+        throw duplicateKey(name, key, doc[key]);
+      }
+    }
+  }
+
+  function applyUpdate(doc, update) {
+    for ( const [k, v] of Object.entries(update.$set || {}) ) {
+      doc[k] = clone(v);
+    }
+    for ( const k of Object.keys(update.$unset || {}) ) {
+      delete doc[k];
+    }
+  }
+
+  function collection(name) {
+    const docs = docsOf(name);
+
+    function replaceOne(filter, replacement, options) {
+      const existing = docs.find(function(d) {
+        return matchesFilter(d, filter);
+      });
+
+      if ( existing ) {
+        checkUnique(name, replacement, existing);
+        docs[docs.indexOf(existing)] = clone(replacement);
+        return { matchedCount: 1, upsertedCount: 0 };
+      }
+      if ( options?.upsert ) {
+        checkUnique(name, replacement, null);
+        docs.push(clone(replacement));
+        return { matchedCount: 0, upsertedCount: 1 };
+      }
+      return { matchedCount: 0, upsertedCount: 0 };
+    }
+
+    function deleteWhere(filter, many) {
+      let deletedCount = 0;
+
+      for ( let i = docs.length - 1; i >= 0; i-- ) {
+        if ( matchesFilter(docs[i], filter) && (many || deletedCount === 0) ) {
+          docs.splice(i, 1);
+          deletedCount++;
+        }
+      }
+      return { deletedCount };
+    }
+
+    function updateWhere(filter, update, many) {
+      let modifiedCount = 0;
+
+      for ( const d of docs ) {
+        if ( matchesFilter(d, filter) && (many || modifiedCount === 0) ) {
+          applyUpdate(d, update);
+          modifiedCount++;
+        }
+      }
+      return { matchedCount: modifiedCount, modifiedCount };
+    }
+
+    return {
+      async findOne(filter, options) {
+        const found = sortDocs(docs.filter(function(d) {
+          return matchesFilter(d, filter);
+        }), options?.sort)[0];
+
+        if ( !found ) {
+          return null;
+        }
+        return project(found, options?.projection);
+      },
+      find(filter, options) {
+        const result = sortDocs(docs.filter(function(d) {
+          return matchesFilter(d, filter);
+        }), options?.sort).map(function(d) {
+          return project(d, options?.projection);
+        });
+
+        return {
+          async toArray() {
+            return result;
+          },
+          async *[Symbol.asyncIterator]() {
+            yield* result;
+          }
+        };
+      },
+      async countDocuments(filter) {
+        return docs.filter(function(d) {
+          return matchesFilter(d, filter);
+        }).length;
+      },
+      async insertOne(doc) {
+        checkUnique(name, doc, null);
+        docs.push(clone(doc));
+        return { acknowledged: true };
+      },
+      async replaceOne(filter, replacement, options) {
+        return replaceOne(filter, replacement, options);
+      },
+      async updateOne(filter, update, options) {
+        const result = updateWhere(filter, update, false);
+
+        if ( !result.matchedCount && options?.upsert ) {
+          const doc = {};
+          for ( const [k, v] of Object.entries(filter) ) {
+            doc[k] = v;
+          }
+          applyUpdate(doc, update);
+          docs.push(doc);
+        }
+        return result;
+      },
+      async updateMany(filter, update) {
+        return updateWhere(filter, update, true);
+      },
+      async deleteOne(filter) {
+        return deleteWhere(filter, false);
+      },
+      async deleteMany(filter) {
+        return deleteWhere(filter, true);
+      },
+      async bulkWrite(ops) {
+        for ( const op of ops ) {
+          if ( op.replaceOne ) {
+            replaceOne(op.replaceOne.filter, op.replaceOne.replacement, { upsert: op.replaceOne.upsert });
+          } 
+          else if ( op.deleteOne ) {
+            deleteWhere(op.deleteOne.filter, false);
+          } 
+          else if ( op.updateOne ) {
+            updateWhere(op.updateOne.filter, op.updateOne.update, false);
+          } 
+          else {
+            throw new Error(`fake mongo: unsupported bulk operation ${Object.keys(op)[0]}`);
+          }
+        }
+        return {};
+      }
+    };
+  }
+
+  return { data, db: { collection } };
+}
+
+// The columns every table has (in insert order) and its primary key.
+const SQL_TABLES = {
+  person: ["person_id", "name", "email", "phone"],
+  customer: ["customer_id", "default_address", "preferred_payment_method"],
+  rider: ["rider_id", "vehicle_type", "rating"],
+  rider_works_for: ["rider_id", "restaurant_id"],
+  restaurant: ["restaurant_id", "name", "address"],
+  menu_item: ["menu_item_id", "restaurant_id", "name", "description", "price"],
+  order: ["order_id", "customer_id", "restaurant_id", "created_at", "status", "total_amount"],
+  order_item: ["order_item_id", "order_id", "menu_item_id", "quantity", "unit_price"],
+  payment: ["payment_id", "order_id", "amount", "payment_method", "paid_at"],
+  delivery: ["delivery_id", "order_id", "rider_id", "assigned_at", "delivery_status"],
+  outbox: ["event_id", "event_type", "aggregate_id", "payload", "created_at", "processed_at", "attempts", "last_error"]
+};
+
+function createFakeSql() {
+  const tables = {};
+  const autoIncrement = {};
+
+  for ( const t of Object.keys(SQL_TABLES) ) {
+    tables[t] = [];
+    autoIncrement[t] = 1;
+  }
+
+  function primaryKey(table) {
+    return SQL_TABLES[table][0];
+  }
+
+  function insert(table, columns, values, onDuplicateUpdate) {
+    const row = {};
+    columns.forEach(function(c, i) {
+      row[c] = values[i];
+    });
+
+    const pk = primaryKey(table);
+    const existing = tables[table].find(function(r) {
+      return row[pk] != null && r[pk] === row[pk];
+    });
+
+    if ( existing ) {
+      if ( !onDuplicateUpdate ) {
+        throw new Error(`fake sql: duplicate ${pk} ${row[pk]} in ${table}`);
+      }
+      Object.assign(existing, row);
+      return { insertId: existing[pk], affectedRows: 2 };
+    }
+
+    if ( row[pk] == null ) {
+      row[pk] = autoIncrement[table];
+    }
+    // InnoDB: the counter moves past every id written, explicit or generated.
+    autoIncrement[table] = Math.max(autoIncrement[table], row[pk] + 1);
+
+    if ( table === "outbox" ) {
+      row.processed_at = row.processed_at || null;
+      row.attempts = 0;
+      row.last_error = null;
+    }
+
+    tables[table].push(row);
+    return { insertId: row[pk], affectedRows: 1 };
+  }
+
+  function rowsWhere(table, column, value) {
+    return tables[table].filter(function(r) {
+      return r[column] === value;
+    });
+  }
+
+  const handlers = [
+    [/^INSERT INTO `?(\w+)`? \(([^)]*)\) VALUES \([^)]*\)( ON DUPLICATE KEY UPDATE .*)?$/, function(m, params) {
+      return insert(m[1], m[2].split(",").map(function(c) {
+        return c.trim();
+      }), params, Boolean(m[3]));
+    }],
+    [/^DELETE FROM `?(\w+)`?$/, function(m) {
+      tables[m[1]].length = 0;
+      return { affectedRows: 0 };
+    }],
+    [/^DELETE FROM `?(\w+)`? WHERE (\w+) = \?$/, function(m, params) {
+      tables[m[1]] = tables[m[1]].filter(function(r) {
+        return r[m[2]] !== params[0];
+      });
+      return { affectedRows: 0 };
+    }],
+    [/^UPDATE outbox SET processed_at = \? WHERE processed_at IS NULL$/, function(m, params) {
+      for ( const r of tables.outbox ) {
+        if ( r.processed_at == null ) {
+          r.processed_at = params[0];
+        }
+      }
+      return {};
+    }],
+    [/^UPDATE outbox SET processed_at = \?, attempts = attempts \+ 1, last_error = \? WHERE event_id = \?$/, function(m, params) {
+      const r = rowsWhere("outbox", "event_id", params[2])[0];
+      r.processed_at = params[0];
+      r.attempts++;
+      r.last_error = params[1];
+      return {};
+    }],
+    [/^UPDATE outbox SET attempts = attempts \+ 1, last_error = \? WHERE event_id = \?$/, function(m, params) {
+      const r = rowsWhere("outbox", "event_id", params[1])[0];
+      r.attempts++;
+      r.last_error = params[0];
+      return {};
+    }],
+    [/^UPDATE `order` SET total_amount = \? WHERE order_id = \?$/, function(m, params) {
+      rowsWhere("order", "order_id", params[1])[0].total_amount = params[0];
+      return {};
+    }],
+    [/^SELECT event_id AS eventId, event_type AS eventType, payload FROM outbox WHERE processed_at IS NULL ORDER BY event_id LIMIT \?$/, function(m, params) {
+      return tables.outbox.filter(function(r) {
+        return r.processed_at == null;
+      }).slice(0, params[0]).map(function(r) {
+        return { eventId: r.event_id, eventType: r.event_type, payload: r.payload };
+      });
+    }],
+    [/^SELECT restaurant_id AS restaurantId FROM restaurant$/, function() {
+      return tables.restaurant.map(function(r) {
+        return { restaurantId: r.restaurant_id };
+      });
+    }],
+    [/^SELECT menu_item_id AS menuItemId, restaurant_id AS restaurantId, name FROM menu_item$/, function() {
+      return tables.menu_item.map(function(r) {
+        return { menuItemId: r.menu_item_id, restaurantId: r.restaurant_id, name: r.name };
+      });
+    }],
+    [/^SELECT person_id AS personId, email FROM person WHERE email IN \(\?\)$/, function(m, params) {
+      return tables.person.filter(function(r) {
+        return params[0].includes(r.email);
+      }).map(function(r) {
+        return { personId: r.person_id, email: r.email };
+      });
+    }],
+    [/^SELECT c\.customer_id AS customerId, p\.name AS customerName, p\.email AS customerEmail FROM customer c JOIN person p .* WHERE p\.email = \? LIMIT 1$/, function(m, params) {
+      const p = rowsWhere("person", "email", params[0])[0];
+
+      if ( !p || !rowsWhere("customer", "customer_id", p.person_id).length ) {
+        return [];
+      }
+      return [{ customerId: p.person_id, customerName: p.name, customerEmail: p.email }];
+    }],
+    [/^SELECT restaurant_id AS restaurantId, name AS restaurantName, address AS restaurantAddress FROM restaurant WHERE name = \? LIMIT 1$/, function(m, params) {
+      return rowsWhere("restaurant", "name", params[0]).slice(0, 1).map(function(r) {
+        return { restaurantId: r.restaurant_id, restaurantName: r.name, restaurantAddress: r.address };
+      });
+    }],
+    [/^SELECT menu_item_id AS menuItemId, name AS menuItemName, price AS unitPrice FROM menu_item WHERE menu_item_id = \? AND restaurant_id = \? LIMIT 1$/, function(m, params) {
+      return tables.menu_item.filter(function(r) {
+        return r.menu_item_id === params[0] && r.restaurant_id === params[1];
+      }).map(function(r) {
+        return { menuItemId: r.menu_item_id, menuItemName: r.name, unitPrice: String(r.price) };
+      });
+    }]
+  ];
+
+  const conn = {
+    async query(sql, params) {
+      const text = sql.replace(/\s+/g, " ").trim();
+
+      for ( const [pattern, handler] of handlers ) {
+        const m = text.match(pattern);
+        if ( m ) {
+          return handler(m, params || []);
+        }
+      }
+      throw new Error(`fake sql: unsupported statement: ${text}`);
+    },
+    async batch(sql, rows) {
+      for ( const row of rows ) {
+        await conn.query(sql, row);
+      }
+      return {};
+    }
+  };
+
+  return { tables, autoIncrement, conn };
+}
+
+function buildOrderDocument(tables, orderRow) {
+  // The same shape the mapping spec gives an order (see services/mappingSpec.js), built from the fake tables.
+  const { latestSchemaVersion } = require(srcPath("services/schemaVersions"));
+  const restaurant = tables.restaurant.find(function(r) {
+    return r.restaurant_id === orderRow.restaurant_id;
+  });
+  const customer = tables.person.find(function(p) {
+    return p.person_id === orderRow.customer_id;
+  });
+  const payment = tables.payment.find(function(p) {
+    return p.order_id === orderRow.order_id;
+  });
+  const delivery = tables.delivery.find(function(d) {
+    return d.order_id === orderRow.order_id;
+  });
+
+  let paymentDoc = null;
+  let deliveryDoc = null;
+
+  if ( payment ) {
+    paymentDoc = { paymentId: payment.payment_id, amount: Number(payment.amount), method: payment.payment_method, paidAt: payment.paid_at };
+  }
+  if ( delivery ) {
+    deliveryDoc = {
+      deliveryId: delivery.delivery_id,
+      deliveryStatus: delivery.delivery_status,
+      assignedAt: delivery.assigned_at,
+      rider: null
+    };
+  }
+
+  return {
+    orderId: orderRow.order_id,
+    createdAt: orderRow.created_at,
+    status: orderRow.status,
+    totalAmount: Number(orderRow.total_amount),
+    restaurant: { restaurantId: restaurant.restaurant_id, name: restaurant.name, address: restaurant.address },
+    customer: { personId: customer.person_id, name: customer.name, email: customer.email },
+    orderItems: tables.order_item.filter(function(i) {
+      return i.order_id === orderRow.order_id;
+    }).map(function(i) {
+      const menuItem = tables.menu_item.find(function(mi) {
+        return mi.menu_item_id === i.menu_item_id;
+      });
+      return { menuItemId: i.menu_item_id, name: menuItem.name, quantity: i.quantity, unitPrice: Number(i.unit_price) };
+    }),
+    payment: paymentDoc,
+    delivery: deliveryDoc,
+    schemaVersion: latestSchemaVersion("orders")
+  };
+}
+
+function buildPersonDocument(tables, personRow) {
+  const { latestSchemaVersion } = require(srcPath("services/schemaVersions"));
+  const customer = tables.customer.find(function(c) {
+    return c.customer_id === personRow.person_id;
+  });
+
+  let customerDoc = null;
+
+  if ( customer ) {
+    customerDoc = { defaultAddress: customer.default_address, preferredPaymentMethod: customer.preferred_payment_method };
+  }
+
+  return {
+    personId: personRow.person_id,
+    type: "customer",
+    name: personRow.name,
+    email: personRow.email,
+    phone: personRow.phone,
+    customer: customerDoc,
+    rider: null,
+    schemaVersion: latestSchemaVersion("people")
+  };
+}
+
+function installFakes(options) {
+  // Call before requiring anything from src/. Returns `{ sql, mongo }`.
+  const sql = createFakeSql();
+  const mongo = createFakeMongo();
+
+  function stub(relative, exports) {
+    require.cache[require.resolve(srcPath(relative))] = { id: srcPath(relative), loaded: true, exports };
+  }
+
+  stub("db/mariadb.js", {
+    pool: null,
+    withConn: async function(fn) {
+      return fn(sql.conn);
+    },
+    withTx: async function(fn) {
+      return fn(sql.conn);
+    },
+    ensureSqlSchema: async function() {}
+  });
+
+  stub("db/mongodb.js", {
+    getMongo: async function() {
+      return { client: null, db: mongo.db };
+    },
+    supportsTransactions: async function() {
+      return false;
+    },
+    ensureMongoIndexes: async function() {},
+    ensureIndexesFor: async function() {},
+    ensureMongoValidators: async function() {},
+    ensureValidatorFor: async function() {},
+    DOCUMENT_VALIDATION_FAILURE: 121
+  });
+
+  // Documents are built straight from the fake tables; the real reader runs the mapping spec's SQL.
+  const realSnapshot = require(srcPath("services/sqlSnapshot.js"));
+  stub("services/sqlSnapshot.js", {
+    ...realSnapshot,
+    readDocumentsByKey: async function(_conn, collection, ids) {
+      const wanted = ids.map(Number);
+
+      if ( collection === "orders" ) {
+        return sql.tables.order.filter(function(r) {
+          return wanted.includes(r.order_id);
+        }).map(function(r) {
+          return buildOrderDocument(sql.tables, r);
+        });
+      }
+      return sql.tables.person.filter(function(r) {
+        return wanted.includes(r.person_id);
+      }).map(function(r) {
+        return buildPersonDocument(sql.tables, r);
+      });
+    }
+  });
+
+  if ( options?.stubMigrationRuns !== false ) {
+    stub("services/migrationRuns.js", {
+      trackMigrationRun: async function(_details, fn) {
+        return fn("test-run");
+      },
+      hasRunningMigration: async function() {
+        return false;
+      },
+      markInterruptedRuns: async function() {}
+    });
+  }
+
+  return { sql, mongo };
+}
+
+module.exports = { installFakes, createFakeSql, createFakeMongo, buildOrderDocument, buildPersonDocument, srcPath };
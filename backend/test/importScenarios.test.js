@@ -0,0 +1,201 @@
+// The figures in SCENARIOS[].expected are exact for the default seed, so we generate each scenario and recount them.
+// The reset only inserts and runs two UPDATEs, so a connection that records the rows is enough here.
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { srcPath } = require("./helpers/fakeStores");
+
+let tables = {};
+let nextIds = {};
+
+function resetTables() {
+  tables = {};
+  nextIds = {};
+}
+
+function insertRow(table, columns, params) {
+  // Every table in the reset starts at id 1, and the classic generator never passes one itself.
+  nextIds[table] = (nextIds[table] || 0) + 1;
+  const row = { id: nextIds[table] };
+
+  columns.forEach(function(column, i) {
+    row[column] = params[i];
+  });
+
+  if ( !tables[table] ) {
+    tables[table] = [];
+  }
+  tables[table].push(row);
+
+  return { insertId: nextIds[table] };
+}
+
+const conn = {
+  query: async function(sql, params) {
+    const insert = sql.match(/^INSERT INTO `?(\w+)`? \(([^)]*)\) VALUES/);
+
+    if ( insert ) {
+      return insertRow(insert[1], insert[2].split(",").map(function(c) {
+        return c.trim();
+      }), params);
+    }
+
+    if ( sql === "UPDATE `order` SET total_amount = ? WHERE order_id = ?" ) {
+      tables.order[params[1] - 1].total_amount = params[0];
+      return {};
+    }
+
+    if ( sql === "UPDATE menu_item SET price = ROUND(price * ?, 1) WHERE restaurant_id = ?" ) {
+      for ( const item of tables.menu_item ) {
+        if ( item.restaurant_id === params[1] ) {
+          item.oldPrice = item.price;
+          item.price = Math.round(item.price * params[0] * 10) / 10;
+        }
+      }
+      return {};
+    }
+
+    if ( sql === "SCHEMA" || /^(DELETE FROM|ALTER TABLE) /.test(sql) ) {
+      return {};
+    }
+
+    throw new Error(`unexpected statement: ${sql}`);
+  }
+};
+
+const mongo = {
+  db: {
+    collection: function() {
+      return { deleteMany: async function() {}, deleteOne: async function() {} };
+    }
+  }
+};
+
+function stub(relative, exports) {
+  require.cache[require.resolve(srcPath(relative))] = { exports };
+}
+
+stub("db/mariadb.js", {
+  withTx: async function(fn) {
+    return fn(conn);
+  },
+  withConn: async function(fn) {
+    return fn(conn);
+  }
+});
+stub("utils/schema.js", {
+  readSchemaSql: function() {
+    return "SCHEMA";
+  }
+});
+stub("db/mongodb.js", {
+  getMongo: async function() {
+    return mongo;
+  }
+});
+
+const { importResetMariaDb } = require(srcPath("services/importReset"));
+
+// The expected texts say the figures do not depend on the anchor, so we check a midnight and a morning anchor.
+const ANCHORS = ["2026-01-18", "2026-01-18T09:30:00Z"];
+const FIGLMUELLER = 1;
+const DEFAULT_SEED = 12345;
+
+async function generate(scenario, anchorDate) {
+  resetTables();
+  await importResetMariaDb({ scenario, anchorDate, seed: DEFAULT_SEED });
+  return tables;
+}
+
+function deliveryByOrder(t) {
+  return new Map(t.delivery.map(function(d) {
+    return [d.order_id, d];
+  }));
+}
+
+function figlmuellerOrders(t) {
+  return t.order.filter(function(o) {
+    return o.restaurant_id === FIGLMUELLER;
+  });
+}
+
+for ( const anchorDate of ANCHORS ) {
+  test(`rider-backlog matches its expected figures (anchor ${anchorDate})`, async function() {
+    const t = await generate("rider-backlog", anchorDate);
+    const deliveries = deliveryByOrder(t);
+    const available = t.order.filter(function(o) {
+      return o.status === "preparing" && deliveries.get(o.id).rider_id == null;
+    });
+    const assigned = t.delivery.filter(function(d) {
+      return d.rider_id != null;
+    });
+
+    assert.strictEqual(t.order.length, 60);
+    assert.strictEqual(t.delivery.length, 60);
+    assert.strictEqual(available.length, 50);
+    assert.strictEqual(t.delivery.length - assigned.length, 51);
+    assert.strictEqual(assigned.length, 9);
+  });
+
+  test(`unpaid-orders matches its expected figures (anchor ${anchorDate})`, async function() {
+    const t = await generate("unpaid-orders", anchorDate);
+    const perRestaurant = new Map();
+
+    for ( const o of t.order ) {
+      perRestaurant.set(o.restaurant_id, { orders: 0, paid: 0 });
+    }
+    for ( const o of t.order ) {
+      perRestaurant.get(o.restaurant_id).orders++;
+    }
+    for ( const p of t.payment ) {
+      perRestaurant.get(t.order[p.order_id - 1].restaurant_id).paid++;
+    }
+
+    const rates = Array.from(perRestaurant.values()).map(function(r) {
+      return Math.round(100 * r.paid / r.orders);
+    });
+
+    assert.strictEqual(t.order.length, 60);
+    assert.strictEqual(t.order.length - t.payment.length, 48);
+    assert.strictEqual(Math.min(...rates), 0);
+    assert.strictEqual(Math.max(...rates), 43);
+  });
+
+  test(`restaurant-spike matches its expected figures (anchor ${anchorDate})`, async function() {
+    const t = await generate("restaurant-spike", anchorDate);
+    const orders = figlmuellerOrders(t);
+    const perDay = new Map();
+
+    for ( const o of orders ) {
+      const day = o.created_at.toISOString().slice(0, 10);
+      perDay.set(day, (perDay.get(day) || 0) + 1);
+    }
+
+    const inRush = orders.filter(function(o) {
+      const hour = o.created_at.getUTCHours();
+      return o.created_at.toISOString().slice(0, 10) === "2026-01-17" && hour >= 11 && hour < 14;
+    });
+    perDay.delete("2026-01-17");
+
+    assert.strictEqual(t.order.length, 80);
+    assert.strictEqual(orders.length, 41);
+    assert.strictEqual(inRush.length, 37);
+    assert.ok(Math.max(...perDay.values()) <= 2);
+  });
+
+  test(`price-changes matches its expected figures (anchor ${anchorDate})`, async function() {
+    const t = await generate("price-changes", anchorDate);
+    const schnitzel = t.menu_item.find(function(m) {
+      return m.restaurant_id === FIGLMUELLER && m.name === "Wiener Schnitzel";
+    });
+    const orders = figlmuellerOrders(t);
+    const revenueCents = orders.reduce(function(sum, o) {
+      return sum + Math.round(o.total_amount * 100);
+    }, 0);
+
+    assert.deepStrictEqual({ before: schnitzel.oldPrice, after: schnitzel.price }, { before: 18.5, after: 22.2 });
+    assert.strictEqual(orders.length, 7);
+    assert.strictEqual(revenueCents, 39150);
+  });
+}
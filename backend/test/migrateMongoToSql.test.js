@@ -0,0 +1,25 @@
+// The reverse migration must not touch SQL when Mongo has nothing to rebuild it from.
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { installFakes, srcPath } = require("./helpers/fakeStores");
+
+const { sql, mongo } = installFakes();
+
+const { migrateMongoToSql } = require(srcPath("services/migrateMongoToSql"));
+
+test("migrate_to_sql refuses without a migrated read model and keeps the SQL orders", async function() {
+  await sql.conn.query(
+    "INSERT INTO `order` (order_id, customer_id, restaurant_id, created_at, status, total_amount) VALUES (?, ?, ?, ?, ?, ?)",
+    [1, 1, 1, new Date(), "created", "9.50"]
+  );
+
+  await assert.rejects(migrateMongoToSql({}), { status: 409 });
+  assert.strictEqual(sql.tables.order.length, 1);
+
+  // A marker alone is not enough: the collections are still empty.
+  await mongo.db.collection("meta").insertOne({ _id: "migration", mode: "full" });
+  await assert.rejects(migrateMongoToSql({}), { status: 409 });
+  assert.strictEqual(sql.tables.order.length, 1);
+});
@@ -0,0 +1,31 @@
+// One migration at a time: foreground calls and background jobs share the same lock.
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { installFakes, srcPath } = require("./helpers/fakeStores");
+
+installFakes();
+
+const { acquireMigrationLock, withMigrationLock, isMigrationLocked } = require(srcPath("services/migrationLock"));
+
+test("a second migration is refused with 409 while one holds the lock", async function() {
+  const release = await acquireMigrationLock("migrate_to_mongo");
+
+  await assert.rejects(withMigrationLock("migrate_to_sql", async function() {}), { status: 409 });
+  await assert.rejects(acquireMigrationLock("rollback"), { status: 409 });
+
+  release();
+  assert.strictEqual(isMigrationLocked(), false);
+  assert.strictEqual(await withMigrationLock("migrate_to_sql", async function() {
+    return "done";
+  }), "done");
+});
+
+test("the lock is released when the locked call fails", async function() {
+  await assert.rejects(withMigrationLock("import_bundle", async function() {
+    throw new Error("bundle is broken");
+  }), /bundle is broken/);
+
+  assert.strictEqual(isMigrationLocked(), false);
+});
@@ -0,0 +1,123 @@
+// Round trip of an order placed in Mongo mode: Mongo place_order -> migrate_to_sql -> SQL place_order -> relay.
+// The SQL order placed afterwards must get an id below the Mongo-mode range and reach Mongo without a conflict.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+
+const { installFakes, buildOrderDocument, buildPersonDocument, srcPath } = require("./helpers/fakeStores");
+
+const { sql, mongo } = installFakes();
+
+const { student1Router } = require(srcPath("routes/student1"));
+const { migrateMongoToSql } = require(srcPath("services/migrateMongoToSql"));
+const { relayOutboxOnce } = require(srcPath("services/outboxRelay"));
+const { MONGO_ORDER_ID_BASE, MONGO_ORIGIN } = require(srcPath("db/mongoSchemas"));
+const { latestSchemaVersion } = require(srcPath("services/schemaVersions"));
+
+async function seed() {
+  // One restaurant, one customer and three SQL orders, already migrated to Mongo.
+  const t = sql.tables;
+  const createdAt = new Date("2026-01-18T12:00:00Z");
+
+  t.restaurant.push({ restaurant_id: 1, name: "Plachutta", address: "Wollzeile 38" });
+  t.menu_item.push({ menu_item_id: 1, restaurant_id: 1, name: "Gulasch", description: null, price: "9.50" });
+  t.person.push({ person_id: 1, name: "Anna", email: "anna@example.com", phone: null });
+  t.customer.push({ customer_id: 1, default_address: "Ring 1", preferred_payment_method: "card" });
+
+  for ( let id = 1; id <= 3; id++ ) {
+    await sql.conn.query(
+      "INSERT INTO `order` (order_id, customer_id, restaurant_id, created_at, status, total_amount) VALUES (?, ?, ?, ?, ?, ?)",
+      [id, 1, 1, createdAt, "created", "9.50"]
+    );
+    await sql.conn.query("INSERT INTO order_item (order_id, menu_item_id, quantity, unit_price) VALUES (?, ?, ?, ?)", [id, 1, 1, "9.50"]);
+  }
+
+  const db = mongo.db;
+  await db.collection("meta").insertOne({ _id: "migration", mode: "full", lastMigrationAt: createdAt });
+  await db.collection("restaurants").insertOne({
+    restaurantId: 1,
+    name: "Plachutta",
+    address: "Wollzeile 38",
+    menu: [{ menuItemId: 1, name: "Gulasch", price: 9.5, categories: [] }],
+    schemaVersion: latestSchemaVersion("restaurants")
+  });
+  await db.collection("people").insertOne(buildPersonDocument(t, t.person[0]));
+
+  for ( const row of t.order ) {
+    await db.collection("orders").insertOne(buildOrderDocument(t, row));
+  }
+}
+
+function startApp() {
+  const app = express();
+  app.use(express.json());
+  app.use("/api", student1Router);
+  app.use(function(err, _req, res, _next) {
+    res.status(err.status || 500).json({ ok: false, error: err.message });
+  });
+
+  return new Promise(function(resolve) {
+    const server = app.listen(0, "127.0.0.1", function() {
+      resolve(server);
+    });
+  });
+}
+
+async function post(server, path, body) {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api${path}`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  const json = await response.json();
+
+  assert.strictEqual(response.status, 200, JSON.stringify(json));
+  return json;
+}
+
+test("an order placed in Mongo mode survives migrate_to_sql without pushing SQL ids into its range", async function() {
+  await seed();
+  const server = await startApp();
+
+  try {
+    const order = { customerEmail: "anna@example.com", restaurantName: "Plachutta", items: [{ menuItemId: 1, quantity: 2 }] };
+    const orders = mongo.db.collection("orders");
+
+    // 1. Mongo mode: the order gets an id from the Mongo-mode range and the origin flag.
+    const placedInMongo = await post(server, "/student1/mongo/place_order", order);
+    assert.strictEqual(placedInMongo.order.orderId, MONGO_ORDER_ID_BASE);
+    assert.strictEqual((await orders.findOne({ orderId: MONGO_ORDER_ID_BASE })).origin, MONGO_ORIGIN);
+
+    // 2. Reverse migration: the order gets the next SQL id, and its Mongo document follows it without the flag.
+    const migrated = await migrateMongoToSql({});
+    assert.strictEqual(migrated.orders, 4);
+    assert.strictEqual(migrated.renumbered, 1);
+    assert.deepStrictEqual(sql.tables.order.map(function(r) {
+      return r.order_id;
+    }), [1, 2, 3, 4]);
+    assert.ok(sql.autoIncrement.order < MONGO_ORDER_ID_BASE);
+    assert.strictEqual(await orders.findOne({ orderId: MONGO_ORDER_ID_BASE }), null);
+
+    const movedOrder = await orders.findOne({ orderId: 4 });
+    assert.strictEqual(movedOrder.origin, undefined);
+    assert.strictEqual(movedOrder.totalAmount, 19);
+    assert.strictEqual(await orders.countDocuments({ origin: MONGO_ORIGIN }), 0);
+
+    // 3. SQL mode: the next order stays below the Mongo-mode range ...
+    const placedInSql = await post(server, "/student1/sql/place_order", order);
+    assert.strictEqual(placedInSql.order.orderId, 5);
+
+    // 4. ... and the relay projects it into Mongo instead of reporting a conflict.
+    const relayed = await relayOutboxOnce();
+    assert.deepStrictEqual(
+      { applied: relayed.applied, conflicts: relayed.conflicts, failed: relayed.failed },
+      { applied: 1, conflicts: 0, failed: null }
+    );
+    assert.strictEqual((await orders.findOne({ orderId: 5 })).status, "created");
+    assert.strictEqual(await orders.countDocuments({}), 5);
+  } 
+  finally {
+    server.close();
+  }
+});
@@ -0,0 +1,40 @@
+// The relay counts every processed event in exactly one of applied / skipped / conflicts.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { BSON } = require("mongodb");
+
+const { installFakes, srcPath } = require("./helpers/fakeStores");
+
+const { sql, mongo } = installFakes();
+
+const { relayOutboxOnce } = require(srcPath("services/outboxRelay"));
+const { MONGO_ORIGIN } = require(srcPath("db/mongoSchemas"));
+
+async function appendEvent(orderId) {
+  const payload = BSON.EJSON.stringify({ documents: { orders: [{ orderId, status: "created" }], people: [] } });
+
+  await sql.conn.query(
+    "INSERT INTO outbox (event_type, aggregate_id, payload, created_at) VALUES (?, ?, ?, ?)",
+    ["order_placed", orderId, payload, new Date()]
+  );
+}
+
+test("an event that clashes with a Mongo-mode order counts as a conflict, not also as applied", async function() {
+  const orders = mongo.db.collection("orders");
+
+  await mongo.db.collection("meta").insertOne({ _id: "migration", mode: "full" });
+  await orders.insertOne({ orderId: 7, status: "delivered", origin: MONGO_ORIGIN });
+  await appendEvent(6);
+  await appendEvent(7);
+
+  const relayed = await relayOutboxOnce();
+  assert.deepStrictEqual(
+    { applied: relayed.applied, skipped: relayed.skipped, conflicts: relayed.conflicts, failed: relayed.failed },
+    { applied: 1, skipped: 0, conflicts: 1, failed: null }
+  );
+
+  assert.strictEqual((await orders.findOne({ orderId: 6 })).status, "created");
+  assert.strictEqual((await orders.findOne({ orderId: 7 })).status, "delivered");
+  assert.match(sql.tables.outbox[1].last_error, /^conflict: kept orders orderId 7/);
+});
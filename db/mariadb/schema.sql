@@ -1,4 +1,6 @@
 -- MariaDB schema for MS2 (Food Delivery)
+-- The backend also runs this file at every startup (and Import & Reset runs it too), so every statement must
+-- stay idempotent: `CREATE TABLE IF NOT EXISTS` only, no drops, no seed rows.
 
 CREATE TABLE IF NOT EXISTS person (
   person_id INT AUTO_INCREMENT PRIMARY KEY,
@@ -111,3 +113,18 @@ CREATE TABLE IF NOT EXISTS delivery (
   CONSTRAINT fk_delivery_rider FOREIGN KEY (rider_id) REFERENCES rider(rider_id)
 );
 
+
+-- Transactional outbox: the SQL write endpoints append one event per change in the same transaction,
+-- and the backend relay projects the events into MongoDB (see backend/src/services/outboxRelay.js).
+CREATE TABLE IF NOT EXISTS outbox (
+  event_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  event_type VARCHAR(60) NOT NULL,
+  aggregate_id INT NOT NULL,
+  -- Extended JSON (dates survive the round trip), so LONGTEXT rather than JSON.
+  payload LONGTEXT NOT NULL,
+  created_at DATETIME(3) NOT NULL,
+  processed_at DATETIME(3) NULL,
+  attempts INT NOT NULL DEFAULT 0,
+  last_error VARCHAR(500) NULL,
+  INDEX idx_outbox_pending (processed_at, event_id)
+);
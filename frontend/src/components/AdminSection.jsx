@@ -1,14 +1,123 @@
-import { useEffect, useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
 import api from '../api'
+import MigrationDiffPanel from './MigrationDiffPanel'
+import MigrationProgress from './MigrationProgress'
+import MigrationHistory from './MigrationHistory'
+import SchemaVersions from './SchemaVersions'
+import MigrationBackups from './MigrationBackups'
+import SnapshotBundles from './SnapshotBundles'
+import CsvImport from './CsvImport'
+
+// The Import & Reset size fields; the bounds mirror the backend's (it answers 400 outside of them).
+// Bulk mode inserts many rows per round trip and allows the larger `bulkMax`. Append mode adds to the existing data:
+// it has no restaurants of its own and starts from `appendDefault` (one day of orders, nobody new).
+const DATASET_FIELDS = [
+  { name: 'restaurants', label: 'Restaurants', min: 1, max: 100, bulkMax: 500, step: 1, defaultValue: 10, appendDefault: null },
+  { name: 'customers', label: 'Customers', min: 1, max: 5000, bulkMax: 100000, step: 1, defaultValue: 20, appendDefault: 0 },
+  { name: 'riders', label: 'Riders', min: 1, max: 1000, bulkMax: 5000, step: 1, defaultValue: 10, appendDefault: 0 },
+  { name: 'orders', label: 'Orders', min: 0, max: 20000, bulkMax: 500000, step: 1, defaultValue: 30, appendDefault: 30 },
+  { name: 'days', label: 'Days back', min: 1, max: 365, bulkMax: 365, step: 1, defaultValue: 14, appendDefault: 1 },
+  { name: 'deliveryRatio', label: 'Delivery ratio', min: 0, max: 1, bulkMax: 1, step: 0.05, defaultValue: 0.6, appendDefault: 0.6 },
+  { name: 'paymentRatio', label: 'Payment ratio', min: 0, max: 1, bulkMax: 1, step: 0.05, defaultValue: 1, appendDefault: 1 }
+]
+
+const IMPORT_MODES = [
+  { value: 'classic', label: 'Reset: classic demo' },
+  { value: 'bulk', label: 'Reset: bulk (multi-row inserts, up to 500,000 orders with popular restaurants, lunch/dinner peaks and repeat customers)' },
+  { value: 'append', label: 'Append: add customers, riders and orders to the existing data (keeps manual orders)' }
+]
+
+// A scenario's sizes (from the backend) replace the mode defaults; the fields can still be changed afterwards.
+function defaultDataset(mode, scenario) {
+  const dataset = {}
+  for ( const field of DATASET_FIELDS ) {
+    let value = mode === 'append' ? field.appendDefault : field.defaultValue
+    if ( scenario && scenario.dataset[field.name] !== undefined && value !== null ) {
+      value = scenario.dataset[field.name]
+    }
+    dataset[field.name] = value === null ? '' : String(value)
+  }
+  return dataset
+}
 
 function AdminSection({ onClose, onAfterMigrate, onAfterImportReset }) {
   const [healthStatus, setHealthStatus] = useState(null)
   const [importResult, setImportResult] = useState(null)
+  const [dataset, setDataset] = useState(() => defaultDataset('classic'))
+  const [seed, setSeed] = useState('')
+  const [importMode, setImportMode] = useState('classic')
+  const [scenarios, setScenarios] = useState([])
+  const [scenarioName, setScenarioName] = useState('')
+  const [anchorDate, setAnchorDate] = useState('')
   const [migrateResult, setMigrateResult] = useState(null)
+  const [previewResult, setPreviewResult] = useState(null)
+  const [reverseResult, setReverseResult] = useState(null)
+  const [migrationNote, setMigrationNote] = useState('')
+  const [integrityPolicy, setIntegrityPolicy] = useState('warn')
+  const [sliceRestaurant, setSliceRestaurant] = useState('')
+  const [sliceFrom, setSliceFrom] = useState('')
+  const [sliceTo, setSliceTo] = useState('')
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0)
+  const [migrationJob, setMigrationJob] = useState(null)
   const [loading, setLoading] = useState(false)
+  const jobEventsRef = useRef(null)
+
+  // I load the scenario presets once; without them the select just offers no scenario.
+  useEffect(function() {
+    api.get('/import_scenarios').then(function(response) {
+      setScenarios(response.data.scenarios || [])
+    }).catch(function(e) {
+      console.error('Error loading scenarios:', e)
+    })
+  }, [])
+
+  const selectedScenario = scenarios.find(function(scenario) {
+    return scenario.name === scenarioName
+  }) || null
+
+  // I close a still-open job stream when the modal unmounts.
+  useEffect(function() {
+    return function() {
+      if ( jobEventsRef.current ) {
+        jobEventsRef.current.close()
+      }
+    }
+  }, [])
+
+  // I follow a background job over SSE and resolve with its final snapshot.
+  // If the stream fails (e.g. a proxy drops it), I fall back to polling the status endpoint.
+  const waitForJob = (jobId) => {
+    return new Promise(function(resolve) {
+      const source = new EventSource(`/api/jobs/${jobId}/events`)
+      jobEventsRef.current = source
 
-  // I keep this effect so the component remains stable if we later add setup-time side effects.
-  useEffect(function() {}, [])
+      source.onmessage = function(event) {
+        const job = JSON.parse(event.data)
+        setMigrationJob(job)
+        if ( job.status !== 'running' ) {
+          source.close()
+          resolve(job)
+        }
+      }
+
+      source.onerror = function() {
+        source.close()
+        const timer = setInterval(async function() {
+          try {
+            const response = await api.get(`/jobs/${jobId}`)
+            setMigrationJob(response.data.job)
+            if ( response.data.job.status !== 'running' ) {
+              clearInterval(timer)
+              resolve(response.data.job)
+            }
+          } catch (error) {
+            clearInterval(timer)
+            resolve({ status: 'failed', error: error.response?.data?.error || error.message })
+          }
+        }, 1000)
+      }
+    })
+  }
 
   const handleHealthCheck = async () => {
     setLoading(true)
@@ -25,11 +134,58 @@ function AdminSection({ onClose, onAfterMigrate, onAfterImportReset }) {
     }
   }
 
+  // Empty fields are left out, so the backend uses its default for them (SEED / DEMO_ANCHOR_DATE or now).
+  const buildDatasetBody = () => {
+    const body = {}
+    if ( importMode !== 'classic' ) {
+      body.mode = importMode
+    }
+    if ( selectedScenario ) {
+      body.scenario = selectedScenario.name
+    }
+    for ( const field of DATASET_FIELDS ) {
+      if ( importMode === 'append' && field.appendDefault === null ) {
+        continue
+      }
+      if ( dataset[field.name] !== '' ) {
+        body[field.name] = Number(dataset[field.name])
+      }
+    }
+    if ( seed !== '' ) {
+      body.seed = Number(seed)
+    }
+    if ( anchorDate !== '' ) {
+      body.anchorDate = anchorDate
+    }
+    return body
+  }
+
+  // Append mode starts from its own defaults, so switching in or out of it refills the fields.
+  // Bulk mode has no scenarios, so choosing it drops the selected one.
+  const handleImportModeChange = (mode) => {
+    if ( mode === 'bulk' && selectedScenario ) {
+      setScenarioName('')
+      setDataset(defaultDataset(mode))
+    } 
+    else if ( (mode === 'append') !== (importMode === 'append') ) {
+      setDataset(defaultDataset(mode, selectedScenario))
+    }
+    setImportMode(mode)
+  }
+
+  const handleScenarioChange = (name) => {
+    const scenario = scenarios.find(function(candidate) {
+      return candidate.name === name
+    }) || null
+    setScenarioName(name)
+    setDataset(defaultDataset(importMode, scenario))
+  }
+
   const handleImportReset = async () => {
     setLoading(true)
     setImportResult(null)
     try {
-      const response = await api.post('/import_reset')
+      const response = await api.post('/import_reset', buildDatasetBody())
       setImportResult({ success: true, data: response.data })
       if ( typeof onAfterImportReset === 'function' ) {
         await onAfterImportReset()
@@ -44,12 +200,36 @@ function AdminSection({ onClose, onAfterMigrate, onAfterImportReset }) {
     }
   }
 
-  const handleMigrate = async () => {
+  // I only send the slice fields that are filled in; the backend needs at least one of them.
+  const buildSliceScope = () => {
+    const scope = {}
+    if ( sliceRestaurant.trim() !== '' ) {
+      scope.restaurantNames = [sliceRestaurant.trim()]
+    }
+    if ( sliceFrom !== '' ) {
+      scope.from = sliceFrom
+    }
+    if ( sliceTo !== '' ) {
+      scope.to = sliceTo
+    }
+    return scope
+  }
+
+  const hasSlice = sliceRestaurant.trim() !== '' || sliceFrom !== '' || sliceTo !== ''
+
+  const handleMigrate = async (mode, scope) => {
     setLoading(true)
     setMigrateResult(null)
+    setMigrationJob(null)
     try {
-      const response = await api.post('/migrate_to_mongo')
-      setMigrateResult({ success: true, data: response.data })
+      const response = await api.post('/migrate_to_mongo', { mode, scope, background: true, note: migrationNote, integrity: integrityPolicy })
+      setMigrationJob(response.data.job)
+      const job = await waitForJob(response.data.job.id)
+      if ( job.status !== 'succeeded' ) {
+        setMigrateResult({ success: false, error: { error: job.error } })
+        return
+      }
+      setMigrateResult({ success: true, data: { ok: true, migrated: job.result } })
       if ( typeof onAfterMigrate === 'function' ) {
         await onAfterMigrate()
       }
@@ -58,6 +238,57 @@ function AdminSection({ onClose, onAfterMigrate, onAfterImportReset }) {
         success: false, 
         error: error.response?.data || { error: error.message } 
       })
+    } finally {
+      setLoading(false)
+      setHistoryRefreshKey(function(k) {
+        return k + 1
+      })
+    }
+  }
+
+  const handleMigrateToSql = async () => {
+    setLoading(true)
+    setReverseResult(null)
+    try {
+      const response = await api.post('/migrate_to_sql', { note: migrationNote })
+      setReverseResult({ success: true, data: response.data })
+      if ( typeof onAfterMigrate === 'function' ) {
+        await onAfterMigrate()
+      }
+    } catch (error) {
+      setReverseResult({ 
+        success: false, 
+        error: error.response?.data || { error: error.message } 
+      })
+    } finally {
+      setLoading(false)
+      setHistoryRefreshKey(function(k) {
+        return k + 1
+      })
+    }
+  }
+
+  const handleRestored = async () => {
+    // A rollback or a loaded bundle swaps the read model (and its marker), so the active mode may change too.
+    if ( typeof onAfterMigrate === 'function' ) {
+      await onAfterMigrate()
+    }
+    setHistoryRefreshKey(function(k) {
+      return k + 1
+    })
+  }
+
+  const handlePreview = async (mode, scope) => {
+    setLoading(true)
+    setPreviewResult(null)
+    try {
+      const response = await api.post('/migrate_to_mongo', { mode, scope, dryRun: true, integrity: integrityPolicy })
+      setPreviewResult({ success: true, data: response.data })
+    } catch (error) {
+      setPreviewResult({ 
+        success: false, 
+        error: error.response?.data || { error: error.message } 
+      })
     } finally {
       setLoading(false)
     }
@@ -107,9 +338,86 @@ function AdminSection({ onClose, onAfterMigrate, onAfterImportReset }) {
 
             <div className="mb-4">
               <h3 className="h5">Data Import & Reset</h3>
-              <p className="text-muted small">Generate fresh randomized data in MariaDB (replaces existing data).</p>
+              <p className="text-muted small">
+                Generate fresh randomized data in MariaDB (replaces existing data), or append a batch on top of it. Appended
+                orders reach MongoDB through the outbox; move the anchor date forward to simulate the next day.
+              </p>
+              <select
+                className="form-select form-select-sm mb-2"
+                value={importMode}
+                onChange={(e) => handleImportModeChange(e.target.value)}
+              >
+                {IMPORT_MODES.map(function(mode) {
+                  return <option key={mode.value} value={mode.value}>{mode.label}</option>
+                })}
+              </select>
+              <select
+                className="form-select form-select-sm mb-2"
+                value={scenarioName}
+                disabled={importMode === 'bulk'}
+                onChange={(e) => handleScenarioChange(e.target.value)}
+              >
+                <option value="">No scenario</option>
+                {scenarios.map(function(scenario) {
+                  return <option key={scenario.name} value={scenario.name}>Scenario: {scenario.label}</option>
+                })}
+              </select>
+              {selectedScenario && (
+                <div className="alert alert-info small py-2">
+                  <div>{selectedScenario.description}</div>
+                  <div className="mt-1">
+                    <strong>Expected:</strong> {selectedScenario.expected}
+                  </div>
+                  <div className="text-muted mt-1">The numbers hold for the default seed and sizes in a reset.</div>
+                </div>
+              )}
+              <div className="row g-2 mb-2">
+                {DATASET_FIELDS.map(function(field) {
+                  return (
+                    <div className="col-6 col-sm-3" key={field.name}>
+                      <label className="form-label small mb-0" htmlFor={`dataset-${field.name}`}>{field.label}</label>
+                      <input
+                        id={`dataset-${field.name}`}
+                        type="number"
+                        className="form-control form-control-sm"
+                        min={importMode === 'append' && field.appendDefault === 0 ? 0 : field.min}
+                        max={importMode === 'bulk' ? field.bulkMax : field.max}
+                        step={field.step}
+                        placeholder={importMode === 'append' && field.appendDefault === null ? 'existing' : ''}
+                        disabled={importMode === 'append' && field.appendDefault === null}
+                        value={dataset[field.name]}
+                        onChange={(e) => setDataset({ ...dataset, [field.name]: e.target.value })}
+                      />
+                    </div>
+                  )
+                })}
+                <div className="col-6 col-sm-3">
+                  <label className="form-label small mb-0" htmlFor="dataset-seed">Seed</label>
+                  <input
+                    id="dataset-seed"
+                    type="number"
+                    className="form-control form-control-sm"
+                    min={0}
+                    step={1}
+                    placeholder="server default"
+                    value={seed}
+                    onChange={(e) => setSeed(e.target.value)}
+                  />
+                </div>
+                <div className="col-6 col-sm-3">
+                  <label className="form-label small mb-0" htmlFor="dataset-anchor">Anchor date</label>
+                  <input
+                    id="dataset-anchor"
+                    type="date"
+                    className="form-control form-control-sm"
+                    title="Orders are dated back from this day instead of now; same seed + same anchor gives identical data"
+                    value={anchorDate}
+                    onChange={(e) => setAnchorDate(e.target.value)}
+                  />
+                </div>
+              </div>
               <button className="btn btn-secondary" onClick={handleImportReset} disabled={loading}>
-                {loading ? 'Importing...' : 'Import & Reset Data'}
+                {loading ? 'Importing...' : importMode === 'append' ? 'Append Data' : 'Import & Reset Data'}
               </button>
               {importResult && (
                 <div className={`alert mt-3 ${importResult.success ? 'alert-success' : 'alert-danger'}`}>
@@ -130,12 +438,101 @@ function AdminSection({ onClose, onAfterMigrate, onAfterImportReset }) {
               )}
             </div>
 
+            <CsvImport onImported={onAfterImportReset} />
+
             <div className="mb-4">
               <h3 className="h5">Migration Tool</h3>
-              <p className="text-muted small">Copy current SQL data to MongoDB (clears MongoDB first).</p>
-              <button className="btn btn-success" onClick={handleMigrate} disabled={loading}>
+              <p className="text-muted small">
+                Copy current SQL data to MongoDB (replaces MongoDB data in one swap). Incremental sync only writes new or changed
+                documents and keeps orders placed in MongoDB mode.
+              </p>
+              <input
+                type="text"
+                className="form-control form-control-sm mb-2"
+                placeholder="Operator note for the migration history (optional)"
+                maxLength={500}
+                value={migrationNote}
+                onChange={(e) => setMigrationNote(e.target.value)}
+              />
+              <select
+                className="form-select form-select-sm mb-2"
+                title="What to do with orders that fail the SQL integrity check"
+                value={integrityPolicy}
+                onChange={(e) => setIntegrityPolicy(e.target.value)}
+              >
+                <option value="warn">Broken source orders: migrate and report them</option>
+                <option value="skip">Broken source orders: leave them out</option>
+                <option value="abort">Broken source orders: abort the migration</option>
+              </select>
+              <button className="btn btn-success" onClick={() => handleMigrate('full')} disabled={loading}>
                 {loading ? 'Migrating...' : 'Migrate SQL → MongoDB'}
               </button>
+              <button className="btn btn-outline-success ms-2" onClick={() => handleMigrate('incremental')} disabled={loading}>
+                {loading ? 'Migrating...' : 'Incremental Sync'}
+              </button>
+              <button className="btn btn-outline-secondary ms-2" onClick={() => handlePreview('full')} disabled={loading}>
+                {loading ? 'Comparing...' : 'Preview Changes'}
+              </button>
+              <div className="row g-2 mt-2 align-items-center">
+                <div className="col-sm-4">
+                  <input
+                    type="text"
+                    className="form-control form-control-sm"
+                    placeholder="Restaurant name"
+                    value={sliceRestaurant}
+                    onChange={(e) => setSliceRestaurant(e.target.value)}
+                  />
+                </div>
+                <div className="col-sm-3">
+                  <input
+                    type="date"
+                    className="form-control form-control-sm"
+                    title="Orders created from (inclusive)"
+                    value={sliceFrom}
+                    onChange={(e) => setSliceFrom(e.target.value)}
+                  />
+                </div>
+                <div className="col-sm-3">
+                  <input
+                    type="date"
+                    className="form-control form-control-sm"
+                    title="Orders created before (exclusive)"
+                    value={sliceTo}
+                    onChange={(e) => setSliceTo(e.target.value)}
+                  />
+                </div>
+                <div className="col-sm-2 d-flex gap-1">
+                  <button
+                    className="btn btn-sm btn-outline-success"
+                    onClick={() => handleMigrate('full', buildSliceScope())}
+                    disabled={loading || !hasSlice}
+                    title="Re-migrate only this restaurant / date range"
+                  >
+                    Slice
+                  </button>
+                  <button
+                    className="btn btn-sm btn-outline-secondary"
+                    onClick={() => handlePreview('full', buildSliceScope())}
+                    disabled={loading || !hasSlice}
+                    title="Preview the slice"
+                  >
+                    Preview
+                  </button>
+                </div>
+              </div>
+              <MigrationProgress job={migrationJob} />
+              {previewResult && (
+                previewResult.success ? (
+                  <MigrationDiffPanel diff={previewResult.data.diff} />
+                ) : (
+                  <div className="alert alert-danger mt-3">
+                    <div>Error: {previewResult.error.error}</div>
+                    {previewResult.error.stack && (
+                      <pre className="mt-2 mb-0 small">{previewResult.error.stack}</pre>
+                    )}
+                  </div>
+                )
+              )}
               {migrateResult && (
                 <div className={`alert mt-3 ${migrateResult.success ? 'alert-success' : 'alert-danger'}`}>
                   {migrateResult.success ? (
@@ -154,6 +551,41 @@ function AdminSection({ onClose, onAfterMigrate, onAfterImportReset }) {
                 </div>
               )}
             </div>
+
+            <div className="mb-4">
+              <h3 className="h5">Reverse Migration</h3>
+              <p className="text-muted small">
+                Rebuild the MariaDB orders, payments, deliveries and people from MongoDB (keeps orders placed in MongoDB mode).
+              </p>
+              <button className="btn btn-outline-primary" onClick={handleMigrateToSql} disabled={loading}>
+                {loading ? 'Migrating...' : 'Rebuild SQL from MongoDB'}
+              </button>
+              {reverseResult && (
+                <div className={`alert mt-3 ${reverseResult.success ? 'alert-success' : 'alert-danger'}`}>
+                  {reverseResult.success ? (
+                    <>
+                      <div>SQL rebuilt from MongoDB!</div>
+                      <pre className="mt-2 mb-0 small">{JSON.stringify(reverseResult.data, null, 2)}</pre>
+                    </>
+                  ) : (
+                    <>
+                      <div>Error: {reverseResult.error.error}</div>
+                      {reverseResult.error.stack && (
+                        <pre className="mt-2 mb-0 small">{reverseResult.error.stack}</pre>
+                      )}
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+
+            <MigrationBackups refreshKey={historyRefreshKey} note={migrationNote} onRestored={handleRestored} />
+
+            <SnapshotBundles refreshKey={historyRefreshKey} note={migrationNote} onImported={handleRestored} />
+
+            <SchemaVersions refreshKey={historyRefreshKey} />
+
+            <MigrationHistory refreshKey={historyRefreshKey} />
           </>
           </div>
         </div>
@@ -0,0 +1,104 @@
+import { useState } from 'react'
+import api from '../api'
+
+// One file input per CSV the backend accepts; only restaurants is required.
+const CSV_INPUTS = [
+  { name: 'restaurants', label: 'Restaurants', columns: 'name, address' },
+  { name: 'menuItems', label: 'Menu items', columns: 'restaurant, name, description, price, categories (a|b)' },
+  {
+    name: 'people',
+    label: 'Customers & riders',
+    columns: 'type, name, email, phone, default_address, preferred_payment_method, vehicle_type, rating, works_for (a|b)'
+  }
+]
+
+// I read the chosen files as text and send them in one request; the backend validates every row before replacing anything.
+function CsvImport({ onImported }) {
+  const [files, setFiles] = useState({})
+  const [busy, setBusy] = useState(false)
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState(null)
+
+  const handleImport = async () => {
+    if ( !window.confirm('Replace all MariaDB data with the uploaded CSV files?') ) {
+      return
+    }
+
+    setBusy(true)
+    setResult(null)
+    setError(null)
+    try {
+      const body = {}
+      for ( const input of CSV_INPUTS ) {
+        if ( files[input.name] ) {
+          body[input.name] = await files[input.name].text()
+        }
+      }
+      const response = await api.post('/import_csv', body)
+      setResult(response.data.inserted)
+      if ( typeof onImported === 'function' ) {
+        await onImported()
+      }
+    } 
+    catch (e) {
+      setError(e.response?.data || { error: e.message })
+    } 
+    finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="mb-4">
+      <h3 className="h5">CSV Import</h3>
+      <p className="text-muted small">
+        Replace the generated catalogue with your own restaurants, menus and people (replaces existing data, no orders are
+        created). Each file needs a header row; lists inside a cell are separated by <code>|</code>.
+      </p>
+      <div className="row g-2 mb-2">
+        {CSV_INPUTS.map(function(input) {
+          return (
+            <div className="col-12 col-md-4" key={input.name}>
+              <label className="form-label small mb-0" htmlFor={`csv-${input.name}`}>{input.label}</label>
+              <input
+                id={`csv-${input.name}`}
+                type="file"
+                accept=".csv,text/csv"
+                className="form-control form-control-sm"
+                onChange={(e) => setFiles({ ...files, [input.name]: e.target.files[0] || null })}
+              />
+              <div className="form-text small">{input.columns}</div>
+            </div>
+          )
+        })}
+      </div>
+      <button className="btn btn-secondary" onClick={handleImport} disabled={busy || !files.restaurants}>
+        {busy ? 'Importing...' : 'Import CSV Files'}
+      </button>
+      {result && (
+        <div className="alert alert-success small mt-3">
+          Imported {Object.keys(result).map(function(name) {
+            return `${name}: ${result[name]}`
+          }).join(', ')}
+        </div>
+      )}
+      {error && (
+        <div className="alert alert-danger small mt-3">
+          <div>Error: {error.error}</div>
+          {error.errors && (
+            <ul className="mb-0 mt-2">
+              {error.errors.map(function(item, index) {
+                return <li key={index}>{item.file}, line {item.line}: {item.message}</li>
+              })}
+            </ul>
+          )}
+          {error.errorCount > (error.errors || []).length && (
+            <div className="mt-1">... and {error.errorCount - error.errors.length} more</div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CsvImport
@@ -0,0 +1,113 @@
+import { useEffect, useState } from 'react'
+import api from '../api'
+
+function formatCounts(collections) {
+  return Object.keys(collections || {}).map(function(name) {
+    return `${name}: ${collections[name].count}`
+  }).join(', ')
+}
+
+// I reload whenever `refreshKey` changes, since every migration adds a backup.
+function MigrationBackups({ refreshKey, note, onRestored }) {
+  const [backups, setBackups] = useState([])
+  const [restoringId, setRestoringId] = useState(null)
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(function() {
+    loadBackups()
+  }, [refreshKey])
+
+  const loadBackups = async () => {
+    try {
+      const response = await api.get('/migration/backups')
+      setBackups(response.data.backups || [])
+      setError(null)
+    } 
+    catch (e) {
+      setError(e.response?.data?.error || e.message)
+    }
+  }
+
+  const handleRestore = async (backupId) => {
+    if ( !window.confirm(`Replace the current MongoDB read model with backup ${backupId}?`) ) {
+      return
+    }
+
+    setRestoringId(backupId)
+    setResult(null)
+    try {
+      const response = await api.post('/migration/rollback', { backupId, note })
+      setResult(response.data)
+      setError(null)
+      if ( typeof onRestored === 'function' ) {
+        await onRestored()
+      }
+    } 
+    catch (e) {
+      setError(e.response?.data?.error || e.message)
+    } 
+    finally {
+      setRestoringId(null)
+    }
+  }
+
+  return (
+    <div className="mb-4">
+      <div className="d-flex justify-content-between align-items-center">
+        <h3 className="h5 mb-0">Backups & Rollback</h3>
+        <button className="btn btn-sm btn-outline-secondary" onClick={loadBackups}>Refresh</button>
+      </div>
+      <p className="text-muted small mt-1">
+        Every migration first backs up the MongoDB collections. Restoring one also backs up the current state.
+      </p>
+      {error && <div className="alert alert-danger small">Error: {error}</div>}
+      {result && (
+        <div className="alert alert-success small">
+          Restored backup {result.backupId}
+          {result.safetyBackupId && <> (previous state saved as {result.safetyBackupId})</>}
+        </div>
+      )}
+      {backups.length === 0 ? (
+        <div className="text-muted small">No backups yet.</div>
+      ) : (
+        <div className="table-responsive">
+          <table className="table table-sm small align-middle">
+            <thead>
+              <tr>
+                <th>Taken</th>
+                <th>Reason</th>
+                <th>Documents</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {backups.map(function(backup) {
+                return (
+                  <tr key={backup.backupId}>
+                    <td>{new Date(backup.createdAt).toLocaleString()}</td>
+                    <td>{backup.reason}</td>
+                    <td>{formatCounts(backup.collections)}</td>
+                    <td className="text-end">
+                      <button
+                        className="btn btn-sm btn-outline-danger"
+                        onClick={function() {
+                          handleRestore(backup.backupId)
+                        }}
+                        disabled={restoringId !== null}
+                      >
+                        {restoringId === backup.backupId ? 'Restoring...' : 'Restore'}
+                      </button>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default MigrationBackups
@@ -0,0 +1,116 @@
+const COLLECTIONS = [
+  { name: 'restaurants', key: 'restaurantId', label: 'Restaurants' },
+  { name: 'people', key: 'personId', label: 'People' },
+  { name: 'orders', key: 'orderId', label: 'Orders' }
+]
+
+function formatValue(value) {
+  if ( value === null || value === undefined ) {
+    return 'null'
+  }
+  if ( typeof value === 'object' ) {
+    return JSON.stringify(value)
+  }
+  return String(value)
+}
+
+function FieldChanges({ entries, idKey }) {
+  return (
+    <table className="table table-sm table-bordered small mb-2">
+      <thead>
+        <tr>
+          <th>{idKey}</th>
+          <th>Field</th>
+          <th>Current (MongoDB)</th>
+          <th>After migration</th>
+        </tr>
+      </thead>
+      <tbody>
+        {entries.map(function(entry) {
+          return entry.fields.map(function(field, idx) {
+            return (
+              <tr key={`${entry[idKey]}-${field.path}`}>
+                {idx === 0 && <td rowSpan={entry.fields.length}>{entry[idKey]}</td>}
+                <td><code>{field.path}</code></td>
+                <td className="text-danger">{formatValue(field.before)}</td>
+                <td className="text-success">{formatValue(field.after)}</td>
+              </tr>
+            )
+          })
+        })}
+      </tbody>
+    </table>
+  )
+}
+
+function MigrationDiffPanel({ diff }) {
+  if ( !diff ) {
+    return null
+  }
+
+  return (
+    <div className="mt-3">
+      <div className="small text-muted mb-2">
+        Dry run ({diff.mode} mode) - nothing was written to MongoDB.
+      </div>
+      {diff.integrity && !diff.integrity.report.passed && (
+        <div className="alert alert-warning small py-2">
+          SQL integrity check ({diff.integrity.policy}): {diff.integrity.report.affectedOrders} orders with broken
+          references, payments, totals or deliveries
+          {diff.integrity.skippedOrders > 0 && <>, left out of this diff</>}.
+          <pre className="mt-2 mb-0 small">{JSON.stringify(diff.integrity.report.counts, null, 2)}</pre>
+        </div>
+      )}
+      {COLLECTIONS.map(function(c) {
+        const d = diff[c.name]
+        if ( !d ) {
+          return null
+        }
+
+        return (
+          <div className="card mb-2" key={c.name}>
+            <div className="card-header d-flex flex-wrap gap-2 align-items-center">
+              <strong className="me-2">{c.label}</strong>
+              <span className="badge bg-success">+{d.counts.added} added</span>
+              <span className="badge bg-danger">-{d.counts.removed} removed</span>
+              <span className="badge bg-warning text-dark">~{d.counts.changed} changed</span>
+              <span className="badge bg-secondary">{d.counts.unchanged} unchanged</span>
+              {d.counts.conflicts > 0 && (
+                <span className="badge bg-dark">{d.counts.conflicts} conflicts</span>
+              )}
+            </div>
+            <div className="card-body py-2">
+              {d.added.length > 0 && (
+                <div className="small mb-2">
+                  <strong>Added {c.key}s:</strong> {d.added.join(', ')}
+                </div>
+              )}
+              {d.removed.length > 0 && (
+                <div className="small mb-2">
+                  <strong>Removed {c.key}s:</strong> {d.removed.join(', ')}
+                </div>
+              )}
+              {d.changed.length > 0 && (
+                <FieldChanges entries={d.changed} idKey={c.key} />
+              )}
+              {d.conflicts.length > 0 && (
+                <>
+                  <div className="small fw-bold">Conflicts (kept as-is in MongoDB):</div>
+                  <FieldChanges entries={d.conflicts} idKey={c.key} />
+                </>
+              )}
+              {d.truncated && (
+                <div className="small text-muted">Lists are truncated; counts above are complete.</div>
+              )}
+              {d.added.length === 0 && d.removed.length === 0 && d.changed.length === 0 && d.conflicts.length === 0 && (
+                <div className="small text-muted">No changes.</div>
+              )}
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default MigrationDiffPanel
@@ -0,0 +1,100 @@
+import { useEffect, useState } from 'react'
+import api from '../api'
+
+const DIRECTION_LABELS = {
+  sql_to_mongo: 'SQL → MongoDB',
+  mongo_to_sql: 'MongoDB → SQL',
+  bundle_to_mongo: 'Bundle → MongoDB',
+  rollback: 'Rollback'
+}
+
+const STATUS_BADGES = {
+  succeeded: 'bg-success',
+  failed: 'bg-danger',
+  running: 'bg-info text-dark',
+  interrupted: 'bg-warning text-dark'
+}
+
+function formatCounts(counts) {
+  if ( !counts ) {
+    return '-'
+  }
+  return Object.keys(counts).map(function(k) {
+    return `${k}: ${counts[k]}`
+  }).join(', ')
+}
+
+// I reload whenever `refreshKey` changes, so the parent can refresh after a run finishes.
+function MigrationHistory({ refreshKey }) {
+  const [runs, setRuns] = useState([])
+  const [error, setError] = useState(null)
+
+  useEffect(function() {
+    loadRuns()
+  }, [refreshKey])
+
+  const loadRuns = async () => {
+    try {
+      const response = await api.get('/migration/history?limit=20')
+      setRuns(response.data.runs || [])
+      setError(null)
+    } 
+    catch (e) {
+      setError(e.response?.data?.error || e.message)
+    }
+  }
+
+  return (
+    <div className="mb-4">
+      <div className="d-flex justify-content-between align-items-center">
+        <h3 className="h5 mb-0">Migration History</h3>
+        <button className="btn btn-sm btn-outline-secondary" onClick={loadRuns}>Refresh</button>
+      </div>
+      <p className="text-muted small mt-1">Every migration run in either direction, newest first.</p>
+      {error && <div className="alert alert-danger small">Error: {error}</div>}
+      {runs.length === 0 ? (
+        <div className="text-muted small">No migration runs recorded yet.</div>
+      ) : (
+        <div className="table-responsive">
+          <table className="table table-sm small align-middle">
+            <thead>
+              <tr>
+                <th>Started</th>
+                <th>Direction</th>
+                <th>Mode</th>
+                <th>Status</th>
+                <th>Duration</th>
+                <th>Source</th>
+                <th>Written</th>
+                <th>Note / Error</th>
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map(function(run) {
+                return (
+                  <tr key={run.runId}>
+                    <td>{new Date(run.startedAt).toLocaleString()}</td>
+                    <td>{DIRECTION_LABELS[run.direction] || run.direction}</td>
+                    <td>{run.mode}</td>
+                    <td>
+                      <span className={`badge ${STATUS_BADGES[run.status] || 'bg-secondary'}`}>{run.status}</span>
+                    </td>
+                    <td>{run.durationMs != null ? `${(run.durationMs / 1000).toFixed(1)}s` : '-'}</td>
+                    <td>{formatCounts(run.sourceCounts)}</td>
+                    <td>{formatCounts(run.written)}</td>
+                    <td>
+                      {run.note && <div>{run.note}</div>}
+                      {run.error && <div className="text-danger">{run.error}</div>}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default MigrationHistory
@@ -0,0 +1,56 @@
+const COLLECTIONS = [
+  { name: 'restaurants', label: 'Restaurants' },
+  { name: 'people', label: 'People' },
+  { name: 'orders', label: 'Orders' }
+]
+
+function MigrationProgress({ job }) {
+  if ( !job ) {
+    return null
+  }
+
+  return (
+    <div className="mt-3">
+      <div className="small mb-2">
+        Job <code>{job.id}</code> - phase: <strong>{job.phase}</strong> - {(job.elapsedMs / 1000).toFixed(1)}s
+      </div>
+      {COLLECTIONS.map(function(c) {
+        const p = job.progress?.[c.name]
+        if ( !p ) {
+          return null
+        }
+
+        let percent = 0
+        if ( p.total ) {
+          percent = Math.min(100, Math.round((p.written / p.total) * 100))
+        }
+        else if ( job.status !== 'running' ) {
+          percent = 100
+        }
+
+        return (
+          <div className="mb-2" key={c.name}>
+            <div className="d-flex justify-content-between small">
+              <span>{c.label}</span>
+              <span>
+                read {p.read}{p.total != null ? ` / ${p.total}` : ''} - written {p.written}
+              </span>
+            </div>
+            <div className="progress" style={{ height: '0.75rem' }}>
+              <div
+                className={`progress-bar ${job.status === 'running' ? 'progress-bar-striped progress-bar-animated' : ''}`}
+                role="progressbar"
+                style={{ width: `${percent}%` }}
+                aria-valuenow={percent}
+                aria-valuemin="0"
+                aria-valuemax="100"
+              ></div>
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default MigrationProgress
@@ -0,0 +1,113 @@
+import { useEffect, useState } from 'react'
+import api from '../api'
+
+function formatVersions(versions) {
+  const keys = Object.keys(versions || {})
+  if ( keys.length === 0 ) {
+    return 'no documents'
+  }
+  return keys.map(function(v) {
+    return `v${v}: ${versions[v]}`
+  }).join(', ')
+}
+
+// I reload whenever `refreshKey` changes, since a migration rewrites the documents at the latest version.
+function SchemaVersions({ refreshKey }) {
+  const [status, setStatus] = useState(null)
+  const [upgradeResult, setUpgradeResult] = useState(null)
+  const [upgrading, setUpgrading] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(function() {
+    loadStatus()
+  }, [refreshKey])
+
+  const loadStatus = async () => {
+    try {
+      const response = await api.get('/migration/schema_versions')
+      setStatus(response.data)
+      setError(null)
+    } 
+    catch (e) {
+      setError(e.response?.data?.error || e.message)
+    }
+  }
+
+  const handleUpgrade = async () => {
+    setUpgrading(true)
+    setUpgradeResult(null)
+    try {
+      const response = await api.post('/migration/upgrade_documents', {})
+      setUpgradeResult(response.data.upgraded)
+      setStatus({ ...status, counts: response.data.counts })
+      setError(null)
+    } 
+    catch (e) {
+      setError(e.response?.data?.error || e.message)
+    } 
+    finally {
+      setUpgrading(false)
+    }
+  }
+
+  const collections = status ? Object.keys(status.schemas) : []
+  const outdated = collections.reduce(function(sum, c) {
+    return sum + (status.counts[c]?.outdated || 0)
+  }, 0)
+
+  return (
+    <div className="mb-4">
+      <div className="d-flex justify-content-between align-items-center">
+        <h3 className="h5 mb-0">Document Schema Versions</h3>
+        <button className="btn btn-sm btn-outline-secondary" onClick={loadStatus}>Refresh</button>
+      </div>
+      <p className="text-muted small mt-1">
+        Older MongoDB documents are upgraded when they are read; upgrading rewrites them in storage too.
+      </p>
+      {error && <div className="alert alert-danger small">Error: {error}</div>}
+      {status && (
+        <div className="table-responsive">
+          <table className="table table-sm small align-middle">
+            <thead>
+              <tr>
+                <th>Collection</th>
+                <th>Latest</th>
+                <th>Stored</th>
+                <th>Outdated</th>
+              </tr>
+            </thead>
+            <tbody>
+              {collections.map(function(c) {
+                const counts = status.counts[c] || {}
+                return (
+                  <tr key={c}>
+                    <td>{c}</td>
+                    <td>v{status.schemas[c].latest}</td>
+                    <td>{formatVersions(counts.versions)}</td>
+                    <td>
+                      <span className={`badge ${counts.outdated ? 'bg-warning text-dark' : 'bg-success'}`}>
+                        {counts.outdated || 0}
+                      </span>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <button className="btn btn-outline-primary btn-sm" onClick={handleUpgrade} disabled={upgrading || outdated === 0}>
+        {upgrading ? 'Upgrading...' : 'Upgrade all documents to latest'}
+      </button>
+      {upgradeResult && (
+        <div className="alert alert-success small mt-3 mb-0">
+          Upgraded: {Object.keys(upgradeResult).map(function(c) {
+            return `${c} ${upgradeResult[c].upgraded}`
+          }).join(', ')}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SchemaVersions
@@ -0,0 +1,150 @@
+import { useEffect, useState } from 'react'
+import api from '../api'
+
+function formatCounts(collections) {
+  return Object.keys(collections || {}).map(function(name) {
+    return `${name}: ${collections[name].count}`
+  }).join(', ')
+}
+
+// The import answers like a full migration: counts per collection, the documents validation rejected and the strategy.
+function formatMigrated(migrated) {
+  const parts = Object.keys(migrated || {}).filter(function(name) {
+    return typeof migrated[name] === 'number'
+  }).map(function(name) {
+    return `${name}: ${migrated[name]}`
+  })
+  const rejected = Object.values(migrated?.invalid?.counts || {}).reduce(function(sum, n) {
+    return sum + n
+  }, 0)
+  if ( rejected > 0 ) {
+    parts.push(`rejected by validation: ${rejected}`)
+  }
+  if ( migrated?.strategy ) {
+    parts.push(`via ${migrated.strategy}`)
+  }
+  return parts.join(', ')
+}
+
+// I export the SQL snapshot as a JSONL bundle and load bundles (e.g. copied from a teammate) into MongoDB.
+function SnapshotBundles({ refreshKey, note, onImported }) {
+  const [bundles, setBundles] = useState([])
+  const [busy, setBusy] = useState(null)
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(function() {
+    loadBundles()
+  }, [refreshKey])
+
+  const loadBundles = async () => {
+    try {
+      const response = await api.get('/migration/bundles')
+      setBundles(response.data.bundles || [])
+      setError(null)
+    } 
+    catch (e) {
+      setError(e.response?.data?.error || e.message)
+    }
+  }
+
+  const handleExport = async () => {
+    setBusy('export')
+    setResult(null)
+    try {
+      const response = await api.post('/migration/export')
+      setResult(`Exported bundle ${response.data.bundle.bundleId}`)
+      setError(null)
+      await loadBundles()
+    } 
+    catch (e) {
+      setError(e.response?.data?.error || e.message)
+    } 
+    finally {
+      setBusy(null)
+    }
+  }
+
+  const handleImport = async (bundleId) => {
+    if ( !window.confirm(`Replace the MongoDB read model with bundle ${bundleId}?`) ) {
+      return
+    }
+
+    setBusy(bundleId)
+    setResult(null)
+    try {
+      const response = await api.post('/migration/import_bundle', { bundleId, note })
+      setResult(`Loaded bundle ${bundleId} (${formatMigrated(response.data.migrated)})`)
+      setError(null)
+      if ( typeof onImported === 'function' ) {
+        await onImported()
+      }
+    } 
+    catch (e) {
+      setError(e.response?.data?.error || e.message)
+    } 
+    finally {
+      setBusy(null)
+    }
+  }
+
+  return (
+    <div className="mb-4">
+      <div className="d-flex justify-content-between align-items-center">
+        <h3 className="h5 mb-0">Snapshot Bundles</h3>
+        <div>
+          <button className="btn btn-sm btn-outline-primary me-2" onClick={handleExport} disabled={busy !== null}>
+            {busy === 'export' ? 'Exporting...' : 'Export SQL Snapshot'}
+          </button>
+          <button className="btn btn-sm btn-outline-secondary" onClick={loadBundles}>Refresh</button>
+        </div>
+      </div>
+      <p className="text-muted small mt-1">
+        JSONL files plus a manifest (counts and checksums) in the backend's snapshot directory. Loading one works like a
+        full migration, with the bundle instead of MariaDB as the source.
+      </p>
+      {error && <div className="alert alert-danger small">Error: {error}</div>}
+      {result && <div className="alert alert-success small">{result}</div>}
+      {bundles.length === 0 ? (
+        <div className="text-muted small">No bundles yet.</div>
+      ) : (
+        <div className="table-responsive">
+          <table className="table table-sm small align-middle">
+            <thead>
+              <tr>
+                <th>Bundle</th>
+                <th>Created</th>
+                <th>Documents</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {bundles.map(function(bundle) {
+                return (
+                  <tr key={bundle.bundleId}>
+                    <td>{bundle.bundleId}</td>
+                    <td>{new Date(bundle.createdAt).toLocaleString()}</td>
+                    <td>{formatCounts(bundle.collections)}</td>
+                    <td className="text-end">
+                      <button
+                        className="btn btn-sm btn-outline-success"
+                        onClick={function() {
+                          handleImport(bundle.bundleId)
+                        }}
+                        disabled={busy !== null}
+                      >
+                        {busy === bundle.bundleId ? 'Loading...' : 'Load into MongoDB'}
+                      </button>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SnapshotBundles
@@ -31,10 +31,10 @@ function Student1Section({ mode, actingCustomerEmail }) {
   
   const [loading, setLoading] = useState(false)
 
-  // Load restaurants on mount
+  // Load restaurants on mount and when the data source switches
   useEffect(function() {
     loadRestaurants()
-  }, [])
+  }, [mode])
 
 
 
@@ -54,13 +54,18 @@ function Student1Section({ mode, actingCustomerEmail }) {
     } else {
       setMenuItems([])
     }
-  }, [selectedRestaurant])
+  }, [selectedRestaurant, mode])
+
+
+
+  // After migration the menu is embedded in MongoDB, so we read it from there.
+  const catalogPrefix = mode === 'mongo' ? '/mongo' : ''
 
 
 
   const loadRestaurants = async () => {
     try {
-      const response = await api.get('/restaurants')
+      const response = await api.get(`${catalogPrefix}/restaurants`)
       if ( response.data.restaurants ) {
         setRestaurants(response.data.restaurants)
       }
@@ -74,7 +79,7 @@ function Student1Section({ mode, actingCustomerEmail }) {
 
   const loadMenuItems = async (restaurantName) => {
     try {
-      const response = await api.get(`/menu_items?restaurantName=${encodeURIComponent(restaurantName)}`)
+      const response = await api.get(`${catalogPrefix}/menu_items?restaurantName=${encodeURIComponent(restaurantName)}`)
       if ( response.data.menuItems ) {
         setMenuItems(response.data.menuItems)
       }
@@ -227,16 +232,9 @@ function Student1Section({ mode, actingCustomerEmail }) {
           restaurantName: currentOrder.restaurant?.name,
           paymentMethod,
           items: currentOrder.orderItems.map(function(it) {
-            if ( mode === 'sql' ) {
-              return {
-                menuItemId: it.menuItemId,
-                quantity: it.quantity
-              }
-            }
+            // Both backends take name and price from the menu, so we only send what was picked.
             return {
               menuItemId: it.menuItemId,
-              name: it.name,
-              unitPrice: it.unitPrice,
               quantity: it.quantity
             }
           })
@@ -408,6 +406,13 @@ function Student1Section({ mode, actingCustomerEmail }) {
                           {item.description && (
                             <p className="card-text small text-muted">{item.description}</p>
                           )}
+                          {item.categories?.length > 0 && (
+                            <div className="mb-2">
+                              {item.categories.map(function(c) {
+                                return <span key={c} className="badge bg-light text-dark border me-1">{c}</span>
+                              })}
+                            </div>
+                          )}
                           <div className="d-flex justify-content-between align-items-center">
                             <span className="fw-bold text-success">€{Number(item.price).toFixed(2)}</span>
                             <button 
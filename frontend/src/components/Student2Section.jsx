@@ -10,6 +10,8 @@ function Student2Section({ mode, actingRiderEmail }) {
   const [completedDeliveries, setCompletedDeliveries] = useState([])
   
   const [selectedOrder, setSelectedOrder] = useState(null)
+  // Mongo mode only: limit available orders to restaurants the rider works for (rider.worksFor)
+  const [onlyMyRestaurants, setOnlyMyRestaurants] = useState(false)
   const [deliveryStatus, setDeliveryStatus] = useState('assigned')
   
   // Results
@@ -37,7 +39,7 @@ function Student2Section({ mode, actingRiderEmail }) {
     else if ( view === 'completed' ) {
       loadCompletedDeliveries()
     }
-  }, [mode, view, actingRiderEmail])
+  }, [mode, view, actingRiderEmail, onlyMyRestaurants])
 
   // Set actingRiderEmail in report form when it changes
   useEffect(function() {
@@ -56,6 +58,10 @@ function Student2Section({ mode, actingRiderEmail }) {
       } 
       else {
         endpoint = `/student2/${mode}/orders?status=preparing&limit=50`;
+        
+        if ( onlyMyRestaurants && actingRiderEmail ) {
+          endpoint += `&worksForRiderEmail=${encodeURIComponent(actingRiderEmail)}`;
+        }
       }
       const response = await api.get(endpoint)
       if ( response.data.orders ) {
@@ -138,6 +144,10 @@ function Student2Section({ mode, actingRiderEmail }) {
         deliveryStatus: nextDeliveryStatus
       }
       
+      if ( mode === 'mongo' && view === 'available' && onlyMyRestaurants ) {
+        payload.worksForOnly = true
+      }
+      
       const response = await api.post(endpoint, payload)
       setAssignResult({ success: true, data: response.data })
       
@@ -279,6 +289,20 @@ function Student2Section({ mode, actingRiderEmail }) {
         <small className="text-muted">
           <strong>Available Orders:</strong> These orders are ready to be picked up. Accept one to start delivery.
         </small>
+        {mode === 'mongo' && (
+          <div className="form-check mt-2 mb-0">
+            <input
+              className="form-check-input"
+              type="checkbox"
+              id="onlyMyRestaurants"
+              checked={onlyMyRestaurants}
+              onChange={(e) => setOnlyMyRestaurants(e.target.checked)}
+            />
+            <label className="form-check-label small" htmlFor="onlyMyRestaurants">
+              Only restaurants I work for
+            </label>
+          </div>
+        )}
       </div>
 
       <div className="row">